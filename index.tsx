@@ -717,10 +717,9 @@ const OrderManagementModal = ({
                         
                         if (winningToken) {
                             winningOutcome = winningToken.outcome;
-                            userWon = winningOutcome ? 
-                                (winningOutcome.toLowerCase() === position.outcome.toLowerCase() ||
-                                 (position.outcome === 'YES' && winningOutcome.includes('YES')) ||
-                                 (position.outcome === 'NO' && winningOutcome.includes('NO'))) : false;
+                            userWon = position.tokenId && winningToken.token_id
+                                ? String(winningToken.token_id) === position.tokenId
+                                : (winningOutcome || '').toLowerCase() === position.outcome.toLowerCase();
                         }
                     }
 
@@ -2275,13 +2274,14 @@ const handleManualExit = async (position: ActivePosition) => {
         const res = await axios.post('/api/trade/exit', {
             userId: userAddress,
             marketId: position.marketId,
-            outcome: position.outcome
+            outcome: position.outcome,
+            tokenId: position.tokenId
         });
 
         if (res.data.success) {
             alert("✅ Sell Order Submitted!");
             // Optimistic UI update: Remove position immediately
-            setActivePositions(prev => prev.filter(p => !(p.marketId === position.marketId && p.outcome === position.outcome)));
+            setActivePositions(prev => prev.filter(p => p.tokenId !== position.tokenId));
         } else {
             alert("Exit Failed: " + res.data.error);
         }
@@ -2414,7 +2414,8 @@ const handleRedeemWinnings = async (position: ActivePosition) => {
         const res = await axios.post('/api/redeem', {
             userId: userAddress,
             marketId: position.marketId,
-            outcome: position.outcome
+            outcome: position.outcome,
+            tokenId: position.tokenId
         });
         
         if (res.data.success) {
@@ -27,6 +27,8 @@ export interface OrderParams {
     priceLimit?: number;
     // Allow specifying raw share count for sells
     sizeShares?: number; 
+    // Override the adapter's default time-in-force (e.g. rest a SELL as GTC)
+    timeInForce?: 'GTC' | 'FAK';
 }
 
 export interface OrderResult {
@@ -36,6 +38,17 @@ export interface OrderResult {
     sharesFilled: number;
     priceFilled: number;
     error?: string;
+    // Lifecycle of the placed order. LIVE/PARTIAL orders are still resting on the book.
+    status?: 'FILLED' | 'PARTIAL' | 'LIVE';
+    sharesRequested?: number;
+}
+
+export interface OrderStatus {
+    orderId: string;
+    status: 'LIVE' | 'PARTIAL' | 'FILLED' | 'CANCELLED';
+    sharesRequested: number;
+    sharesFilled: number;
+    price: number;
 }
 
 /**
@@ -52,7 +65,7 @@ export interface IExchangeAdapter {
     authenticate(): Promise<void>;
     
     // Market Data
-    fetchBalance(address: string): Promise<number>;
+    fetchBalance(address: string, strict?: boolean): Promise<number>; // strict: throw instead of reading 0 on RPC errors
     getPortfolioValue(address: string): Promise<number>; 
     getMarketPrice(marketId: string, tokenId: string, side?: 'BUY' | 'SELL'): Promise<number>;
     getOrderBook(tokenId: string): Promise<OrderBook>;
@@ -61,6 +74,9 @@ export interface IExchangeAdapter {
     // Redeem Winnings
     redeemPosition(marketId: string, tokenId: string): Promise<{ success: boolean; amountUsd?: number; txHash?: string; error?: string }>;
 
+    // Neg-risk: turn NO shares on the markets in indexSet into collateral plus YES on the rest of the event
+    convertNegRiskPositions?(negRiskMarketId: string, indexSet: bigint, shares: number): Promise<{ success: boolean; amountUsd?: number; txHash?: string; error?: string }>;
+
     // Liquidity Analysis
     getLiquidityMetrics?(tokenId: string, side: 'BUY' | 'SELL'): Promise<LiquidityMetrics>;
 
@@ -73,6 +89,7 @@ export interface IExchangeAdapter {
     // Execution
     createOrder(params: OrderParams): Promise<OrderResult>; 
     cancelOrder(orderId: string): Promise<boolean>;
+    getOrderStatus?(orderId: string): Promise<OrderStatus | null>;
     
     // Order Management
     cashout(amount: number, destination: string): Promise<string>;
@@ -0,0 +1,25 @@
+import { describe, expect, it, vi } from 'vitest';
+import { negRiskReleasedUsd, toOrderStatus } from './polymarket.adapter.js';
+
+vi.mock('../../database/index.js', () => ({}));
+
+describe('toOrderStatus', () => {
+  it('derives the status from the matched size, not the raw MATCHED label', () => {
+    expect(toOrderStatus('MATCHED', 20, 20)).toBe('FILLED');
+    expect(toOrderStatus('MATCHED', 20, 5)).toBe('PARTIAL');
+    expect(toOrderStatus('MATCHED', 20, 0)).toBe('LIVE');
+  });
+
+  it('keeps cancelled orders cancelled unless they filled in full', () => {
+    expect(toOrderStatus('CANCELED', 20, 5)).toBe('CANCELLED');
+    expect(toOrderStatus('CANCELED', 20, 20)).toBe('FILLED');
+  });
+});
+
+describe('negRiskReleasedUsd', () => {
+  it('pays (k - 1) x shares for k converted NO markets', () => {
+    expect(negRiskReleasedUsd(0b111n, 10_000_000n)).toBe(20);
+    expect(negRiskReleasedUsd(0b10010n, 2_500_000n)).toBe(2.5);
+    expect(negRiskReleasedUsd(0b1n, 10_000_000n)).toBe(0);
+  });
+});
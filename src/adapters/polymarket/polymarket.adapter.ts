@@ -2,6 +2,7 @@ import {
     IExchangeAdapter, 
     OrderParams,
     OrderResult,
+    OrderStatus,
     LiquidityHealth,
     LiquidityMetrics,
     OrderSide
@@ -17,6 +18,8 @@ import { TradingWalletConfig, L2ApiCredentials } from '../../domain/wallet.types
 import { User } from '../../database/index.js';
 import { BuilderConfig } from '@polymarket/builder-signing-sdk';
 import { Logger } from '../../utils/logger.util.js';
+import { normalizeOutcome } from '../../utils/outcome.util.js';
+import { marketMetadata } from '../../services/market-metadata.service.js';
 import { TOKENS } from '../../config/env.js';
 import axios from 'axios';
 
@@ -38,10 +41,32 @@ interface PolyActivityResponse {
   usdcSize: number;
   price: number;
   side: string;
+  outcome?: string;
   outcomeIndex: number;
   transactionHash: string;
 }
 
+/**
+ * Order lifecycle from the CLOB's size_matched vs original_size. The raw status alone is not enough:
+ * MATCHED only says the order crossed, not that all of it did.
+ */
+export function toOrderStatus(raw: string, sharesRequested: number, sharesFilled: number): OrderStatus['status'] {
+    if (sharesRequested > 0 && sharesFilled >= sharesRequested) return 'FILLED';
+    if (raw.includes('CANCEL')) return 'CANCELLED';
+    if (sharesFilled > 0) return 'PARTIAL';
+    return 'LIVE';
+}
+
+/**
+ * USDC the neg-risk adapter releases for converting amount (6 decimals) NO shares on every market in
+ * indexSet: (k - 1) x amount for k markets. Reading it off the Safe balance instead would also pick up
+ * any fill or redemption that settles meanwhile.
+ */
+export function negRiskReleasedUsd(indexSet: bigint, amount: bigint): number {
+    const markets = indexSet.toString(2).split('').filter(bit => bit === '1').length;
+    return Number(amount * BigInt(Math.max(0, markets - 1))) / 1e6;
+}
+
 export interface PolymarketAdapterConfig {
     rpcUrl: string;
     walletConfig: TradingWalletConfig;
@@ -65,8 +90,6 @@ export class PolymarketAdapter implements IExchangeAdapter {
     private provider?: JsonRpcProvider;
     private safeAddress?: string;
 
-    private marketMetadataCache: Map<string, any> = new Map();
-
     constructor(
         private config: PolymarketAdapterConfig,
         private logger: Logger
@@ -180,12 +203,18 @@ export class PolymarketAdapter implements IExchangeAdapter {
         }
     }
 
-    async fetchBalance(address: string): Promise<number> {
-        if(!this.usdcContract) return 0;
+    async fetchBalance(address: string, strict = false): Promise<number> {
+        if(!this.usdcContract) {
+            if (strict) throw new Error("RPC provider not initialized");
+            return 0;
+        }
         try {
             const bal = await this.usdcContract.balanceOf(address);
             return parseFloat(formatUnits(bal, 6));
-        } catch (e) { return 0; }
+        } catch (e) {
+            if (strict) throw e;
+            return 0;
+        }
     }
 
     async getPortfolioValue(address: string): Promise<number> {
@@ -303,42 +332,6 @@ export class PolymarketAdapter implements IExchangeAdapter {
         };
     }
 
-    private async fetchMarketSlugs(marketId: string): Promise<{ marketSlug: string; eventSlug: string; question: string; image: string }> {
-        let marketSlug = "";
-        let eventSlug = "";
-        let question = marketId;
-        let image = "";
-
-        if (this.client && marketId) {
-            try {
-                this.marketMetadataCache.delete(marketId);
-                const marketData = await this.client.getMarket(marketId);
-                this.marketMetadataCache.set(marketId, marketData);
-
-                if (marketData) {
-                    marketSlug = marketData.market_slug || "";
-                    question = marketData.question || question;
-                    image = marketData.image || image;
-                }
-            } catch (e) {}
-        }
-
-        if (marketSlug) {
-            try {
-                const gammaUrl = `https://gamma-api.polymarket.com/markets/slug/${marketSlug}`;
-                const gammaResponse = await fetch(gammaUrl);
-                if (gammaResponse.ok) {
-                    const marketData = await gammaResponse.json();
-                    if (marketData.events && marketData.events.length > 0) {
-                        eventSlug = marketData.events[0]?.slug || "";
-                    }
-                }
-            } catch (e) {}
-        }
-
-        return { marketSlug, eventSlug, question, image };
-    }
-
     async getPositions(address: string): Promise<PositionData[]> {
         try {
             const url = `https://data-api.polymarket.com/positions?user=${address}`;
@@ -365,12 +358,12 @@ export class PolymarketAdapter implements IExchangeAdapter {
                 const investedValueUsd = size * entryPrice;
                 const unrealizedPnL = currentValueUsd - investedValueUsd;
                 
-                const { marketSlug, eventSlug, question, image } = await this.fetchMarketSlugs(marketId);
+                const { marketSlug, eventSlug, question, image } = await marketMetadata.getMarketSummary(marketId);
 
                 positions.push({
                     marketId: marketId,
                     tokenId: tokenId,
-                    outcome: p.outcome || 'UNK',
+                    outcome: p.outcome ? normalizeOutcome(p.outcome) : 'UNK',
                     balance: size,
                     valueUsd: currentValueUsd,
                     investedValue: investedValueUsd,
@@ -401,7 +394,8 @@ export class PolymarketAdapter implements IExchangeAdapter {
                     trader: address,
                     marketId: act.conditionId,
                     tokenId: act.asset,
-                    outcome: act.outcomeIndex === 0 ? 'YES' : 'NO',
+                    outcome: normalizeOutcome(act.outcome, act.outcomeIndex),
+                    outcomeIndex: act.outcomeIndex,
                     side: act.side.toUpperCase() as 'BUY' | 'SELL',
                     sizeUsd: act.usdcSize || (act.size * act.price),
                     price: act.price,
@@ -418,7 +412,7 @@ export class PolymarketAdapter implements IExchangeAdapter {
         if (!this.client) throw new Error("Client not authenticated");
 
         try {
-            const market = await this.client.getMarket(params.marketId);
+            const market = await marketMetadata.getMarket(params.marketId);
             const tickSize = Number(market.minimum_tick_size) || 0.01;
             const minOrderSize = Number(market.minimum_order_size) || 5;
 
@@ -496,22 +490,50 @@ export class PolymarketAdapter implements IExchangeAdapter {
             };
 
             const signedOrder = await this.client.createOrder(orderArgs);
-            const orderType = side === Side.SELL ? OrderType.FAK : OrderType.GTC;
+            const orderType = params.timeInForce
+                ? (params.timeInForce === 'FAK' ? OrderType.FAK : OrderType.GTC)
+                : (side === Side.SELL ? OrderType.FAK : OrderType.GTC);
             const res = await this.client.postOrder(signedOrder, orderType);
 
             if (res && res.success) {
-                // For FAK, partial fills are possible - use actual filled amount
-                // For GTC, order is "live" not necessarily filled - return requested shares
-                const actualFilled = orderType === OrderType.FAK 
-                    ? (parseFloat(res.takingAmount || '0') / 1e6) / finalPrice
-                    : shares; // GTC assumes full placement
-                
+                const sharesRequested = Math.floor(shares);
+
+                // For FAK, partial fills are possible - use actual filled amount (the rest is killed).
+                // BUY: making = USDC paid, taking = shares received. SELL: making = shares, taking = USDC.
+                if (orderType === OrderType.FAK) {
+                    const making = parseFloat(res.makingAmount || '0') / 1e6;
+                    const taking = parseFloat(res.takingAmount || '0') / 1e6;
+                    const usdc = side === Side.BUY ? making : taking;
+                    const sharesFilled = side === Side.BUY
+                        ? taking
+                        : (making > 0 ? making : taking / finalPrice);
+                    return { 
+                        success: true, 
+                        orderId: res.orderID, 
+                        txHash: res.transactionHash, 
+                        sharesFilled, 
+                        priceFilled: sharesFilled > 0 && usdc > 0 ? usdc / sharesFilled : finalPrice,
+                        status: 'FILLED',
+                        sharesRequested
+                    };
+                }
+
+                // For GTC, the order may only be "live" on the book - report what actually matched
+                const state = res.orderID ? await this.getOrderStatus(res.orderID) : null;
+                const sharesFilled = state ? state.sharesFilled : (res.status === 'matched' ? sharesRequested : 0);
+                const status = sharesFilled >= sharesRequested ? 'FILLED' : sharesFilled > 0 ? 'PARTIAL' : 'LIVE';
+                if (status !== 'FILLED') {
+                    this.logger.info(`   + Resting: ${sharesFilled.toFixed(2)}/${sharesRequested} shares matched, order ${res.orderID} is ${status}`);
+                }
+
                 return { 
                     success: true, 
                     orderId: res.orderID, 
                     txHash: res.transactionHash, 
-                    sharesFilled: actualFilled, 
-                    priceFilled: finalPrice 
+                    sharesFilled, 
+                    priceFilled: finalPrice,
+                    status,
+                    sharesRequested
                 };
             }
             throw new Error(res.errorMsg || "Order failed response");
@@ -528,7 +550,7 @@ export class PolymarketAdapter implements IExchangeAdapter {
             if (errorMessage.includes("not enough balance / allowance")) {
                 // Check if it's specifically an allowance issue by checking current allowance
                 try {
-                    const market = await this.client.getMarket(params.marketId);
+                    const market = await marketMetadata.getMarket(params.marketId);
                     const allowance = await this.checkUsdcAllowance(market.neg_risk);
                     const balance = await this.fetchBalance(this.safeAddress!);
                     
@@ -554,6 +576,20 @@ export class PolymarketAdapter implements IExchangeAdapter {
         } catch (e) { return false; }
     }
 
+    async getOrderStatus(orderId: string): Promise<OrderStatus | null> {
+        if (!this.client) return null;
+        try {
+            const order = await this.client.getOrder(orderId);
+            if (!order) return null;
+
+            const sharesRequested = parseFloat(order.original_size || '0');
+            const sharesFilled = parseFloat(order.size_matched || '0');
+            const raw = String(order.status || '').toUpperCase();
+
+            return { orderId, status: toOrderStatus(raw, sharesRequested, sharesFilled), sharesRequested, sharesFilled, price: parseFloat(order.price || '0') };
+        } catch (e) { return null; }
+    }
+
     async getOpenOrders(): Promise<any[]> {
         if (!this.client) return [];
         try {
@@ -668,6 +704,35 @@ export class PolymarketAdapter implements IExchangeAdapter {
         }
     }
 
+    async convertNegRiskPositions(negRiskMarketId: string, indexSet: bigint, shares: number): Promise<{ success: boolean; amountUsd?: number; txHash?: string; error?: string }> {
+        if (!this.safeManager || !this.safeAddress) {
+            return { success: false, error: "Adapter not initialized" };
+        }
+
+        const NEG_RISK_ADAPTER = "0xd91E80cF2E7be2e162c6513ceD06f1dD0dA35296";
+        const iface = new Interface([
+            "function convertPositions(bytes32 _marketId, uint256 _indexSet, uint256 _amount)"
+        ]);
+
+        try {
+            // Outcome tokens use the collateral's 6 decimals
+            const amount = BigInt(Math.floor(shares * 1e6));
+            const amountUsd = negRiskReleasedUsd(indexSet, amount);
+
+            this.logger.info(`Submitting neg-risk conversion of ${shares.toFixed(2)} NO shares (index set ${indexSet.toString(2)})...`);
+            const txHash = await this.safeManager.executeTransaction({
+                to: NEG_RISK_ADAPTER,
+                data: iface.encodeFunctionData("convertPositions", [negRiskMarketId, indexSet, amount]),
+                value: "0"
+            });
+
+            this.logger.success(`Conversion complete. Released: $${amountUsd.toFixed(2)} USDC`);
+            return { success: true, amountUsd, txHash };
+        } catch (e: any) {
+            return { success: false, error: e.message };
+        }
+    }
+
     private encodeRedeemPositions(
         collateralToken: string,
         parentCollectionId: string,
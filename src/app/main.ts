@@ -8,6 +8,7 @@ import { FundManagerService, FundManagerConfig } from '../services/fund-manager.
 import { NotificationService } from '../services/notification.service.js';
 import { FeeDistributorService } from '../services/fee-distributor.service.js';
 import { ConsoleLogger } from '../utils/logger.util.js';
+import { normalizeOutcome } from '../utils/outcome.util.js';
 import { getUsdBalanceApprox, getPolBalance } from '../utils/get-balance.util.js';
 import { AlphaRegistryService } from '../services/alpha-registry.service.js';
 import { IExchangeAdapter, OrderParams, OrderResult } from '../adapters/interfaces.js';
@@ -26,6 +27,7 @@ interface PolyActivityResponse {
   usdcSize: number;
   price: number;
   side: string;
+  outcome?: string;
   outcomeIndex: number;
   transactionHash: string;
 }
@@ -121,7 +123,8 @@ async function main(): Promise<void> {
                          trader: address,
                          marketId: act.conditionId,
                          tokenId: act.asset,
-                         outcome: act.outcomeIndex === 0 ? 'YES' : 'NO',
+                         outcome: normalizeOutcome(act.outcome, act.outcomeIndex),
+                         outcomeIndex: act.outcomeIndex,
                          side: act.side.toUpperCase() as 'BUY' | 'SELL',
                          sizeUsd: act.usdcSize || (act.size * act.price),
                          price: act.price,
@@ -260,7 +263,7 @@ async function main(): Promise<void> {
     },
   });
 
-  await monitor.start(Math.floor(Date.now() / 1000));
+  await monitor.start();
 }
 
 main().catch((err) => {
@@ -0,0 +1,30 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { connectDB } from '../database/index.js';
+import { copyAttribution } from '../services/copy-attribution.service.js';
+
+/**
+ * Rebuilds CopiedTrade and WalletAnalytics from the Trade collection.
+ * Safe to re-run: records that already exist are kept as they are.
+ */
+async function backfill() {
+  try {
+    await connectDB();
+    console.log('🔁 Rebuilding copy attribution from trade history...');
+
+    const summary = await copyAttribution.backfill();
+
+    console.log(`✅ Scanned ${summary.scanned} trades, inserted ${summary.inserted} copy records, refreshed ${summary.wallets} wallets.`);
+    if (summary.unattributed > 0) {
+      console.log(`⚠️  ${summary.unattributed} trades could not be linked to a source wallet and were skipped.`);
+    }
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (e) {
+    console.error('Backfill failed:', e);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+backfill();
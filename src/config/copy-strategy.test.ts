@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { CopyInputs, computeSizing, validateSizingStrategy } from './copy-strategy.js';
+
+const buy = (overrides: Partial<CopyInputs> = {}): CopyInputs => ({
+  yourUsdBalance: 1000,
+  yourShareBalance: 0,
+  traderUsdBalance: 10000,
+  traderTradeUsd: 500,
+  multiplier: 1,
+  currentPrice: 0.5,
+  side: 'BUY',
+  ...overrides
+});
+
+describe('computeSizing BUY strategies', () => {
+  it('sizes proportionally to the balance ratio by default', () => {
+    const result = computeSizing(buy());
+    expect(result.targetUsdSize).toBeCloseTo(500 * (1000 / 10500));
+    expect(result.targetShares).toBe(95);
+    expect(result.reason).toBe('proportional');
+  });
+
+  it('scales a fixed amount by the multiplier', () => {
+    expect(computeSizing(buy({ multiplier: 2 }), { type: 'FIXED_USD', amountUsd: 25 })).toMatchObject({ targetUsdSize: 50, targetShares: 100 });
+  });
+
+  it('takes a percent of equity, not just cash', () => {
+    expect(computeSizing(buy({ yourEquityUsd: 2000 }), { type: 'PERCENT_OF_EQUITY', percent: 5 }).targetUsdSize).toBe(100);
+  });
+
+  it('follows whale conviction up to its equity cap and the max trade amount', () => {
+    expect(computeSizing(buy(), { type: 'WHALE_CONVICTION' }).targetUsdSize).toBeCloseTo(50);
+    const capped = computeSizing(buy({ traderTradeUsd: 5000, maxTradeAmount: 100 }), { type: 'WHALE_CONVICTION' });
+    expect(capped).toMatchObject({ targetUsdSize: 100, reason: 'capped_at_max' });
+  });
+
+  it('sizes Kelly from the default edge and declines when the AI sees no edge', () => {
+    expect(computeSizing(buy(), { type: 'KELLY', fraction: 0.5 }).targetUsdSize).toBeCloseTo(50);
+    expect(computeSizing(buy({ riskScore: 10 }), { type: 'KELLY', fraction: 0.5 })).toMatchObject({ targetUsdSize: 0, targetShares: 0 });
+  });
+
+  it('picks the highest tier the whale trade reaches and skips below the first', () => {
+    const tiered = { type: 'TIERED' as const, tiers: [{ minWhaleUsd: 100, sizeUsd: 10 }, { minWhaleUsd: 1000, sizeUsd: 50 }] };
+    expect(computeSizing(buy(), tiered)).toMatchObject({ targetUsdSize: 10, reason: 'tier_100' });
+    expect(computeSizing(buy({ traderTradeUsd: 50 }), tiered)).toMatchObject({ targetUsdSize: 0, reason: 'below_lowest_tier_100' });
+  });
+
+  it('boosts tiny targets to the exchange minimum and caps at the balance', () => {
+    expect(computeSizing(buy(), { type: 'FIXED_USD', amountUsd: 0.3 })).toMatchObject({ targetShares: 5, targetUsdSize: 2.5, reason: 'boosted_for_min_shares' });
+    expect(computeSizing(buy({ yourUsdBalance: 30 }), { type: 'FIXED_USD', amountUsd: 50 })).toMatchObject({ targetUsdSize: 30, reason: 'capped_at_balance' });
+  });
+});
+
+describe('validateSizingStrategy', () => {
+  it('defaults to proportional and rejects out-of-range parameters', () => {
+    expect(validateSizingStrategy(undefined)).toEqual({ strategy: { type: 'PROPORTIONAL' } });
+    expect(validateSizingStrategy({ type: 'kelly', fraction: 2 }).error).toMatch(/fraction/);
+    expect(validateSizingStrategy({ type: 'PERCENT_OF_EQUITY', percent: 0 }).error).toMatch(/percent/);
+    expect(validateSizingStrategy({ type: 'MARTINGALE' }).error).toMatch(/Unknown/);
+  });
+
+  it('sorts tiers by whale size', () => {
+    const { strategy } = validateSizingStrategy({ type: 'TIERED', tiers: [{ minWhaleUsd: 500, sizeUsd: 20 }, { minWhaleUsd: 0, sizeUsd: 5 }] });
+    expect(strategy).toEqual({ type: 'TIERED', tiers: [{ minWhaleUsd: 0, sizeUsd: 5 }, { minWhaleUsd: 500, sizeUsd: 20 }] });
+  });
+});
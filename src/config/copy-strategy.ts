@@ -8,6 +8,9 @@ export type CopyInputs = {
   maxTradeAmount?: number; // User defined safety cap (e.g. $100)
   minOrderSize?: number; // Market's minimum share requirement (default 5)
   side: 'BUY' | 'SELL';
+  yourEquityUsd?: number; // Cash + open position value (defaults to yourUsdBalance)
+  riskScore?: number; // AI risk score 1-10 (0 / undefined = no AI opinion)
+  sellFraction?: number; // SELL only: share (0-1] of the whale's position they sold; we sell the same share of ours
 };
 
 export type SizingResult = {
@@ -17,7 +20,127 @@ export type SizingResult = {
   reason?: string; // Metadata about why this size was chosen
 };
 
+export type SizingTier = {
+  minWhaleUsd: number; // Whale trade size (USD) at which this tier starts
+  sizeUsd: number;     // Our size for whale trades in this tier
+};
+
+/**
+ * How BUY size is derived. SELL sizing always mirrors the whale, by the fraction of their
+ * position they sold when known, so exits stay in step with the trader regardless of strategy.
+ * The bot multiplier scales the raw target of every strategy.
+ */
+export type SizingStrategy =
+  | { type: 'PROPORTIONAL' }
+  | { type: 'FIXED_USD'; amountUsd: number }
+  | { type: 'PERCENT_OF_EQUITY'; percent: number }
+  | { type: 'WHALE_CONVICTION'; maxPercentOfEquity?: number }
+  | { type: 'KELLY'; fraction: number; edge?: number; maxPercentOfEquity?: number }
+  | { type: 'TIERED'; tiers: SizingTier[] };
+
+export const SIZING_STRATEGY_TYPES: SizingStrategy['type'][] = ['PROPORTIONAL', 'FIXED_USD', 'PERCENT_OF_EQUITY', 'WHALE_CONVICTION', 'KELLY', 'TIERED'];
+
+const DEFAULT_KELLY_EDGE = 0.05;
+const DEFAULT_MAX_EQUITY_SHARE = 0.25;
+
+/**
+ * Validates a sizing strategy coming from the API. Returns an error message instead of throwing
+ * so routes can answer with a 400.
+ */
+export function validateSizingStrategy(raw: any): { strategy?: SizingStrategy; error?: string } {
+  if (!raw) return { strategy: { type: 'PROPORTIONAL' } };
+
+  const type = String(raw.type || '').toUpperCase() as SizingStrategy['type'];
+  const positive = (v: any) => Number.isFinite(Number(v)) && Number(v) > 0;
+  const fractionOrUndefined = (v: any) => v === undefined || (positive(v) && Number(v) <= 1);
+
+  switch (type) {
+    case 'PROPORTIONAL':
+      return { strategy: { type } };
+    case 'FIXED_USD':
+      if (!positive(raw.amountUsd)) return { error: 'FIXED_USD requires amountUsd > 0' };
+      return { strategy: { type, amountUsd: Number(raw.amountUsd) } };
+    case 'PERCENT_OF_EQUITY':
+      if (!positive(raw.percent) || Number(raw.percent) > 100) return { error: 'PERCENT_OF_EQUITY requires percent in (0, 100]' };
+      return { strategy: { type, percent: Number(raw.percent) } };
+    case 'WHALE_CONVICTION':
+      if (!fractionOrUndefined(raw.maxPercentOfEquity)) return { error: 'WHALE_CONVICTION maxPercentOfEquity must be in (0, 1]' };
+      return { strategy: { type, maxPercentOfEquity: raw.maxPercentOfEquity !== undefined ? Number(raw.maxPercentOfEquity) : undefined } };
+    case 'KELLY':
+      if (!positive(raw.fraction) || Number(raw.fraction) > 1) return { error: 'KELLY requires fraction in (0, 1]' };
+      if (raw.edge !== undefined && (!positive(raw.edge) || Number(raw.edge) >= 1)) return { error: 'KELLY edge must be in (0, 1)' };
+      if (!fractionOrUndefined(raw.maxPercentOfEquity)) return { error: 'KELLY maxPercentOfEquity must be in (0, 1]' };
+      return {
+        strategy: {
+          type,
+          fraction: Number(raw.fraction),
+          edge: raw.edge !== undefined ? Number(raw.edge) : undefined,
+          maxPercentOfEquity: raw.maxPercentOfEquity !== undefined ? Number(raw.maxPercentOfEquity) : undefined
+        }
+      };
+    case 'TIERED': {
+      if (!Array.isArray(raw.tiers) || raw.tiers.length === 0) return { error: 'TIERED requires a non-empty tiers array' };
+      const tiers: SizingTier[] = [];
+      for (const t of raw.tiers) {
+        if (!t || !Number.isFinite(Number(t.minWhaleUsd)) || Number(t.minWhaleUsd) < 0 || !positive(t.sizeUsd)) {
+          return { error: 'Each tier needs minWhaleUsd >= 0 and sizeUsd > 0' };
+        }
+        tiers.push({ minWhaleUsd: Number(t.minWhaleUsd), sizeUsd: Number(t.sizeUsd) });
+      }
+      tiers.sort((a, b) => a.minWhaleUsd - b.minWhaleUsd);
+      return { strategy: { type, tiers } };
+    }
+    default:
+      return { error: `Unknown sizing strategy "${raw.type}". Expected one of ${SIZING_STRATEGY_TYPES.join(', ')}` };
+  }
+}
+
+/**
+ * Raw BUY target (before multiplier, floors and caps) for the non-proportional strategies.
+ * A zero target means the strategy declines the trade.
+ */
+function computeStrategyTarget(strategy: Exclude<SizingStrategy, { type: 'PROPORTIONAL' }>, input: CopyInputs, price: number): { usd: number; reason: string } {
+  const equity = Math.max(0, input.yourEquityUsd ?? input.yourUsdBalance);
+
+  switch (strategy.type) {
+    case 'FIXED_USD':
+      return { usd: strategy.amountUsd, reason: `fixed_usd_${strategy.amountUsd}` };
+
+    case 'PERCENT_OF_EQUITY':
+      return { usd: equity * (strategy.percent / 100), reason: `percent_of_equity_${strategy.percent}` };
+
+    case 'WHALE_CONVICTION': {
+      const conviction = input.traderUsdBalance > 0 ? input.traderTradeUsd / input.traderUsdBalance : 0;
+      const share = Math.min(conviction, strategy.maxPercentOfEquity ?? DEFAULT_MAX_EQUITY_SHARE);
+      return { usd: equity * share, reason: `whale_conviction_${(conviction * 100).toFixed(1)}pct` };
+    }
+
+    case 'KELLY': {
+      // Without an AI opinion we assume the whale holds the full default edge over the market price
+      const hasAiScore = input.riskScore !== undefined && input.riskScore > 0;
+      const confidence = hasAiScore ? Math.max(0, Math.min(1, (10 - input.riskScore!) / 9)) : 1;
+      const winProb = Math.min(0.99, price + (strategy.edge ?? DEFAULT_KELLY_EDGE) * confidence);
+      const kelly = Math.max(0, (winProb - price) / (1 - price));
+      const share = Math.min(kelly * strategy.fraction, strategy.maxPercentOfEquity ?? DEFAULT_MAX_EQUITY_SHARE);
+      return { usd: equity * share, reason: `kelly_${hasAiScore ? `risk_${input.riskScore}` : 'price_only'}_f${share.toFixed(3)}` };
+    }
+
+    case 'TIERED': {
+      let tier: SizingTier | undefined;
+      for (const t of strategy.tiers) {
+        if (input.traderTradeUsd >= t.minWhaleUsd) tier = t;
+      }
+      if (!tier) return { usd: 0, reason: `below_lowest_tier_${strategy.tiers[0]?.minWhaleUsd ?? 0}` };
+      return { usd: tier.sizeUsd, reason: `tier_${tier.minWhaleUsd}` };
+    }
+  }
+}
+
 export function computeProportionalSizing(input: CopyInputs): SizingResult {
+  return computeSizing(input, { type: 'PROPORTIONAL' });
+}
+
+export function computeSizing(input: CopyInputs, strategy: SizingStrategy = { type: 'PROPORTIONAL' }): SizingResult {
   const { 
     yourUsdBalance, 
     yourShareBalance,
@@ -42,6 +165,15 @@ export function computeProportionalSizing(input: CopyInputs): SizingResult {
 
   // 2. Handle BUY Logic
   if (side === 'BUY') {
+    if (strategy.type !== 'PROPORTIONAL') {
+      const target = computeStrategyTarget(strategy, input, price);
+      if (target.usd <= 0) {
+        return { targetUsdSize: 0, targetShares: 0, ratio, reason: target.reason };
+      }
+      targetUsdSize = target.usd * Math.max(0, multiplier);
+      reason = target.reason;
+    }
+
     if (targetUsdSize < MIN_VALUE_USDC) {
       const sharesNeeded = Math.ceil(MIN_VALUE_USDC / price);
       targetUsdSize = sharesNeeded * price;
@@ -71,6 +203,12 @@ export function computeProportionalSizing(input: CopyInputs): SizingResult {
   // 3. Handle SELL Logic (Dust Prevention)
   if (side === 'SELL') {
     let targetShares = Math.floor(targetUsdSize / price);
+
+    if (input.sellFraction !== undefined && input.sellFraction > 0) {
+        const fraction = Math.min(1, input.sellFraction);
+        targetShares = fraction >= 1 ? yourShareBalance : Math.floor(yourShareBalance * fraction);
+        reason = fraction >= 1 ? "whale_full_exit" : `whale_sold_${(fraction * 100).toFixed(1)}pct`;
+    }
     
     // If we have less than the minimum shares in total, we are in a 'Dust Trap'
     if (yourShareBalance < minOrderSize) {
@@ -0,0 +1,30 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { loadEnv } from './env.js';
+
+describe('loadEnv AI budget', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+  });
+
+  it('falls back to the defaults for non-numeric or non-positive values', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.stubEnv('AI_GLOBAL_CALLS_PER_MINUTE', 'lots');
+    vi.stubEnv('AI_GLOBAL_BURST', '0');
+
+    const env = loadEnv();
+
+    expect(env.aiGlobalCallsPerMinute).toBe(300);
+    expect(env.aiGlobalBurst).toBe(50);
+  });
+
+  it('keeps valid values', () => {
+    vi.stubEnv('AI_GLOBAL_CALLS_PER_MINUTE', '120');
+    vi.stubEnv('AI_GLOBAL_BURST', '10');
+
+    const env = loadEnv();
+
+    expect(env.aiGlobalCallsPerMinute).toBe(120);
+    expect(env.aiGlobalBurst).toBe(10);
+  });
+});
@@ -2,6 +2,11 @@
 import fs from 'fs';
 import path from 'path';
 import dotenv from 'dotenv';
+import type { ExecutionGuardPolicy } from '../services/trade-executor.service.js';
+import type { SlicingPolicy } from '../services/order-slicer.service.js';
+import type { SizingStrategy } from './copy-strategy.js';
+import type { MarketFilters } from './market-filters.js';
+import type { LiquiditySetting, RiskProfileSetting, TargetOverrides } from './target-overrides.js';
 
 // 1. Load standard .env
 dotenv.config();
@@ -42,6 +47,10 @@ export type RuntimeEnv = {
   retryLimit: number;
   aggregationEnabled: boolean;
   aggregationWindowSeconds: number;
+  aggregationQuietSeconds?: number;
+  aggregationFlushUsd: number;
+  // Signal ingestion: 'stream' uses WS_URLS with polling as fallback, 'poll' is polling only
+  monitorMode: 'poll' | 'stream';
   usdcContractAddress: string;
   polymarketApiKey?: string;
   polymarketApiSecret?: string;
@@ -66,6 +75,17 @@ export type RuntimeEnv = {
   
   // Safety
   maxTradeAmount: number; // Cap per trade
+
+  // Per-bot copy settings. BotEngine fills these from BotConfig; unset means the default.
+  executionGuard?: ExecutionGuardPolicy;
+  sizingStrategy?: SizingStrategy;
+  riskProfile?: RiskProfileSetting;
+  minLiquidityFilter?: LiquiditySetting;
+  targetOverrides?: TargetOverrides;
+  slicing?: SlicingPolicy;
+  traderEquityTtlSeconds?: number;
+  marketFilters?: MarketFilters;
+  fullExitOnWhaleExit?: boolean;
   
   // Notifications
   enableNotifications: boolean;
@@ -74,6 +94,10 @@ export type RuntimeEnv = {
   twilioFromNumber?: string;
   userPhoneNumber?: string;
 
+  // AI gate: platform-wide budget shared by every bot
+  aiGlobalCallsPerMinute: number;
+  aiGlobalBurst: number;
+
   // Li.Fi
   lifiIntegrator: string;
   lifiApiKey?: string;
@@ -100,6 +124,16 @@ export function loadEnv(): RuntimeEnv {
       .filter(Boolean);
   };
 
+  // Unset, non-numeric or non-positive values fall back to the default
+  const parsePositive = (name: string, fallback: number): number => {
+    const raw = process.env[name];
+    if (raw === undefined || raw === '') return fallback;
+    const n = Number(raw);
+    if (Number.isFinite(n) && n > 0) return n;
+    console.warn(`   ⚠️ ${name}=${raw} is not a positive number. Using ${fallback}.`);
+    return fallback;
+  };
+
   // --- Load Wallets from File (wallets.txt) ---
   const loadWalletsFromFile = (): string[] => {
       const fileName = process.env.WALLETS_FILE_PATH || 'wallets.txt';
@@ -155,6 +189,9 @@ export function loadEnv(): RuntimeEnv {
     retryLimit: Number(process.env.RETRY_LIMIT ?? 3),
     aggregationEnabled: String(process.env.TRADE_AGGREGATION_ENABLED ?? 'false') === 'true',
     aggregationWindowSeconds: Number(process.env.TRADE_AGGREGATION_WINDOW_SECONDS ?? 300),
+    aggregationQuietSeconds: process.env.TRADE_AGGREGATION_QUIET_SECONDS ? Number(process.env.TRADE_AGGREGATION_QUIET_SECONDS) : undefined,
+    aggregationFlushUsd: Number(process.env.TRADE_AGGREGATION_FLUSH_USD ?? 1000),
+    monitorMode: String(process.env.MONITOR_MODE ?? 'stream').toLowerCase() === 'poll' ? 'poll' : 'stream',
     
     // FORCE USE OF BRIDGED USDC.e
     usdcContractAddress: TOKENS.USDC_BRIDGED,
@@ -188,6 +225,10 @@ export function loadEnv(): RuntimeEnv {
     twilioFromNumber: process.env.TWILIO_FROM_NUMBER,
     userPhoneNumber: process.env.USER_PHONE_NUMBER,
     
+    // AI gate
+    aiGlobalCallsPerMinute: parsePositive('AI_GLOBAL_CALLS_PER_MINUTE', 300),
+    aiGlobalBurst: parsePositive('AI_GLOBAL_BURST', 50),
+
     // Li.Fi
     lifiIntegrator: process.env.LIFI_INTEGRATOR || 'BetMirror',
     lifiApiKey: process.env.LIFI_API_KEY,
@@ -0,0 +1,23 @@
+import { describe, expect, it } from 'vitest';
+import { parseExitRules, resolveExitRules } from './exit-rules.js';
+
+describe('exit rules', () => {
+  it('parses only the rules that were set', () => {
+    expect(parseExitRules({ stopLossPercent: 150, takeProfitPercent: 0 })).toEqual({ stopLossPercent: 100 });
+  });
+
+  it('keeps bot-wide rules a partial position override leaves out', () => {
+    const override = parseExitRules({ stopLossPercent: 10 });
+    expect(resolveExitRules(override, { takeProfitPercent: 50, maxHoldHours: 24 })).toEqual({
+      takeProfitPercent: 50,
+      stopLossPercent: 10,
+      trailingStopPercent: undefined,
+      maxHoldHours: 24
+    });
+  });
+
+  it('falls back to autoTp for take-profit', () => {
+    expect(resolveExitRules(undefined, {}, 30).takeProfitPercent).toBe(30);
+    expect(resolveExitRules({ takeProfitPercent: 5 }, {}, 30).takeProfitPercent).toBe(5);
+  });
+});
@@ -0,0 +1,36 @@
+import type { ExitRules } from '../domain/trade.types.js';
+
+/**
+ * Normalizes exit rules (take-profit / stop-loss / trailing / time) from a request body.
+ * Only the rules that were set come back, so a partial per-position override never
+ * shadows the bot-wide value of a rule it leaves out.
+ */
+export function parseExitRules(raw: any): ExitRules | undefined {
+  if (!raw) return undefined;
+  const positive = (v: any) => (v !== undefined && v !== null && Number(v) > 0 ? Number(v) : undefined);
+  const percent = (v: any) => (positive(v) !== undefined ? Math.min(100, positive(v)!) : undefined);
+
+  const rules: ExitRules = {
+    takeProfitPercent: positive(raw.takeProfitPercent),
+    stopLossPercent: percent(raw.stopLossPercent),
+    trailingStopPercent: percent(raw.trailingStopPercent),
+    maxHoldHours: positive(raw.maxHoldHours)
+  };
+  for (const key of Object.keys(rules) as (keyof ExitRules)[]) {
+    if (rules[key] === undefined) delete rules[key];
+  }
+  return rules;
+}
+
+/**
+ * Rules for a position, field by field: its own override wins over the bot-wide rules,
+ * and the legacy autoTp setting is the take-profit fallback.
+ */
+export function resolveExitRules(position: ExitRules | undefined, defaults: ExitRules | undefined, autoTp?: number): ExitRules {
+  return {
+    takeProfitPercent: position?.takeProfitPercent ?? defaults?.takeProfitPercent ?? autoTp,
+    stopLossPercent: position?.stopLossPercent ?? defaults?.stopLossPercent,
+    trailingStopPercent: position?.trailingStopPercent ?? defaults?.trailingStopPercent,
+    maxHoldHours: position?.maxHoldHours ?? defaults?.maxHoldHours
+  };
+}
@@ -0,0 +1,147 @@
+/**
+ * Declarative rules for markets we never copy into. Every field is optional; an empty set passes everything.
+ * Tags and keywords are matched case-insensitively.
+ */
+export interface MarketFilters {
+  allowTags?: string[];           // When set, the market needs at least one of these tags/categories
+  denyTags?: string[];
+  minHoursToResolution?: number;
+  maxHoursToResolution?: number;
+  minVolumeUsd?: number;
+  minLiquidityUsd?: number;
+  minPrice?: number;              // Outcome price band, 0-1
+  maxPrice?: number;
+  blockedKeywords?: string[];     // Matched against the market question
+  onMissingMetadata?: 'SKIP' | 'ALLOW'; // Gamma lookup failed or found nothing (default SKIP)
+}
+
+export type MarketFilterKind =
+  | 'ALLOW_TAGS'
+  | 'DENY_TAGS'
+  | 'MIN_TIME_TO_RESOLUTION'
+  | 'MAX_TIME_TO_RESOLUTION'
+  | 'MIN_VOLUME'
+  | 'MIN_LIQUIDITY'
+  | 'PRICE_BAND'
+  | 'KEYWORD'
+  | 'METADATA_UNAVAILABLE';
+
+export interface MarketFilterInput {
+  question?: string;
+  tags: string[];           // Tag slugs/labels plus the market category
+  endDate?: string;
+  volumeUsd?: number;
+  liquidityUsd?: number;
+  price: number;
+}
+
+export type MarketFilterResult = { passed: true } | { passed: false; filter: MarketFilterKind; reason: string };
+
+/**
+ * Returns the first filter that rejects the market. Filters whose data is missing
+ * (e.g. no end date published) do not fire, except the tag allow list.
+ */
+export function evaluateMarketFilters(filters: MarketFilters | undefined, market: MarketFilterInput, now = Date.now()): MarketFilterResult {
+  if (!filters) return { passed: true };
+  const tags = market.tags.map(t => t.toLowerCase());
+
+  if (filters.allowTags?.length) {
+    const allowed = filters.allowTags.map(t => t.toLowerCase());
+    if (!tags.some(t => allowed.includes(t))) {
+      return { passed: false, filter: 'ALLOW_TAGS', reason: `tags [${tags.join(', ') || 'none'}] not in allow list` };
+    }
+  }
+
+  if (filters.denyTags?.length) {
+    const hit = filters.denyTags.find(t => tags.includes(t.toLowerCase()));
+    if (hit) return { passed: false, filter: 'DENY_TAGS', reason: `tag "${hit}" is denied` };
+  }
+
+  const endTime = market.endDate ? new Date(market.endDate).getTime() : NaN;
+  if (Number.isFinite(endTime)) {
+    const hoursLeft = (endTime - now) / 3600000;
+    if (filters.minHoursToResolution !== undefined && hoursLeft < filters.minHoursToResolution) {
+      return { passed: false, filter: 'MIN_TIME_TO_RESOLUTION', reason: `resolves in ${hoursLeft.toFixed(1)}h (min ${filters.minHoursToResolution}h)` };
+    }
+    if (filters.maxHoursToResolution !== undefined && hoursLeft > filters.maxHoursToResolution) {
+      return { passed: false, filter: 'MAX_TIME_TO_RESOLUTION', reason: `resolves in ${hoursLeft.toFixed(1)}h (max ${filters.maxHoursToResolution}h)` };
+    }
+  }
+
+  if (filters.minVolumeUsd !== undefined && market.volumeUsd !== undefined && market.volumeUsd < filters.minVolumeUsd) {
+    return { passed: false, filter: 'MIN_VOLUME', reason: `volume $${market.volumeUsd.toFixed(0)} < $${filters.minVolumeUsd}` };
+  }
+
+  if (filters.minLiquidityUsd !== undefined && market.liquidityUsd !== undefined && market.liquidityUsd < filters.minLiquidityUsd) {
+    return { passed: false, filter: 'MIN_LIQUIDITY', reason: `liquidity $${market.liquidityUsd.toFixed(0)} < $${filters.minLiquidityUsd}` };
+  }
+
+  if ((filters.minPrice !== undefined && market.price < filters.minPrice) || (filters.maxPrice !== undefined && market.price > filters.maxPrice)) {
+    return { passed: false, filter: 'PRICE_BAND', reason: `price ${market.price} outside [${filters.minPrice ?? 0}, ${filters.maxPrice ?? 1}]` };
+  }
+
+  if (filters.blockedKeywords?.length && market.question) {
+    const question = market.question.toLowerCase();
+    const hit = filters.blockedKeywords.find(k => question.includes(k.toLowerCase()));
+    if (hit) return { passed: false, filter: 'KEYWORD', reason: `question matches "${hit}"` };
+  }
+
+  return { passed: true };
+}
+
+/**
+ * Validates the filter set coming from the API.
+ */
+/**
+ * Whether any set filter reads gamma metadata. The price band only needs the signal.
+ */
+export function needsMarketMetadata(filters: MarketFilters): boolean {
+  return !!(filters.allowTags?.length || filters.denyTags?.length || filters.blockedKeywords?.length)
+    || filters.minHoursToResolution !== undefined
+    || filters.maxHoursToResolution !== undefined
+    || filters.minVolumeUsd !== undefined
+    || filters.minLiquidityUsd !== undefined;
+}
+
+export function validateMarketFilters(raw: any): { filters?: MarketFilters; error?: string } {
+  if (!raw) return {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'marketFilters must be an object' };
+
+  const filters: MarketFilters = {};
+
+  for (const key of ['allowTags', 'denyTags', 'blockedKeywords'] as const) {
+    if (raw[key] === undefined) continue;
+    if (!Array.isArray(raw[key]) || raw[key].some((v: any) => typeof v !== 'string' || !v.trim())) {
+      return { error: `${key} must be an array of non-empty strings` };
+    }
+    filters[key] = raw[key].map((v: string) => v.trim());
+  }
+
+  for (const key of ['minHoursToResolution', 'maxHoursToResolution', 'minVolumeUsd', 'minLiquidityUsd'] as const) {
+    if (raw[key] === undefined) continue;
+    const n = Number(raw[key]);
+    if (!Number.isFinite(n) || n < 0) return { error: `${key} must be >= 0` };
+    filters[key] = n;
+  }
+
+  for (const key of ['minPrice', 'maxPrice'] as const) {
+    if (raw[key] === undefined) continue;
+    const n = Number(raw[key]);
+    if (!Number.isFinite(n) || n < 0 || n > 1) return { error: `${key} must be between 0 and 1` };
+    filters[key] = n;
+  }
+
+  if (raw.onMissingMetadata !== undefined) {
+    if (raw.onMissingMetadata !== 'SKIP' && raw.onMissingMetadata !== 'ALLOW') return { error: 'onMissingMetadata must be SKIP or ALLOW' };
+    filters.onMissingMetadata = raw.onMissingMetadata;
+  }
+
+  if (filters.minHoursToResolution !== undefined && filters.maxHoursToResolution !== undefined && filters.minHoursToResolution > filters.maxHoursToResolution) {
+    return { error: 'minHoursToResolution must not exceed maxHoursToResolution' };
+  }
+  if (filters.minPrice !== undefined && filters.maxPrice !== undefined && filters.minPrice > filters.maxPrice) {
+    return { error: 'minPrice must not exceed maxPrice' };
+  }
+
+  return { filters };
+}
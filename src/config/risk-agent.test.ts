@@ -0,0 +1,10 @@
+import { describe, expect, it } from 'vitest';
+import { defaultAiFailurePolicy } from './risk-agent.js';
+
+describe('defaultAiFailurePolicy', () => {
+  it('keeps degen bots copying when the model fails and skips for the other profiles', () => {
+    expect(defaultAiFailurePolicy('degen')).toBe('OPEN');
+    expect(defaultAiFailurePolicy('balanced')).toBe('CLOSED');
+    expect(defaultAiFailurePolicy(undefined)).toBe('CLOSED');
+  });
+});
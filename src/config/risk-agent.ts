@@ -0,0 +1,153 @@
+/**
+ * Which backend gates signals before execution. Defaults to Gemini.
+ * OPENAI_COMPATIBLE covers hosted APIs and local model servers that speak /chat/completions.
+ * RULES is deterministic and makes no network calls.
+ */
+export type RiskAgentConfig =
+  | { type: 'GEMINI'; model?: string }
+  | { type: 'OPENAI_COMPATIBLE'; baseUrl: string; model: string; apiKeyEnv?: string; timeoutMs?: number }
+  | { type: 'RULES'; rules?: RiskRules };
+
+/**
+ * Thresholds for the rules agent. Unset fields use the risk profile's defaults.
+ */
+export interface RiskRules {
+  minPrice?: number;
+  maxPrice?: number;
+  maxSpreadCents?: number;
+  minDepthUsd?: number;
+  maxEventExposureUsd?: number;
+  minWhaleWinRate?: number;      // Percent; unlisted whales pass unless requireListedWhale is set
+  requireListedWhale?: boolean;
+}
+
+export const RISK_AGENT_TYPES: RiskAgentConfig['type'][] = ['GEMINI', 'OPENAI_COMPATIBLE', 'RULES'];
+
+/**
+ * Validates the agent selection coming from the API. API keys are never accepted in the bot config;
+ * OPENAI_COMPATIBLE names the environment variable that holds one instead.
+ */
+export function validateRiskAgentConfig(raw: any): { agent?: RiskAgentConfig; error?: string } {
+  if (!raw) return {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'riskAgent must be an object' };
+
+  const type = String(raw.type || '').toUpperCase() as RiskAgentConfig['type'];
+  switch (type) {
+    case 'GEMINI':
+      if (raw.model !== undefined && (typeof raw.model !== 'string' || !raw.model.trim())) return { error: 'GEMINI model must be a non-empty string' };
+      return { agent: { type, model: raw.model?.trim() } };
+
+    case 'OPENAI_COMPATIBLE': {
+      if (typeof raw.baseUrl !== 'string' || !/^https?:\/\//.test(raw.baseUrl)) return { error: 'OPENAI_COMPATIBLE requires an http(s) baseUrl' };
+      if (typeof raw.model !== 'string' || !raw.model.trim()) return { error: 'OPENAI_COMPATIBLE requires a model' };
+      if (raw.apiKey !== undefined) return { error: 'Pass apiKeyEnv (the name of an environment variable) instead of apiKey' };
+      if (raw.apiKeyEnv !== undefined && (typeof raw.apiKeyEnv !== 'string' || !/^[A-Z_][A-Z0-9_]*$/.test(raw.apiKeyEnv))) {
+        return { error: 'apiKeyEnv must be an environment variable name' };
+      }
+      const timeoutMs = raw.timeoutMs !== undefined ? Number(raw.timeoutMs) : undefined;
+      if (timeoutMs !== undefined && (!Number.isFinite(timeoutMs) || timeoutMs <= 0)) return { error: 'timeoutMs must be > 0' };
+      return { agent: { type, baseUrl: raw.baseUrl.replace(/\/+$/, ''), model: raw.model.trim(), apiKeyEnv: raw.apiKeyEnv, timeoutMs } };
+    }
+
+    case 'RULES': {
+      if (raw.rules === undefined) return { agent: { type } };
+      if (typeof raw.rules !== 'object' || Array.isArray(raw.rules)) return { error: 'RULES rules must be an object' };
+      const rules: RiskRules = {};
+      for (const key of ['minPrice', 'maxPrice'] as const) {
+        if (raw.rules[key] === undefined) continue;
+        const n = Number(raw.rules[key]);
+        if (!Number.isFinite(n) || n < 0 || n > 1) return { error: `${key} must be between 0 and 1` };
+        rules[key] = n;
+      }
+      for (const key of ['maxSpreadCents', 'minDepthUsd', 'maxEventExposureUsd', 'minWhaleWinRate'] as const) {
+        if (raw.rules[key] === undefined) continue;
+        const n = Number(raw.rules[key]);
+        if (!Number.isFinite(n) || n < 0) return { error: `${key} must be >= 0` };
+        rules[key] = n;
+      }
+      if (raw.rules.requireListedWhale !== undefined) rules.requireListedWhale = raw.rules.requireListedWhale === true;
+      if (rules.minPrice !== undefined && rules.maxPrice !== undefined && rules.minPrice > rules.maxPrice) {
+        return { error: 'minPrice must not exceed maxPrice' };
+      }
+      return { agent: { type, rules } };
+    }
+
+    default:
+      return { error: `Unknown risk agent "${raw.type}". Expected one of ${RISK_AGENT_TYPES.join(', ')}` };
+  }
+}
+
+/**
+ * What a model-backed agent decides when it cannot produce a valid answer (network error, or
+ * output that still fails validation after the repair attempt). CLOSED skips the signal,
+ * OPEN copies it, RULES asks the rules agent with the risk profile's defaults.
+ */
+export type AiFailurePolicy = 'OPEN' | 'CLOSED' | 'RULES';
+
+export const AI_FAILURE_POLICIES: AiFailurePolicy[] = ['OPEN', 'CLOSED', 'RULES'];
+
+/**
+ * Policy for bots that never chose one. Degen bots always copied when the model failed, so they
+ * keep OPEN; the other profiles skip the signal.
+ */
+/**
+ * Names the model behind an agent config. Bots whose agents share a scope share cached decisions.
+ */
+export function riskAgentScope(config?: RiskAgentConfig): string {
+  switch (config?.type) {
+    case 'OPENAI_COMPATIBLE':
+      return `openai:${config.baseUrl}:${config.model}`;
+    case 'RULES':
+      return 'rules';
+    default:
+      return `gemini:${config?.model || 'default'}`;
+  }
+}
+
+export function defaultAiFailurePolicy(riskProfile?: string): AiFailurePolicy {
+  return riskProfile === 'degen' ? 'OPEN' : 'CLOSED';
+}
+
+export function validateAiFailurePolicy(raw: any): { policy?: AiFailurePolicy; error?: string } {
+  if (raw === undefined || raw === null || raw === '') return {};
+  const policy = String(raw).toUpperCase() as AiFailurePolicy;
+  if (!AI_FAILURE_POLICIES.includes(policy)) {
+    return { error: `Unknown policy "${raw}". Expected one of ${AI_FAILURE_POLICIES.join(', ')}` };
+  }
+  return { policy };
+}
+
+/**
+ * Caching and rate limiting in front of a model-backed agent. Signals for the same market, outcome
+ * and side within one price bucket reuse a decision for cacheTtlSeconds, and each bot may start at
+ * most callsPerMinute new analyses (bursts up to burst). The platform-wide budget comes from ENV.
+ */
+export interface AiThrottleConfig {
+  cacheTtlSeconds: number;         // 0 disables the cache; concurrent identical requests are still shared
+  priceBucketCents: number;
+  callsPerMinute: number;
+  burst: number;
+  fallback?: AiFailurePolicy;      // Decision when a budget is exhausted; defaults to the bot's aiFailurePolicy
+}
+
+export const DEFAULT_AI_THROTTLE: AiThrottleConfig = { cacheTtlSeconds: 60, priceBucketCents: 2, callsPerMinute: 20, burst: 5 };
+
+export function validateAiThrottle(raw: any): { throttle?: AiThrottleConfig; error?: string } {
+  if (!raw) return {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'aiThrottle must be an object' };
+
+  const throttle: AiThrottleConfig = { ...DEFAULT_AI_THROTTLE };
+  for (const key of ['cacheTtlSeconds', 'priceBucketCents', 'callsPerMinute', 'burst'] as const) {
+    if (raw[key] === undefined) continue;
+    const n = Number(raw[key]);
+    if (!Number.isFinite(n) || n < 0) return { error: `${key} must be >= 0` };
+    throttle[key] = n;
+  }
+  if (throttle.priceBucketCents <= 0) return { error: 'priceBucketCents must be > 0' };
+  if (throttle.callsPerMinute <= 0 || throttle.burst < 1) return { error: 'callsPerMinute must be > 0 and burst >= 1' };
+
+  const fallback = validateAiFailurePolicy(raw.fallback);
+  if (fallback.error) return { error: `fallback: ${fallback.error}` };
+  throttle.fallback = fallback.policy;
+  return { throttle };
+}
@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import { followedTargets, rebuildTargets } from './target-overrides.js';
+
+describe('target follow set', () => {
+  it('adds override-only wallets to the listed targets', () => {
+    expect(followedTargets(['0xAA', ''], { '0xaa': {}, '0xbb': {} })).toEqual(['0xAA', '0xbb']);
+  });
+
+  it('unfollows a wallet whose override is removed', () => {
+    const current = { userAddresses: ['0xaa', '0xbb'], listedAddresses: ['0xaa'], targetOverrides: { '0xbb': {} } };
+    expect(rebuildTargets(current, undefined, {}).userAddresses).toEqual(['0xaa']);
+  });
+
+  it('drops overrides of wallets a new target list no longer contains', () => {
+    const current = { userAddresses: ['0xaa', '0xbb'], listedAddresses: ['0xaa', '0xbb'], targetOverrides: { '0xbb': {} } };
+    const next = rebuildTargets(current, ['0xaa']);
+    expect(next.userAddresses).toEqual(['0xaa']);
+    expect(next.targetOverrides).toEqual({});
+  });
+
+  it('treats override wallets in legacy configs as override-only', () => {
+    const current = { userAddresses: ['0xaa', '0xbb'], targetOverrides: { '0xbb': {} } };
+    const next = rebuildTargets(current, undefined, {});
+    expect(next.listedAddresses).toEqual(['0xaa']);
+    expect(next.userAddresses).toEqual(['0xaa']);
+  });
+});
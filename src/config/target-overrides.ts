@@ -0,0 +1,138 @@
+import { SizingStrategy, validateSizingStrategy } from './copy-strategy.js';
+
+export type RiskProfileSetting = 'conservative' | 'balanced' | 'degen';
+export type LiquiditySetting = 'HIGH' | 'MEDIUM' | 'LOW';
+
+/**
+ * ALL copies everything, BUYS_ONLY ignores the trader's exits and
+ * SELLS_ONLY only mirrors exits of positions we already hold.
+ */
+export type CopyMode = 'ALL' | 'BUYS_ONLY' | 'SELLS_ONLY';
+
+export interface TargetOverride {
+  multiplier?: number;
+  riskProfile?: RiskProfileSetting;
+  maxTradeAmount?: number;
+  minLiquidityFilter?: LiquiditySetting;
+  sizingStrategy?: SizingStrategy;
+  mode?: CopyMode;
+}
+
+// Keyed by lowercase target wallet address
+export type TargetOverrides = Record<string, TargetOverride>;
+
+export type EffectiveTargetSettings = Required<Omit<TargetOverride, 'maxTradeAmount'>> & {
+  maxTradeAmount?: number;
+};
+
+const RISK_PROFILES: RiskProfileSetting[] = ['conservative', 'balanced', 'degen'];
+const LIQUIDITY_LEVELS: LiquiditySetting[] = ['HIGH', 'MEDIUM', 'LOW'];
+const COPY_MODES: CopyMode[] = ['ALL', 'BUYS_ONLY', 'SELLS_ONLY'];
+
+/**
+ * Merges the bot-wide defaults with the override for `trader` (if any).
+ */
+export function resolveTargetSettings(
+  defaults: EffectiveTargetSettings,
+  overrides: TargetOverrides | undefined,
+  trader: string
+): EffectiveTargetSettings {
+  const override = overrides?.[trader.toLowerCase()];
+  if (!override) return defaults;
+
+  return {
+    multiplier: override.multiplier ?? defaults.multiplier,
+    riskProfile: override.riskProfile ?? defaults.riskProfile,
+    maxTradeAmount: override.maxTradeAmount ?? defaults.maxTradeAmount,
+    minLiquidityFilter: override.minLiquidityFilter ?? defaults.minLiquidityFilter,
+    sizingStrategy: override.sizingStrategy ?? defaults.sizingStrategy,
+    mode: override.mode ?? defaults.mode
+  };
+}
+
+/**
+ * Wallets a bot follows: the listed targets plus every wallet with an override.
+ */
+export function followedTargets(listed: string[], overrides?: TargetOverrides): string[] {
+  const merged = new Map(listed.filter(Boolean).map(a => [a.toLowerCase(), a]));
+  for (const wallet of Object.keys(overrides || {})) {
+    if (!merged.has(wallet)) merged.set(wallet, wallet);
+  }
+  return Array.from(merged.values());
+}
+
+/**
+ * Recomputes the followed set after the listed targets and/or overrides changed. It is always
+ * built from the current lists, never from the previous followed set, so removing a target or an
+ * override unfollows the wallet. A new target list is authoritative: overrides of wallets it no
+ * longer lists are dropped unless new overrides come with it.
+ *
+ * Configs saved before listedAddresses existed only have the merged list; wallets in it that have
+ * an override are treated as override-only.
+ */
+export function rebuildTargets(
+  current: { userAddresses?: string[]; listedAddresses?: string[]; targetOverrides?: TargetOverrides },
+  targets?: string[],
+  overrides?: TargetOverrides
+): { userAddresses: string[]; listedAddresses: string[]; targetOverrides: TargetOverrides } {
+  const previousOverrides = current.targetOverrides || {};
+  const listed = (targets || current.listedAddresses
+    || (current.userAddresses || []).filter(a => !previousOverrides[a.toLowerCase()])).filter(Boolean);
+
+  let targetOverrides = overrides || previousOverrides;
+  if (targets && !overrides) {
+    const keep = new Set(listed.map(a => a.toLowerCase()));
+    targetOverrides = Object.fromEntries(Object.entries(targetOverrides).filter(([wallet]) => keep.has(wallet)));
+  }
+
+  return { userAddresses: followedTargets(listed, targetOverrides), listedAddresses: listed, targetOverrides };
+}
+
+/**
+ * Validates the per-target override map coming from the API. Keys are normalized to lowercase.
+ */
+export function validateTargetOverrides(raw: any): { overrides?: TargetOverrides; error?: string } {
+  if (!raw) return { overrides: {} };
+  if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'targetOverrides must be an object keyed by wallet address' };
+
+  const overrides: TargetOverrides = {};
+  for (const [wallet, value] of Object.entries<any>(raw)) {
+    if (!/^0x[a-fA-F0-9]{40}$/.test(wallet)) return { error: `Invalid target wallet "${wallet}"` };
+    if (!value || typeof value !== 'object') return { error: `Override for ${wallet} must be an object` };
+
+    const override: TargetOverride = {};
+
+    if (value.multiplier !== undefined) {
+      const m = Number(value.multiplier);
+      if (!Number.isFinite(m) || m <= 0) return { error: `${wallet}: multiplier must be > 0` };
+      override.multiplier = m;
+    }
+    if (value.riskProfile !== undefined) {
+      if (!RISK_PROFILES.includes(value.riskProfile)) return { error: `${wallet}: riskProfile must be one of ${RISK_PROFILES.join(', ')}` };
+      override.riskProfile = value.riskProfile;
+    }
+    if (value.maxTradeAmount !== undefined) {
+      const max = Number(value.maxTradeAmount);
+      if (!Number.isFinite(max) || max <= 0) return { error: `${wallet}: maxTradeAmount must be > 0` };
+      override.maxTradeAmount = max;
+    }
+    if (value.minLiquidityFilter !== undefined) {
+      if (!LIQUIDITY_LEVELS.includes(value.minLiquidityFilter)) return { error: `${wallet}: minLiquidityFilter must be one of ${LIQUIDITY_LEVELS.join(', ')}` };
+      override.minLiquidityFilter = value.minLiquidityFilter;
+    }
+    if (value.mode !== undefined) {
+      const mode = String(value.mode).toUpperCase() as CopyMode;
+      if (!COPY_MODES.includes(mode)) return { error: `${wallet}: mode must be one of ${COPY_MODES.join(', ')}` };
+      override.mode = mode;
+    }
+    if (value.sizingStrategy !== undefined) {
+      const sizing = validateSizingStrategy(value.sizingStrategy);
+      if (sizing.error) return { error: `${wallet}: ${sizing.error}` };
+      override.sizingStrategy = sizing.strategy;
+    }
+
+    overrides[wallet.toLowerCase()] = override;
+  }
+
+  return { overrides };
+}
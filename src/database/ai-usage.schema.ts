@@ -0,0 +1,38 @@
+import mongoose, { Schema, Document } from 'mongoose';
+
+// Running AI gate usage per user, across restarts and agent changes.
+export interface IAiUsage extends Document {
+  userId: string;
+  calls: number;          // Decisions the agent produced (bypasses excluded)
+  failures: number;       // Calls decided by the failure policy (errors, or invalid output after the repair)
+  repairs: number;        // Calls whose first answer was invalid but the repair attempt was accepted
+  bypassed: number;       // Signals let through because no credentials were configured
+  cacheHits: number;      // Decisions reused from an identical recent or in-flight call
+  throttled: number;      // Signals decided by the fallback because a rate limit was reached
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+  lastAgent?: string;
+  lastCallAt?: Date;
+  lastFailureAt?: Date;
+  lastError?: string;
+}
+
+const AiUsageSchema = new Schema<IAiUsage>({
+  userId: { type: String, required: true, unique: true, index: true },
+  calls: { type: Number, default: 0 },
+  failures: { type: Number, default: 0 },
+  repairs: { type: Number, default: 0 },
+  bypassed: { type: Number, default: 0 },
+  cacheHits: { type: Number, default: 0 },
+  throttled: { type: Number, default: 0 },
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  totalTokens: { type: Number, default: 0 },
+  lastAgent: String,
+  lastCallAt: Date,
+  lastFailureAt: Date,
+  lastError: String
+});
+
+export const AiUsage = mongoose.model<IAiUsage>('AiUsage', AiUsageSchema);
@@ -0,0 +1,46 @@
+import mongoose, { Schema, Document } from 'mongoose';
+import { TradeSignal } from '../domain/trade.types.js';
+
+// Resting (GTC) copy orders and their fill progress, so fills and TTL
+// cancels survive a restart.
+export interface ICopyOrder extends Document {
+  userId: string;
+  orderId: string;
+  marketId: string;
+  tokenId: string;
+  outcome: string;
+  side: 'BUY' | 'SELL';
+  price: number;
+  sharesRequested: number;
+  sharesFilled: number;
+  status: 'LIVE' | 'PARTIAL' | 'FILLED' | 'CANCELLED' | 'EXPIRED';
+  signal: TradeSignal;
+  aiReasoning?: string;
+  aiRawResponses?: string[];
+  riskScore?: number;
+  createdAt: Date;
+  expiresAt: Date;
+  updatedAt: Date;
+}
+
+const CopyOrderSchema = new Schema<ICopyOrder>({
+  userId: { type: String, required: true, index: true },
+  orderId: { type: String, required: true, unique: true },
+  marketId: { type: String, required: true },
+  tokenId: { type: String, required: true },
+  outcome: String,
+  side: { type: String, required: true },
+  price: Number,
+  sharesRequested: Number,
+  sharesFilled: { type: Number, default: 0 },
+  status: { type: String, required: true, index: true },
+  signal: { type: Schema.Types.Mixed },
+  aiReasoning: String,
+  aiRawResponses: { type: [String], default: undefined },
+  riskScore: Number,
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+export const CopyOrder = mongoose.model<ICopyOrder>('CopyOrder', CopyOrderSchema);
@@ -14,6 +14,7 @@ DatabaseEncryptionService.init(process.env.MONGO_ENCRYPTION_KEY || '');
 export interface IUser extends Document {
   address: string;
   tradingWallet?: TradingWalletConfig; 
+  aiCredentials?: { geminiApiKey?: string };
   activeBotConfig?: BotConfig;
   isBotRunning: boolean;
   activePositions: ActivePosition[];
@@ -28,8 +29,9 @@ export interface ITrade extends Document {
   userId: string;
   marketId: string;
   clobOrderId?: string; 
-  assetId?: string;
-  outcome: string;
+  assetId?: string;      // CLOB token ID of the outcome traded
+  sourceWallet?: string; // Whale wallet whose signal this trade copied
+  outcome: string;       // Market's outcome label (YES/NO, team name, Over/Under...)
   side: 'BUY' | 'SELL';
   size: number;         
   executedSize: number; 
@@ -38,6 +40,7 @@ export interface ITrade extends Document {
   status: string;
   txHash?: string;
   aiReasoning?: string;
+  aiRawResponses?: string[]; // Model output behind aiReasoning, for audit
   riskScore?: number;
   timestamp: Date;
   marketSlug?: string;
@@ -97,6 +100,10 @@ const ActivePositionSchema = new Schema<ActivePosition>({
   currentPrice: Number,
   question: String,
   image: String,
+  trader: String,
+  whaleEntryShares: Number,
+  exitRules: { type: Schema.Types.Mixed },
+  peakPrice: Number,
   marketSlug: { 
     type: String, 
     default: "",
@@ -148,7 +155,15 @@ const TradingWalletSchema = new Schema({
   }
 }, { _id: false });
 
+const AiCredentialsSchema = new Schema({
+  geminiApiKey: {
+    type: String,
+    select: false // Never include in queries by default
+  }
+}, { _id: false });
+
 // Apply field-level encryption to sensitive fields
+DatabaseEncryptionService.createEncryptionMiddleware(AiCredentialsSchema, 'geminiApiKey');
 DatabaseEncryptionService.createEncryptionMiddleware(TradingWalletSchema, 'encryptedPrivateKey');
 DatabaseEncryptionService.createEncryptionMiddleware(TradingWalletSchema, 'l2ApiCredentials.key');
 DatabaseEncryptionService.createEncryptionMiddleware(TradingWalletSchema, 'l2ApiCredentials.secret');
@@ -157,6 +172,7 @@ DatabaseEncryptionService.createEncryptionMiddleware(TradingWalletSchema, 'l2Api
 const UserSchema = new Schema<IUser>({
   address: { type: String, required: true, unique: true, index: true },
   tradingWallet: TradingWalletSchema, 
+  aiCredentials: AiCredentialsSchema,
   activeBotConfig: { type: Schema.Types.Mixed }, 
   isBotRunning: { type: Boolean, default: false },
   activePositions: [ActivePositionSchema],
@@ -180,7 +196,8 @@ const TradeSchema = new Schema<ITrade>({
   userId: { type: String, required: true, index: true },
   marketId: { type: String, required: true },
   clobOrderId: { type: String, index: true }, 
-  assetId: String,
+  assetId: { type: String, index: true },
+  sourceWallet: { type: String, index: true },
   outcome: String,
   side: String,
   size: Number,
@@ -190,6 +207,7 @@ const TradeSchema = new Schema<ITrade>({
   status: String,
   txHash: String,
   aiReasoning: String,
+  aiRawResponses: { type: [String], default: undefined },
   riskScore: Number,
   timestamp: { type: Date, default: Date.now },
   marketSlug: { 
@@ -274,6 +292,9 @@ export const Feedback = mongoose.model<IFeedback>('Feedback', FeedbackSchema);
 
 // Re-export trade tracking models
 export { CopiedTrade, HunterEarning, WalletAnalytics } from './trade-tracking.schema.js';
+export { SignalCursor } from './signal-cursor.schema.js';
+export { CopyOrder } from './copy-order.schema.js';
+export { AiUsage } from './ai-usage.schema.js';
 
 export const BridgeTransaction = mongoose.model<IBridgeTransaction>('BridgeTransaction', BridgeTransactionSchema);
 export const DepositLog = mongoose.model<IDepositLog>('DepositLog', DepositLogSchema);
@@ -0,0 +1,25 @@
+import mongoose, { Schema, Document } from 'mongoose';
+
+// Last whale activity a bot has processed, per user and target wallet.
+// Used to backfill the gap after a restart instead of dropping it as stale.
+export interface ISignalCursor extends Document {
+  userId: string;
+  targetWallet: string;
+  lastTimestamp: number; // ms
+  lastHash?: string;
+  seenKeys?: string[];   // Fills processed at lastTimestamp, so same-second fills are not replayed
+  updatedAt: Date;
+}
+
+const SignalCursorSchema = new Schema<ISignalCursor>({
+  userId: { type: String, required: true, index: true },
+  targetWallet: { type: String, required: true },
+  lastTimestamp: { type: Number, required: true },
+  lastHash: String,
+  seenKeys: { type: [String], default: undefined },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+SignalCursorSchema.index({ userId: 1, targetWallet: 1 }, { unique: true });
+
+export const SignalCursor = mongoose.model<ISignalCursor>('SignalCursor', SignalCursorSchema);
@@ -4,8 +4,10 @@ import mongoose, { Schema, Document } from 'mongoose';
 export interface ICopiedTrade extends Document {
   sourceWallet: string;
   copierUserId: string;
-  tradeId: string;
+  tradeId: string; // Our Trade record: the opening trade for BUYs, the closing trade for SELLs
+  closesTradeId?: string; // SELL only: opening trade whose position this sell reduced
   marketId: string;
+  assetId?: string;
   outcome: string;
   side: 'BUY' | 'SELL';
   sizeUsd: number;
@@ -44,8 +46,10 @@ export interface IWalletAnalytics extends Document {
 const CopiedTradeSchema = new Schema<ICopiedTrade>({
   sourceWallet: { type: String, required: true, index: true },
   copierUserId: { type: String, required: true, index: true },
-  tradeId: { type: String, required: true },
+  tradeId: { type: String, required: true, index: true },
+  closesTradeId: { type: String, index: true },
   marketId: { type: String, required: true },
+  assetId: String,
   outcome: { type: String, required: true },
   side: { type: String, required: true },
   sizeUsd: { type: Number, required: true },
@@ -57,6 +61,9 @@ const CopiedTradeSchema = new Schema<ICopiedTrade>({
   profitUsd: Number
 });
 
+// One record per executed order: fills of the same order accumulate into it
+CopiedTradeSchema.index({ copierUserId: 1, tradeId: 1, side: 1, txHash: 1 }, { unique: true });
+
 const HunterEarningSchema = new Schema<IHunterEarning>({
   hunterAddress: { type: String, required: true, index: true },
   sourceWallet: { type: String, required: true, index: true },
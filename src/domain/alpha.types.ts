@@ -46,6 +46,7 @@ export interface UserRewardRecord {
 // Interface to decouple Data Access (DB vs HTTP)
 export interface IRegistryService {
   getListerForWallet(walletAddress: string): Promise<string | null>;
+  getTraderProfile?(walletAddress: string): Promise<TraderProfile | null>;
 }
 
 export interface BuilderVolumeData {
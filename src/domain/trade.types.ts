@@ -2,17 +2,26 @@ export type TradeSignal = {
   trader: string;
   marketId: string;
   tokenId: string;
-  outcome: 'YES' | 'NO';
+  outcome: string; // Market's own label: YES/NO on binary markets, otherwise e.g. a team name or "Over"
+  outcomeIndex?: number;
   side: 'BUY' | 'SELL';
   sizeUsd: number;
   price: number;
   timestamp: number;
+  // Number of whale fills merged into this signal by the aggregation stage
+  fillCount?: number;
+  // Whale's transaction hash (used for per-bot dedup and persistent cursors)
+  txHash?: string;
+  // Transaction hash of every fill merged into this signal, in arrival order (aggregation stage only)
+  fillHashes?: string[];
+  // Set when the signal was recovered by the restart backfill rather than seen live
+  backfilled?: boolean;
 };
 
 export type TradeEvent = {
   trader: string;
   marketId: string;
-  outcome: 'YES' | 'NO';
+  outcome: string;
   side: 'BUY' | 'SELL';
   sizeUsd: number;
   price: number;
@@ -34,12 +43,23 @@ export type TradeHistoryEntry = {
   txHash?: string;
   // Metadata for UI
   aiReasoning?: string;
+  aiRawResponses?: string[]; // Model output behind aiReasoning, one entry per attempt
   riskScore?: number;
   // CLOB Tracking
   clobOrderId?: string;
   assetId?: string;
   marketSlug?: string;
   eventSlug?: string;
+  // Copy attribution
+  sourceWallet?: string;
+};
+
+// Automatic exit thresholds (percentages are relative to entry price)
+export type ExitRules = {
+  takeProfitPercent?: number;
+  stopLossPercent?: number;
+  trailingStopPercent?: number; // Drawdown from the highest price seen since entry
+  maxHoldHours?: number;
 };
 
 // Tracks open positions to calculate REAL PnL on sell
@@ -48,7 +68,7 @@ export interface ActivePosition {
   clobOrderId?: string; // The specific order ID on Polymarket
   marketId: string;
   tokenId: string;
-  outcome: 'YES' | 'NO';
+  outcome: string;
   entryPrice: number;
   shares: number; // Exact number of shares held (Critical for selling)
   sizeUsd: number; // Initial invested amount
@@ -63,6 +83,12 @@ export interface ActivePosition {
   endDate?: string;
   marketSlug?: string;
   eventSlug?: string;
+  // Whale wallet whose signal opened this position (per-target exposure)
+  trader?: string;
+  whaleEntryShares?: number; // Whale's shares of this outcome as seen through copied signals (sizes proportional exits)
+  // Exit engine state
+  exitRules?: ExitRules; // Per-position override of the bot-wide rules
+  peakPrice?: number;
   // Market State Tracking
   marketState?: 'ACTIVE' | 'CLOSED' | 'RESOLVED' | 'ARCHIVED';
   marketAcceptingOrders?: boolean;
@@ -0,0 +1,58 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { WebSocketServer, WebSocket } from 'ws';
+import { AddressInfo } from 'net';
+import { setTimeout as sleep } from 'timers/promises';
+import { WsFeedClient } from './ws-feed.client.js';
+import { Logger } from '../utils/logger.util.js';
+
+const logger: Logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {}, success: () => {} };
+const wait = sleep;
+
+describe('WsFeedClient health', () => {
+  let server: WebSocketServer | undefined;
+  let client: WsFeedClient | undefined;
+
+  afterEach(async () => {
+    client?.close();
+    await new Promise(resolve => server ? server.close(resolve) : resolve(undefined));
+  });
+
+  async function start(onConnection: (socket: WebSocket) => void) {
+    server = new WebSocketServer({ port: 0 });
+    server.on('connection', socket => {
+      socket.on('message', raw => { if (raw.toString() === 'PING') socket.send('PONG'); });
+      onConnection(socket);
+    });
+    await new Promise(resolve => server!.once('listening', resolve));
+    const changes: boolean[] = [];
+    client = new WsFeedClient({
+      name: 'Test',
+      url: `ws://127.0.0.1:${(server.address() as AddressInfo).port}`,
+      logger,
+      buildSubscription: () => ({ action: 'subscribe' }),
+      onMessage: () => {},
+      onHealthChange: healthy => changes.push(healthy),
+      isDataMessage: msg => msg?.topic === 'activity',
+      heartbeatMs: 20,
+      dataStaleAfterMs: 100
+    });
+    client.connect();
+    return changes;
+  }
+
+  it('stays unhealthy on a socket that only answers pings', async () => {
+    const changes = await start(socket => socket.send(JSON.stringify({ type: 'ack' })));
+    await wait(150);
+    expect(client!.isHealthy()).toBe(false);
+    expect(changes).toEqual([]);
+  });
+
+  it('turns healthy on subscription data and unhealthy when it stops', async () => {
+    const changes = await start(socket => socket.send(JSON.stringify({ topic: 'activity', payload: {} })));
+    await wait(50);
+    expect(client!.isHealthy()).toBe(true);
+    await wait(200);
+    expect(client!.isHealthy()).toBe(false);
+    expect(changes.slice(0, 2)).toEqual([true, false]);
+  });
+});
@@ -0,0 +1,203 @@
+import WebSocket from 'ws';
+import { Logger } from '../utils/logger.util.js';
+
+export type WsFeedOptions = {
+  name: string;
+  url: string;
+  logger: Logger;
+  // Built on every (re)connect so subscriptions always reflect current state.
+  buildSubscription: () => unknown | null;
+  onMessage: (message: any) => void;
+  onHealthChange?: (healthy: boolean) => void;
+  // Which messages prove the subscription is delivering. Defaults to every JSON message.
+  isDataMessage?: (message: any) => boolean;
+  heartbeatMs?: number;
+  staleAfterMs?: number;      // No frame at all (PONG included) for this long: reconnect
+  dataStaleAfterMs?: number;  // No subscription data for this long: unhealthy, resubscribe
+  maxBackoffMs?: number;
+};
+
+/**
+ * Self-healing WebSocket subscription.
+ * Reconnects with exponential backoff and re-sends the subscription after every reconnect.
+ * The feed is healthy only while subscription data keeps arriving: an open socket that
+ * answers PINGs but delivers nothing is not.
+ */
+export class WsFeedClient {
+  private socket?: WebSocket;
+  private heartbeatTimer?: NodeJS.Timeout;
+  private reconnectTimer?: NodeJS.Timeout;
+  private reconnectAttempts = 0;
+  private lastMessageAt = 0;
+  private lastDataAt = 0;
+  private healthy = false;
+  private closed = true;
+
+  private readonly heartbeatMs: number;
+  private readonly staleAfterMs: number;
+  private readonly dataStaleAfterMs: number;
+  private readonly maxBackoffMs: number;
+
+  constructor(private readonly options: WsFeedOptions) {
+    this.heartbeatMs = options.heartbeatMs ?? 10000;
+    this.staleAfterMs = options.staleAfterMs ?? 30000;
+    this.dataStaleAfterMs = options.dataStaleAfterMs ?? this.staleAfterMs;
+    this.maxBackoffMs = options.maxBackoffMs ?? 30000;
+  }
+
+  connect(): void {
+    this.closed = false;
+    this.open();
+  }
+
+  close(): void {
+    this.closed = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = undefined;
+    }
+    this.stopHeartbeat();
+    if (this.socket) {
+      this.socket.removeAllListeners();
+      this.socket.on('error', () => {});
+      this.socket.terminate();
+      this.socket = undefined;
+    }
+    this.setHealthy(false);
+  }
+
+  isHealthy(): boolean {
+    return this.healthy;
+  }
+
+  /**
+   * Re-sends the current subscription on a live socket (e.g. after the asset list changed).
+   */
+  resubscribe(): void {
+    if (this.socket?.readyState === WebSocket.OPEN) {
+      this.sendSubscription();
+    }
+  }
+
+  private open() {
+    if (this.closed) return;
+
+    const socket = new WebSocket(this.options.url);
+    this.socket = socket;
+
+    socket.on('open', () => {
+      this.reconnectAttempts = 0;
+      this.lastMessageAt = Date.now();
+      this.lastDataAt = this.lastMessageAt; // Starts the data staleness window
+      this.options.logger.info(`📡 [${this.options.name}] Stream connected.`);
+      this.sendSubscription();
+      this.startHeartbeat();
+      // Healthy once the first subscription payload arrives
+    });
+
+    socket.on('message', (raw: WebSocket.RawData) => {
+      this.lastMessageAt = Date.now();
+
+      const text = raw.toString();
+      if (text === 'PONG' || text === 'pong') return;
+
+      let messages: any[];
+      try {
+        const parsed = JSON.parse(text);
+        messages = Array.isArray(parsed) ? parsed : [parsed];
+      } catch (e) {
+        // Non-JSON frames (acks, plain text) are ignored
+        return;
+      }
+
+      for (const message of messages) {
+        if (!this.options.isDataMessage || this.options.isDataMessage(message)) {
+          this.lastDataAt = this.lastMessageAt;
+          if (!this.healthy) this.setHealthy(true);
+        }
+        try {
+          this.options.onMessage(message);
+        } catch (e: any) {
+          this.options.logger.warn(`[${this.options.name}] Message handler failed: ${e.message}`);
+        }
+      }
+    });
+
+    socket.on('close', () => {
+      this.stopHeartbeat();
+      this.setHealthy(false);
+      this.scheduleReconnect();
+    });
+
+    socket.on('error', (err: Error) => {
+      this.options.logger.warn(`[${this.options.name}] Stream error: ${err.message}`);
+      // 'close' follows 'error' and drives the reconnect
+    });
+  }
+
+  private sendSubscription() {
+    const subscription = this.options.buildSubscription();
+    if (subscription === null || !this.socket) return;
+    this.socket.send(typeof subscription === 'string' ? subscription : JSON.stringify(subscription));
+  }
+
+  private startHeartbeat() {
+    this.stopHeartbeat();
+    this.heartbeatTimer = setInterval(() => {
+      if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+
+      const now = Date.now();
+      if (now - this.lastMessageAt > this.staleAfterMs) {
+        this.options.logger.warn(`[${this.options.name}] Stream stale for ${Math.round(this.staleAfterMs / 1000)}s. Reconnecting...`);
+        this.setHealthy(false);
+        this.socket.terminate();
+        return;
+      }
+
+      const quietMs = now - this.lastDataAt;
+      if (this.healthy && quietMs > this.dataStaleAfterMs) {
+        this.options.logger.warn(`[${this.options.name}] No subscription data for ${Math.round(quietMs / 1000)}s. Marking unhealthy and resubscribing.`);
+        this.setHealthy(false);
+        this.sendSubscription();
+      } else if (!this.healthy && quietMs > this.dataStaleAfterMs * 2 && this.options.buildSubscription() !== null) {
+        this.options.logger.warn(`[${this.options.name}] Subscription still silent after ${Math.round(quietMs / 1000)}s. Reconnecting...`);
+        this.socket.terminate();
+        return;
+      }
+
+      try {
+        this.socket.send('PING');
+      } catch (e: any) {
+        this.options.logger.warn(`[${this.options.name}] Heartbeat failed: ${e.message}. Reconnecting...`);
+        this.setHealthy(false);
+        this.socket.terminate();
+      }
+    }, this.heartbeatMs);
+  }
+
+  private stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = undefined;
+    }
+  }
+
+  private scheduleReconnect() {
+    if (this.closed || this.reconnectTimer) return;
+
+    const backoff = Math.min(this.maxBackoffMs, 1000 * 2 ** this.reconnectAttempts);
+    const delay = backoff + Math.random() * 500;
+    this.reconnectAttempts++;
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = undefined;
+      this.open();
+    }, delay);
+  }
+
+  private setHealthy(healthy: boolean) {
+    if (this.healthy === healthy) return;
+    this.healthy = healthy;
+    this.options.onHealthChange?.(healthy);
+  }
+}
@@ -1,32 +1,88 @@
 import { TradeMonitorService } from '../services/trade-monitor.service.js';
-import { TradeExecutorService, ExecutionResult } from '../services/trade-executor.service.js';
-import { aiAgent } from '../services/ai-agent.service.js';
+import { SignalBusService } from '../services/signal-bus.service.js';
+import { SignalCursorService, CursorPosition } from '../services/signal-cursor.service.js';
+import { TradeExecutorService, ExecutionResult, ExecutionGuardPolicy } from '../services/trade-executor.service.js';
+import { RiskManagerService, RiskLimits } from '../services/risk-manager.service.js';
+import { RedemptionSweeperService } from '../services/redemption-sweeper.service.js';
+import { OrderTrackerService, TrackedOrder } from '../services/order-tracker.service.js';
+import { SlicingPolicy } from '../services/order-slicer.service.js';
+import { BalanceLedgerService, LedgerSnapshot } from '../services/balance-ledger.service.js';
+import { EventGroupService, EventGroup, NoConversionQuote, allocateConversion } from '../services/event-group.service.js';
+import { marketMetadata } from '../services/market-metadata.service.js';
+import { AnalysisResult, IRiskAgent, createRiskAgent } from '../services/ai-agent.service.js';
+import { AiFailurePolicy, AiThrottleConfig, DEFAULT_AI_THROTTLE, RiskAgentConfig, defaultAiFailurePolicy, riskAgentScope } from '../config/risk-agent.js';
+import { ThrottledRiskAgent } from '../services/ai-throttle.service.js';
 import { NotificationService } from '../services/notification.service.js';
 import { FundManagerService } from '../services/fund-manager.service.js';
 import { PortfolioService } from '../services/portfolio.service.js';
-import { TradeHistoryEntry, ActivePosition, TradeSignal } from '../domain/trade.types.js';
+import { TradeHistoryEntry, ActivePosition, TradeSignal, ExitRules } from '../domain/trade.types.js';
 import { CashoutRecord, FeeDistributionEvent, IRegistryService } from '../domain/alpha.types.js';
 import { UserStats } from '../domain/user.types.js';
 import { TradingWalletConfig, L2ApiCredentials } from '../domain/wallet.types.js'; 
-import { BotLog, User, Trade } from '../database/index.js';
+import { BotLog, User, Trade, AiUsage } from '../database/index.js';
 import { PolymarketAdapter } from '../adapters/polymarket/polymarket.adapter.js';
 import { Logger } from '../utils/logger.util.js';
+import { normalizeOutcome, isSameOutcomeToken } from '../utils/outcome.util.js';
 import { FeeDistributorService } from '../services/fee-distributor.service.js';
 import { EvmWalletService } from '../services/evm-wallet.service.js';
-import { TOKENS } from '../config/env.js';
+import { RuntimeEnv, TOKENS } from '../config/env.js';
+import { SizingStrategy } from '../config/copy-strategy.js';
+import { MarketFilters } from '../config/market-filters.js';
+import { TargetOverrides, EffectiveTargetSettings, resolveTargetSettings } from '../config/target-overrides.js';
+import { resolveExitRules } from '../config/exit-rules.js';
 import { registryAnalytics } from '../services/registry-analytics.service.js';
+import { copyAttribution } from '../services/copy-attribution.service.js';
+import { TradeContextService, signalOnlyContext } from '../services/trade-context.service.js';
 import crypto from 'crypto';
 
+// What to do with a signal older than maxSignalAgeSeconds (typically recovered by the restart backfill)
+export interface LateSignalPolicy {
+    maxSignalAgeSeconds: number;
+    action: 'COPY' | 'COPY_AT_MARKET' | 'LOG_ONLY';
+}
+
+export const DEFAULT_LATE_SIGNAL_POLICY: LateSignalPolicy = { maxSignalAgeSeconds: 300, action: 'LOG_ONLY' };
+
+const LATE_SIGNAL_ACTIONS: LateSignalPolicy['action'][] = ['COPY', 'COPY_AT_MARKET', 'LOG_ONLY'];
+
+// Decision reasoning on the sell fills of a neg-risk conversion; keeps them out of the daily loss limit
+const NEG_RISK_CONVERSION = 'Neg-Risk Conversion';
+
+/**
+ * Validates the late-signal policy coming from the API. Omitted fields take the defaults.
+ */
+export function validateLateSignalPolicy(raw: any): { policy?: LateSignalPolicy; error?: string } {
+    if (!raw) return {};
+    if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'lateSignalPolicy must be an object' };
+
+    const policy: LateSignalPolicy = { ...DEFAULT_LATE_SIGNAL_POLICY };
+    if (raw.maxSignalAgeSeconds !== undefined) {
+        const n = Number(raw.maxSignalAgeSeconds);
+        if (!Number.isFinite(n) || n <= 0) return { error: 'maxSignalAgeSeconds must be > 0' };
+        policy.maxSignalAgeSeconds = n;
+    }
+    if (raw.action !== undefined) {
+        if (!LATE_SIGNAL_ACTIONS.includes(raw.action)) return { error: `action must be one of ${LATE_SIGNAL_ACTIONS.join(', ')}` };
+        policy.action = raw.action;
+    }
+    return { policy };
+}
+
+// The AI decision behind a fill, copied onto the Trade it books
+type TradeDecision = { reasoning?: string; riskScore?: number; rawResponses?: string[] };
+
 export interface BotConfig {
     userId: string;
     walletConfig?: TradingWalletConfig;
     userAddresses: string[];
+    listedAddresses?: string[]; // Targets the user listed; userAddresses also follows wallets that only have an override
     rpcUrl: string;
     geminiApiKey?: string;
     riskProfile: 'conservative' | 'balanced' | 'degen';
     multiplier: number;
     minLiquidityFilter?: 'HIGH' | 'MEDIUM' | 'LOW'; 
     autoTp?: number;
+    exitRules?: ExitRules;
     enableNotifications: boolean;
     userPhoneNumber?: string;
     autoCashout?: { enabled: boolean; maxAmount: number; destinationAddress: string; };
@@ -39,6 +95,20 @@ export interface BotConfig {
     builderApiPassphrase?: string;
     mongoEncryptionKey: string;
     maxTradeAmount?: number;
+    lateSignalPolicy?: LateSignalPolicy;
+    executionGuard?: ExecutionGuardPolicy;
+    sizingStrategy?: SizingStrategy;
+    targetOverrides?: TargetOverrides;
+    riskLimits?: RiskLimits;
+    orderTtlSeconds?: number; // How long a resting copy order may sit unfilled before it is cancelled
+    traderEquityTtlSeconds?: number; // How long a whale's equity reading is reused for sizing
+    marketFilters?: MarketFilters;
+    allowContradictoryOutcomes?: boolean; // Copy BUYs that contradict what we already hold in the market / neg-risk event
+    fullExitOnWhaleExit?: boolean; // Sell the whole position when the whale closes theirs, whatever the proportional size
+    riskAgent?: RiskAgentConfig; // AI gate backend (defaults to Gemini)
+    aiFailurePolicy?: AiFailurePolicy; // Decision when the model fails or answers invalid JSON (default depends on riskProfile)
+    aiThrottle?: AiThrottleConfig; // Decision cache and per-bot rate limit in front of the model
+    slicing?: SlicingPolicy;
 }
 
 export interface BotCallbacks {
@@ -52,12 +122,27 @@ export interface BotCallbacks {
 export class BotEngine {
     public isRunning = false;
     private monitor?: TradeMonitorService;
+    private isSubscribed = false;
     private executor?: TradeExecutorService;
+    private riskManager?: RiskManagerService;
+    private redemptionSweeper?: RedemptionSweeperService;
+    private orderTracker?: OrderTrackerService;
+    private ledger?: BalanceLedgerService;
+    private eventGroups?: EventGroupService;
+    private eventGroupsSnapshot: EventGroup[] = [];
+    private eventGroupsRefresh?: Promise<void>;
+    private tradeContext?: TradeContextService;
+    private riskAgent: IRiskAgent;
     private exchange?: PolymarketAdapter;
     private portfolioService?: PortfolioService;
-    private runtimeEnv: any;
+    private notifier?: NotificationService;
+    private cursorService: SignalCursorService;
+    // txHash|token|side -> first seen. Live and backfilled paths can deliver the same trade.
+    private seenSignals: Map<string, number> = new Map();
+    private runtimeEnv?: RuntimeEnv;
     
     private fundWatcher?: NodeJS.Timeout;
+    private positionWatcher?: NodeJS.Timeout;
     private activePositions: ActivePosition[] = [];
     private stats: UserStats = {
         totalPnl: 0, 
@@ -74,14 +159,26 @@ export class BotEngine {
 
     private lastPositionSync = 0;
     private readonly POSITION_SYNC_INTERVAL = 30000;
+    // tradeId -> last automatic exit attempt (avoids hammering a position that cannot be sold)
+    private exitAttempts: Map<string, number> = new Map();
+    private readonly EXIT_RETRY_COOLDOWN = 5 * 60 * 1000;
 
     constructor(
         private config: BotConfig,
         private registryService: IRegistryService,
-        private callbacks?: BotCallbacks
+        private callbacks?: BotCallbacks,
+        private signalBus?: SignalBusService
     ) {
         if (config.activePositions) this.activePositions = config.activePositions;
         if (config.stats) this.stats = config.stats;
+        this.riskAgent = this.buildRiskAgent();
+        this.cursorService = new SignalCursorService(config.userId, {
+            info: (m: string) => { console.log(m); this.addLog('info', m); },
+            warn: (m: string) => { console.warn(m); this.addLog('warn', m); },
+            error: (m: string, e?: any) => { console.error(m, e); this.addLog('error', m); },
+            debug: () => {},
+            success: (m: string) => { console.log(m); this.addLog('success', m); }
+        });
     }
 
     public getAdapter(): PolymarketAdapter | undefined {
@@ -95,9 +192,15 @@ export class BotEngine {
     }
 
     public updateConfig(newConfig: Partial<BotConfig>) {
-        if (newConfig.userAddresses && this.monitor) {
-            this.monitor.updateTargets(newConfig.userAddresses);
-            this.config.userAddresses = newConfig.userAddresses;
+        if (newConfig.userAddresses) {
+            if (this.isSubscribed && this.signalBus) {
+                this.signalBus.updateSubscription(this.config.userId, newConfig.userAddresses)
+                    .catch(e => this.addLog('error', `Signal subscription update failed: ${e.message}`));
+                this.config.userAddresses = newConfig.userAddresses;
+            } else if (this.monitor) {
+                this.monitor.updateTargets(newConfig.userAddresses);
+                this.config.userAddresses = newConfig.userAddresses;
+            }
         }
 
         if (newConfig.multiplier !== undefined) {
@@ -115,51 +218,107 @@ export class BotEngine {
             if (this.runtimeEnv) this.runtimeEnv.minLiquidityFilter = newConfig.minLiquidityFilter;
         }
 
-        if (newConfig.geminiApiKey !== undefined) {
-            this.config.geminiApiKey = newConfig.geminiApiKey;
+        if (newConfig.geminiApiKey !== undefined || newConfig.riskAgent || newConfig.aiFailurePolicy || newConfig.aiThrottle) {
+            if (newConfig.geminiApiKey !== undefined) this.config.geminiApiKey = newConfig.geminiApiKey || undefined;
+            if (newConfig.riskAgent) this.config.riskAgent = newConfig.riskAgent;
+            if (newConfig.aiFailurePolicy) this.config.aiFailurePolicy = newConfig.aiFailurePolicy;
+            if (newConfig.aiThrottle) this.config.aiThrottle = newConfig.aiThrottle;
+            this.riskAgent = this.buildRiskAgent();
+            this.addLog('info', `Risk agent: ${this.describeRiskAgent()}.`);
+        }
+
+        if (newConfig.riskProfile !== undefined) {
+            this.config.riskProfile = newConfig.riskProfile;
+            if (this.runtimeEnv) this.runtimeEnv.riskProfile = newConfig.riskProfile;
+            // The default failure policy follows the profile
+            if (!this.config.aiFailurePolicy) this.riskAgent = this.buildRiskAgent();
         }
 
-        if (newConfig.riskProfile !== undefined) this.config.riskProfile = newConfig.riskProfile;
+        if (newConfig.targetOverrides) {
+            this.config.targetOverrides = newConfig.targetOverrides;
+            if (this.runtimeEnv) this.runtimeEnv.targetOverrides = newConfig.targetOverrides;
+        }
         if (newConfig.autoTp !== undefined) this.config.autoTp = newConfig.autoTp;
+        if (newConfig.exitRules !== undefined) this.config.exitRules = newConfig.exitRules;
         
         if (newConfig.autoCashout) {
             this.config.autoCashout = newConfig.autoCashout;
         }
+
+        if (newConfig.lateSignalPolicy) this.config.lateSignalPolicy = newConfig.lateSignalPolicy;
+
+        if (newConfig.sizingStrategy) {
+            this.config.sizingStrategy = newConfig.sizingStrategy;
+            if (this.runtimeEnv) this.runtimeEnv.sizingStrategy = newConfig.sizingStrategy;
+        }
+
+        if (newConfig.slicing) {
+            this.config.slicing = newConfig.slicing;
+            if (this.runtimeEnv) this.runtimeEnv.slicing = newConfig.slicing;
+        }
+
+        if (newConfig.orderTtlSeconds) {
+            this.config.orderTtlSeconds = newConfig.orderTtlSeconds;
+            this.orderTracker?.setTtl(newConfig.orderTtlSeconds * 1000);
+        }
+
+        if (newConfig.traderEquityTtlSeconds) {
+            this.config.traderEquityTtlSeconds = newConfig.traderEquityTtlSeconds;
+            if (this.runtimeEnv) this.runtimeEnv.traderEquityTtlSeconds = newConfig.traderEquityTtlSeconds;
+        }
+
+        if (newConfig.marketFilters) {
+            this.config.marketFilters = newConfig.marketFilters;
+            if (this.runtimeEnv) this.runtimeEnv.marketFilters = newConfig.marketFilters;
+        }
+
+        if (newConfig.allowContradictoryOutcomes !== undefined) this.config.allowContradictoryOutcomes = newConfig.allowContradictoryOutcomes;
+
+        if (newConfig.fullExitOnWhaleExit !== undefined) {
+            this.config.fullExitOnWhaleExit = newConfig.fullExitOnWhaleExit;
+            if (this.runtimeEnv) this.runtimeEnv.fullExitOnWhaleExit = newConfig.fullExitOnWhaleExit;
+        }
+
+        if (newConfig.riskLimits) {
+            this.config.riskLimits = newConfig.riskLimits;
+            this.riskManager?.updateLimits(newConfig.riskLimits);
+        }
+
+        if (newConfig.executionGuard !== undefined) {
+            this.config.executionGuard = newConfig.executionGuard;
+            if (this.runtimeEnv) this.runtimeEnv.executionGuard = newConfig.executionGuard;
+        }
     }
 
     private async updateMarketState(position: ActivePosition): Promise<void> {
         if (!this.exchange) return;
         
         try {
-            // Try to get market info from Polymarket API
-            const client = (this.exchange as any).getRawClient?.();
-            if (client) {
-                const market = await client.getMarket(position.marketId);
+            const market = await marketMetadata.getMarket(position.marketId);
+            
+            if (market) {
+                // Update market state based on market data
+                position.marketClosed = market.closed || false;
+                position.marketActive = market.active || false;
+                position.marketAcceptingOrders = market.accepting_orders || false;
+                position.marketArchived = market.archived || false;
                 
-                if (market) {
-                    // Update market state based on market data
-                    position.marketClosed = market.closed || false;
-                    position.marketActive = market.active || false;
-                    position.marketAcceptingOrders = market.accepting_orders || false;
-                    position.marketArchived = market.archived || false;
-                    
-                    // Determine overall market state
-                    if (market.closed) {
-                        position.marketState = 'CLOSED';
-                    } else if (market.archived) {
-                        position.marketState = 'ARCHIVED';
-                    } else if (!market.active || !market.accepting_orders) {
-                        position.marketState = 'RESOLVED'; // Likely resolved if not accepting orders
-                    } else {
-                        position.marketState = 'ACTIVE';
-                    }
+                // Determine overall market state
+                if (market.closed) {
+                    position.marketState = 'CLOSED';
+                } else if (market.archived) {
+                    position.marketState = 'ARCHIVED';
+                } else if (!market.active || !market.accepting_orders) {
+                    position.marketState = 'RESOLVED'; // Likely resolved if not accepting orders
                 } else {
-                    // If market not found, it's likely resolved/archived
-                    position.marketState = 'RESOLVED';
-                    position.marketClosed = true;
-                    position.marketActive = false;
-                    position.marketAcceptingOrders = false;
+                    position.marketState = 'ACTIVE';
                 }
+            } else {
+                // If market not found, it's likely resolved/archived
+                position.marketState = 'RESOLVED';
+                position.marketClosed = true;
+                position.marketActive = false;
+                position.marketAcceptingOrders = false;
             }
         } catch (e: any) {
             // If we get a 404 or similar error, market is likely resolved
@@ -201,6 +360,7 @@ export class BotEngine {
                         const image = p.image || "";
 
                         const realId = p.clobOrderId || p.marketId;
+                        const previous = this.activePositions.find(a => a.tokenId === p.tokenId);
 
                         const shouldUpdate = marketSlug || eventSlug;
                         if (shouldUpdate) {
@@ -219,12 +379,12 @@ export class BotEngine {
                             clobOrderId: realId,
                             marketId: p.marketId,
                             tokenId: p.tokenId,
-                            outcome: (p.outcome || 'YES').toUpperCase() as 'YES' | 'NO',
+                            outcome: normalizeOutcome(p.outcome),
                             entryPrice: p.entryPrice || 0.5,
                             shares: p.balance || 0,
                             sizeUsd: p.valueUsd,
                             investedValue: p.investedValue,
-                            timestamp: Date.now(),
+                            timestamp: previous?.timestamp || Date.now(),
                             currentPrice: p.currentPrice,
                             unrealizedPnL: p.unrealizedPnL,
                             unrealizedPnLPercent: p.unrealizedPnLPercent,
@@ -232,6 +392,10 @@ export class BotEngine {
                             image: image,
                             marketSlug: marketSlug,
                             eventSlug: eventSlug,
+                            trader: previous?.trader,
+                            exitRules: previous?.exitRules,
+                            peakPrice: previous?.peakPrice,
+                            whaleEntryShares: previous?.whaleEntryShares,
                             // Add market state tracking
                             marketState: 'ACTIVE',
                             marketAcceptingOrders: true,
@@ -258,10 +422,14 @@ export class BotEngine {
                             pos.unrealizedPnL = currentValue - investedValue;
                             pos.unrealizedPnLPercent = investedValue > 0 ? (pos.unrealizedPnL / investedValue) * 100 : 0;
                         }
-                    } catch (e) {}
+                    } catch (e: any) {
+                        await this.addLog('warn', `[Sync] Price refresh for ${pos.marketId} failed, keeping the last price: ${e.message}`);
+                    }
                 }
             }
             
+            await this.evaluateExits();
+
             if (this.callbacks?.onPositionsUpdate) {
                 await this.callbacks.onPositionsUpdate(this.activePositions);
             }
@@ -300,12 +468,12 @@ export class BotEngine {
         }
     }
 
-    public async emergencySell(tradeIdOrMarketId: string, outcome?: string): Promise<string> {
+    public async emergencySell(tradeIdOrMarketId: string, outcome?: string, tokenId?: string): Promise<string> {
         if (!this.executor) throw new Error("Executor not initialized.");
         
         let positionIndex = this.activePositions.findIndex(p => p.tradeId === tradeIdOrMarketId);
-        if (positionIndex === -1 && outcome) {
-             positionIndex = this.activePositions.findIndex(p => p.marketId === tradeIdOrMarketId && p.outcome === outcome);
+        if (positionIndex === -1 && (outcome || tokenId)) {
+             positionIndex = this.activePositions.findIndex(p => isSameOutcomeToken(p, { marketId: tradeIdOrMarketId, tokenId, outcome: outcome || '' }));
         }
 
         if (positionIndex === -1) throw new Error("Position not found in active database.");
@@ -317,50 +485,14 @@ export class BotEngine {
             let currentPrice = 0.5;
             try {
                currentPrice = await this.exchange?.getMarketPrice(position.marketId, position.tokenId, 'SELL') || 0.5;
-            } catch(e) {}
+            } catch (e: any) {
+               this.addLog('warn', `Could not price ${position.marketId} for the exit (${e.message}); using $0.50.`);
+            }
 
             const success = await this.executor.executeManualExit(position, currentPrice);
             
             if (success) {
-                const exitValue = position.shares * currentPrice;
-                const costBasis = position.shares * position.entryPrice;
-                const realizedPnl = exitValue - costBasis;
-
-                if (this.callbacks?.onTradeComplete) {
-                    await this.callbacks.onTradeComplete({
-                        id: crypto.randomUUID(),
-                        timestamp: new Date().toISOString(),
-                        marketId: position.marketId,
-                        outcome: position.outcome,
-                        side: 'SELL',
-                        size: costBasis, 
-                        executedSize: exitValue, 
-                        price: currentPrice,
-                        pnl: realizedPnl,
-                        status: 'CLOSED',
-                        aiReasoning: 'Manual Exit',
-                        riskScore: 0,
-                        clobOrderId: position.clobOrderId,
-                        marketSlug: position.marketSlug,
-                        eventSlug: position.eventSlug
-                    });
-                }
-
-                // Remove from active tracking
-                if (position.tradeId && !position.tradeId.startsWith('imported')) {
-                    await Trade.findByIdAndUpdate(position.tradeId, {
-                        status: 'CLOSED',
-                        pnl: realizedPnl
-                    });
-                }
-
-                this.activePositions.splice(positionIndex, 1);
-                if (this.callbacks?.onPositionsUpdate) await this.callbacks.onPositionsUpdate(this.activePositions);
-                
-                this.addLog('success', `Exit summary: Liquidated ${position.shares.toFixed(2)} shares @ $${currentPrice.toFixed(3)}. Realized PnL: $${realizedPnl.toFixed(2)}`);
-                
-                setTimeout(() => this.syncStats(), 2000);
-                
+                await this.completeExit(position, currentPrice, 'Manual Exit');
                 return "sold";
             } else {
                 throw new Error("Execution failed at adapter level");
@@ -371,6 +503,118 @@ export class BotEngine {
         }
     }
 
+    /**
+     * Trade-complete bookkeeping shared by manual and automatic exits.
+     */
+    private async completeExit(position: ActivePosition, exitPrice: number, label: string): Promise<void> {
+        const exitValue = position.shares * exitPrice;
+        const costBasis = position.shares * position.entryPrice;
+        const realizedPnl = exitValue - costBasis;
+        await this.recordRealizedPnl(realizedPnl);
+
+        const sellId = crypto.randomUUID();
+        if (this.callbacks?.onTradeComplete) {
+            await this.callbacks.onTradeComplete({
+                id: sellId,
+                timestamp: new Date().toISOString(),
+                marketId: position.marketId,
+                outcome: position.outcome,
+                side: 'SELL',
+                size: costBasis, 
+                executedSize: exitValue, 
+                price: exitPrice,
+                pnl: realizedPnl,
+                status: 'CLOSED',
+                aiReasoning: label,
+                riskScore: 0,
+                clobOrderId: position.clobOrderId,
+                assetId: position.tokenId,
+                marketSlug: position.marketSlug,
+                eventSlug: position.eventSlug,
+                sourceWallet: position.trader
+            });
+        }
+        await this.attributeSell(position, sellId, position.trader, costBasis, exitValue, exitPrice, realizedPnl);
+
+        // Remove from active tracking
+        if (position.tradeId && !position.tradeId.startsWith('imported')) {
+            await Trade.findByIdAndUpdate(position.tradeId, {
+                status: 'CLOSED',
+                pnl: realizedPnl
+            });
+        }
+
+        const index = this.activePositions.indexOf(position);
+        if (index !== -1) this.activePositions.splice(index, 1);
+        if (this.callbacks?.onPositionsUpdate) await this.callbacks.onPositionsUpdate(this.activePositions);
+        
+        this.addLog(realizedPnl >= 0 ? 'success' : 'warn', `Exit summary (${label}): Closed ${position.shares.toFixed(2)} shares @ $${exitPrice.toFixed(3)}. Realized PnL: $${realizedPnl.toFixed(2)}`);
+        
+        setTimeout(() => this.syncStats(), 2000);
+    }
+
+    private getExitRules(position: ActivePosition): ExitRules {
+        return resolveExitRules(position.exitRules, this.config.exitRules, this.config.autoTp);
+    }
+
+    public setPositionExitRules(tradeId: string, rules: ExitRules | undefined): ActivePosition {
+        const position = this.activePositions.find(p => p.tradeId === tradeId);
+        if (!position) throw new Error("Position not found in active database.");
+        position.exitRules = rules;
+        if (this.callbacks?.onPositionsUpdate) this.callbacks.onPositionsUpdate(this.activePositions).catch(console.error);
+        return position;
+    }
+
+    /**
+     * Runs after every price refresh. Stop-loss and trailing stop are checked before
+     * take-profit so a gap through both levels exits defensively.
+     */
+    private async evaluateExits(): Promise<void> {
+        if (!this.executor || !this.isRunning) return;
+        const now = Date.now();
+
+        for (const position of [...this.activePositions]) {
+            if (!position.currentPrice || !position.entryPrice || (position.marketState && position.marketState !== 'ACTIVE')) continue;
+
+            const lastAttempt = this.exitAttempts.get(position.tradeId);
+            if (lastAttempt && now - lastAttempt < this.EXIT_RETRY_COOLDOWN) continue;
+
+            const rules = this.getExitRules(position);
+            const price = position.currentPrice;
+            const pnlPercent = ((price - position.entryPrice) / position.entryPrice) * 100;
+            position.peakPrice = Math.max(position.peakPrice ?? position.entryPrice, price);
+            const drawdownPercent = ((position.peakPrice - price) / position.peakPrice) * 100;
+
+            let trigger: string | undefined;
+            if (rules.stopLossPercent && pnlPercent <= -rules.stopLossPercent) {
+                trigger = `STOP_LOSS (${pnlPercent.toFixed(1)}% <= -${rules.stopLossPercent}%)`;
+            } else if (rules.trailingStopPercent && position.peakPrice > position.entryPrice && drawdownPercent >= rules.trailingStopPercent) {
+                trigger = `TRAILING_STOP (${drawdownPercent.toFixed(1)}% off peak $${position.peakPrice.toFixed(3)})`;
+            } else if (rules.takeProfitPercent && pnlPercent >= rules.takeProfitPercent) {
+                trigger = `TAKE_PROFIT (+${pnlPercent.toFixed(1)}% >= ${rules.takeProfitPercent}%)`;
+            } else if (rules.maxHoldHours && now - position.timestamp >= rules.maxHoldHours * 3600 * 1000) {
+                trigger = `TIME_EXIT (held > ${rules.maxHoldHours}h)`;
+            }
+
+            if (!trigger) continue;
+
+            this.exitAttempts.set(position.tradeId, now);
+            await this.addLog('warn', `Auto Exit ${trigger}: ${position.outcome} ${position.question || position.marketId}`);
+
+            try {
+                const success = await this.executor.executeManualExit(position, price);
+                if (success) {
+                    this.exitAttempts.delete(position.tradeId);
+                    await this.completeExit(position, price, `Auto Exit: ${trigger}`);
+                } else {
+                    await this.addLog('error', `Auto Exit failed for ${position.marketId}. Retrying in ${this.EXIT_RETRY_COOLDOWN / 60000}m.`);
+                }
+            } catch (e: any) {
+                await this.addLog('error', `Auto Exit error for ${position.marketId}: ${e.message}`);
+            }
+        }
+    }
+
     public async start() {
         if (this.isRunning) return;
         this.isRunning = true;
@@ -415,14 +659,32 @@ export class BotEngine {
         }
     }
 
-    public stop() {
+    public async stop(): Promise<void> {
+        // Buffered aggregates go through the late-signal and execution guard checks while the engine still takes signals
+        try {
+            if (this.isSubscribed && this.signalBus) await this.signalBus.flushPending(this.config.userAddresses);
+            else await this.monitor?.flushPending();
+        } catch (e: any) {
+            await this.addLog('warn', `Failed to flush pending aggregated signals: ${e.message}`);
+        }
         this.isRunning = false;
+        if (this.isSubscribed && this.signalBus) {
+            this.signalBus.unsubscribe(this.config.userId);
+            this.isSubscribed = false;
+        }
         if (this.monitor) this.monitor.stop();
         if (this.portfolioService) this.portfolioService.stopSnapshotService();
         if (this.fundWatcher) {
             clearInterval(this.fundWatcher);
             this.fundWatcher = undefined;
         }
+        if (this.positionWatcher) {
+            clearInterval(this.positionWatcher);
+            this.positionWatcher = undefined;
+        }
+        this.redemptionSweeper?.stop();
+        this.orderTracker?.stop();
+        this.ledger?.stop();
         this.addLog('warn', 'Engine Stopped.').catch(console.error);
     }
 
@@ -458,7 +720,16 @@ export class BotEngine {
                 };
                 await this.proceedWithPostFundingSetup(engineLogger);
             }
-        }, 15000) as unknown as NodeJS.Timeout; 
+        }, 15000); 
+    }
+
+    // Periodic price refresh that drives the exit engine
+    private startPositionWatcher() {
+        if (this.positionWatcher) clearInterval(this.positionWatcher);
+        this.positionWatcher = setInterval(() => {
+            if (!this.isRunning) return;
+            this.syncPositions().catch(e => console.error("Position watcher failed", e));
+        }, this.POSITION_SYNC_INTERVAL);
     }
 
     private async proceedWithPostFundingSetup(logger: Logger) {
@@ -482,44 +753,120 @@ export class BotEngine {
                 }
             );
             
-            this.startServices(logger);
+            await this.startServices(logger);
             await this.syncPositions(true); 
             await this.syncStats();
+            this.startPositionWatcher();
         } catch (e: any) {
             console.error(e);
             await this.addLog('error', `Setup Failed: ${e.message}`);
-            this.isRunning = false; 
+            // Tear down whatever startServices got running before it failed
+            await this.stop();
         }
     }
 
     private async startServices(logger: Logger) {
         if(!this.exchange) return;
 
+        const funder = this.exchange.getFunderAddress();
+        if (!funder) throw new Error("Missing funder address.");
+
+        // Per-bot view of the runtime env: copy settings come from the bot config, the rest from the platform env
         this.runtimeEnv = {
+            userAddresses: this.config.userAddresses,
+            proxyWallet: funder,
+            // Orders are signed by the exchange adapter; the engine never holds the raw key
+            privateKey: '',
+            rpcUrl: this.config.rpcUrl,
+            fetchIntervalSeconds: Number(process.env.FETCH_INTERVAL ?? 1),
+            retryLimit: Number(process.env.RETRY_LIMIT ?? 3),
+            registryApiUrl: process.env.REGISTRY_API_URL || 'http://localhost:3000/api',
+            mainWalletAddress: this.config.autoCashout?.destinationAddress,
+            maxRetentionAmount: this.config.autoCashout?.maxAmount,
+            enableAutoCashout: this.config.autoCashout?.enabled || false,
+            aiGlobalCallsPerMinute: Number(process.env.AI_GLOBAL_CALLS_PER_MINUTE ?? 300),
+            aiGlobalBurst: Number(process.env.AI_GLOBAL_BURST ?? 50),
+            lifiIntegrator: process.env.LIFI_INTEGRATOR || 'BetMirror',
+            lifiApiKey: process.env.LIFI_API_KEY,
+            solanaRpcUrl: process.env.SOLANA_RPC_URL || '',
+            mongoUri: process.env.MONGODB_URI || '',
+            mongoEncryptionKey: this.config.mongoEncryptionKey,
             tradeMultiplier: this.config.multiplier,
             maxTradeAmount: this.config.maxTradeAmount || 100, 
             minLiquidityFilter: this.config.minLiquidityFilter || 'LOW', 
+            executionGuard: this.config.executionGuard,
+            slicing: this.config.slicing,
+            traderEquityTtlSeconds: this.config.traderEquityTtlSeconds,
+            marketFilters: this.config.marketFilters,
+            fullExitOnWhaleExit: this.config.fullExitOnWhaleExit,
+            sizingStrategy: this.config.sizingStrategy || { type: 'PROPORTIONAL' },
+            riskProfile: this.config.riskProfile,
+            targetOverrides: this.config.targetOverrides || {},
+            monitorMode: process.env.MONITOR_MODE === 'poll' ? 'poll' : 'stream',
+            aggregationEnabled: process.env.TRADE_AGGREGATION_ENABLED === 'true',
+            aggregationWindowSeconds: Number(process.env.TRADE_AGGREGATION_WINDOW_SECONDS ?? 300),
+            aggregationQuietSeconds: process.env.TRADE_AGGREGATION_QUIET_SECONDS ? Number(process.env.TRADE_AGGREGATION_QUIET_SECONDS) : undefined,
+            aggregationFlushUsd: Number(process.env.TRADE_AGGREGATION_FLUSH_USD ?? 1000),
             usdcContractAddress: TOKENS.USDC_BRIDGED,
-            adminRevenueWallet: process.env.ADMIN_REVENUE_WALLET,
+            adminRevenueWallet: process.env.ADMIN_REVENUE_WALLET || '0x0000000000000000000000000000000000000000',
             enableNotifications: this.config.enableNotifications,
             userPhoneNumber: this.config.userPhoneNumber,
             twilioAccountSid: process.env.TWILIO_ACCOUNT_SID,
             twilioAuthToken: process.env.TWILIO_AUTH_TOKEN,
             twilioFromNumber: process.env.TWILIO_FROM_NUMBER
         };
-        
-        const funder = this.exchange.getFunderAddress();
-        if (!funder) throw new Error("Missing funder address.");
 
+        this.riskManager = new RiskManagerService(this.config.riskLimits || {}, () => this.activePositions, logger);
+        await this.seedDailyRiskPnl();
+
+        this.ledger = new BalanceLedgerService({ adapter: this.exchange, proxyWallet: funder, logger });
+        this.eventGroups = new EventGroupService(this.exchange, logger);
+        this.tradeContext = new TradeContextService(this.exchange, this.registryService, this.eventGroups, logger);
+        await this.addLog('info', `Risk agent: ${this.describeRiskAgent()}.`);
         this.executor = new TradeExecutorService({
             adapter: this.exchange,
             proxyWallet: funder,
             env: this.runtimeEnv, 
-            logger: logger
+            logger: logger,
+            riskManager: this.riskManager,
+            ledger: this.ledger
         });
 
         this.stats.allowanceApproved = true; 
 
+        const executor = this.executor;
+        this.redemptionSweeper = new RedemptionSweeperService({
+            adapter: this.exchange,
+            logger,
+            getPositions: () => this.activePositions,
+            refreshMarketState: (position) => this.updateMarketState(position),
+            checkResolution: (position) => executor.checkMarketResolution(position),
+            onSettled: async (position, outcome) => {
+                const exitPrice = position.shares > 0 ? outcome.amountUsd / position.shares : 0;
+                await this.completeExit(position, exitPrice, outcome.won ? 'Market Resolved - Redemption' : 'Market Resolved - Worthless');
+            }
+        });
+        this.redemptionSweeper.start();
+
+        this.orderTracker = new OrderTrackerService({
+            userId: this.config.userId,
+            adapter: this.exchange,
+            logger,
+            ttlMs: (this.config.orderTtlSeconds || 300) * 1000,
+            onFill: (order, shares, price) => this.handleOrderFill(order, shares, price),
+            onClosed: (order) => this.handleOrderClosed(order)
+        });
+        await this.orderTracker.start();
+
+        // Orders resumed from the database still hold funds on the exchange
+        for (const order of this.orderTracker.getOpenOrders()) {
+            if (order.side !== 'BUY') continue;
+            const key = this.ledger.reserve((order.sharesRequested - order.sharesFilled) * order.price, { marketId: order.marketId, tokenId: order.tokenId, trader: order.signal.trader });
+            this.ledger.attachOrder(key, order.orderId);
+        }
+        await this.ledger.reconcile().catch(e => logger.warn(`[Ledger] Initial reconcile failed: ${e.message}`));
+        this.ledger.start();
+
         const fundManager = new FundManagerService(
             this.exchange,
             funder,
@@ -541,185 +888,583 @@ export class BotEngine {
              }
         } catch(e) { logger.warn("Fee Distributor init failed"); }
 
-        const notifier = new NotificationService(this.runtimeEnv, logger);
+        this.notifier = new NotificationService(this.runtimeEnv, logger);
 
-        this.monitor = new TradeMonitorService({
-            adapter: this.exchange,
-            env: this.runtimeEnv,
-            logger: logger,
-            userAddresses: this.config.userAddresses,
-            onDetectedTrade: async (signal: TradeSignal) => {
+        const onDetectedTrade = (signal: TradeSignal) => this.handleSignal(signal);
+
+        if (this.signalBus) {
+            await this.signalBus.subscribe(this.config.userId, this.config.userAddresses, onDetectedTrade);
+            this.isSubscribed = true;
+        } else {
+            this.monitor = new TradeMonitorService({
+                adapter: this.exchange,
+                env: this.runtimeEnv,
+                logger: logger,
+                userAddresses: this.config.userAddresses,
+                onDetectedTrade
+            });
+            await this.monitor.start();
+        }
+        this.addLog('success', `Engine Active. Monitoring ${this.config.userAddresses.length} targets.`);
+
+        this.backfillMissedSignals().catch(e => this.addLog('error', `Backfill failed: ${e.message}`));
+    }
+
+    /**
+     * Replays whale trades that happened while this bot was offline.
+     * Starts from the later of the stored cursor and config.startCursor (seconds).
+     */
+    private async backfillMissedSignals(): Promise<void> {
+        await this.cursorService.load();
+
+        for (const target of this.config.userAddresses) {
+            if (!this.isRunning) return;
+
+            // A fresh /api/bot/start sets startCursor to "now", which must win over an older stored cursor
+            let since: CursorPosition | undefined = this.cursorService.get(target);
+            const startCursorMs = (this.config.startCursor || 0) * 1000;
+            if (startCursorMs && (!since || startCursorMs > since.lastTimestamp)) {
+                since = { lastTimestamp: startCursorMs };
+            }
+            if (!since || Date.now() - since.lastTimestamp < 10000) continue;
+
+            const missed = await this.cursorService.backfill(target, since);
+            for (const signal of missed) {
                 if (!this.isRunning) return;
+                await this.handleSignal(signal);
+            }
+        }
+    }
 
-                if (signal.side === 'SELL') {
-                    const hasPosition = this.activePositions.some(p => 
-                        p.marketId === signal.marketId && p.outcome === signal.outcome
-                    );
-                    if (!hasPosition) return; 
-                }
+    private isDuplicateSignal(signal: TradeSignal): boolean {
+        if (!signal.txHash) return false;
+        const key = `${signal.txHash}|${signal.tokenId}|${signal.side}`;
+        if (this.seenSignals.has(key)) return true;
 
-                const aiResult = await aiAgent.analyzeTrade(
-                    signal.marketId, 
-                    signal.side,
-                    signal.outcome,
-                    signal.sizeUsd,
-                    signal.price,
-                    this.config.riskProfile
-                );
-
-                if (!aiResult.shouldCopy) {
-                    await this.addLog('info', `AI Skipped: ${aiResult.reasoning} (Score: ${aiResult.riskScore})`);
-                    if (this.callbacks?.onTradeComplete) {
-                        await this.callbacks.onTradeComplete({
-                            id: crypto.randomUUID(),
-                            timestamp: new Date().toISOString(),
-                            marketId: signal.marketId,
-                            outcome: signal.outcome,
-                            side: signal.side,
-                            size: signal.sizeUsd,
-                            executedSize: 0,
-                            price: signal.price,
-                            status: 'SKIPPED',
-                            aiReasoning: aiResult.reasoning,
-                            riskScore: aiResult.riskScore
-                        });
-                    }
-                    return;
-                }
+        const now = Date.now();
+        this.seenSignals.set(key, now);
+        if (this.seenSignals.size > 2000) {
+            for (const [k, ts] of this.seenSignals.entries()) {
+                if (now - ts > 60 * 60 * 1000) this.seenSignals.delete(k);
+            }
+        }
+        return false;
+    }
 
-                await this.addLog('info', `AI Approved: ${aiResult.reasoning}. Executing...`);
+    private getTargetSettings(trader: string): EffectiveTargetSettings {
+        if (this.executor) return this.executor.getTargetSettings(trader);
+        return resolveTargetSettings({
+            multiplier: this.config.multiplier,
+            riskProfile: this.config.riskProfile,
+            maxTradeAmount: this.config.maxTradeAmount,
+            minLiquidityFilter: this.config.minLiquidityFilter || 'LOW',
+            sizingStrategy: this.config.sizingStrategy || { type: 'PROPORTIONAL' },
+            mode: 'ALL'
+        }, this.config.targetOverrides, trader);
+    }
 
-                if (this.executor) {
-                    const result: ExecutionResult = await this.executor.copyTrade(signal);
-                    
-                    if (result.status === 'FILLED') {
-                        await this.addLog('success', `Trade Executed! Size: $${result.executedAmount.toFixed(2)}`);
-                        
-                        if (signal.side === 'BUY') {
-                            const tradeId = crypto.randomUUID();
-                            const marketData = await this.exchange?.getRawClient()?.getMarket(signal.marketId);
-                            
-                            let marketSlug = "";
-                            let question = "Syncing...";
-                            let image = "";
-                            
-                            if (marketData) {
-                                marketSlug = marketData.market_slug || "";
-                                question = marketData.question || question;
-                                image = marketData.image || image;
-                            }
-                            
-                            let eventSlug = "";
-                            try {
-                                const gammaUrl = `https://gamma-api.polymarket.com/markets?condition_id=${signal.marketId}`;
-                                const controller = new AbortController();
-                                const timeoutId = setTimeout(() => controller.abort(), 5000);
-                                
-                                const gammaResponse = await fetch(gammaUrl, { 
-                                    signal: controller.signal,
-                                    headers: { 'Accept': 'application/json' }
-                                });
-                                clearTimeout(timeoutId);
-                                
-                                if (gammaResponse.ok) {
-                                    const gammaData = await gammaResponse.json();
-                                    if (gammaData && gammaData.length > 0 && gammaData[0].events && gammaData[0].events.length > 0) {
-                                        eventSlug = gammaData[0].events[0]?.slug || "";
-                                    }
-                                }
-                            } catch (gammaError) {}
-
-                            const newTrade: TradeHistoryEntry = {
-                                id: tradeId,
-                                timestamp: new Date().toISOString(),
-                                marketId: signal.marketId,
-                                outcome: signal.outcome,
-                                side: 'BUY',
-                                size: signal.sizeUsd,
-                                executedSize: result.executedAmount,
-                                price: result.priceFilled || signal.price,
-                                pnl: 0,
-                                status: 'OPEN',
-                                txHash: result.txHash,
-                                clobOrderId: result.txHash, 
-                                assetId: signal.tokenId,
-                                aiReasoning: aiResult.reasoning,
-                                riskScore: aiResult.riskScore,
-                                marketSlug: marketSlug,
-                                eventSlug: eventSlug
-                            };
-
-                            if (this.callbacks?.onTradeComplete) await this.callbacks.onTradeComplete(newTrade);
-
-                            this.activePositions.push({
-                                tradeId: tradeId, 
-                                clobOrderId: result.txHash,
-                                marketId: signal.marketId,
-                                tokenId: signal.tokenId,
-                                outcome: signal.outcome,
-                                entryPrice: result.priceFilled || signal.price,
-                                shares: result.executedShares, 
-                                sizeUsd: result.executedAmount,
-                                investedValue: result.executedAmount,
-                                timestamp: Date.now(),
-                                currentPrice: result.priceFilled || signal.price,
-                                question: question,
-                                image: image,
-                                marketSlug: marketSlug,
-                                eventSlug: eventSlug
-                            });
-                        } else if (signal.side === 'SELL') {
-                            const idx = this.activePositions.findIndex(p => p.marketId === signal.marketId && p.outcome === signal.outcome);
-                            if (idx !== -1) {
-                                const closingPos = this.activePositions[idx];
-                                const exitValue = result.executedAmount;
-                                const realizedPnl = exitValue - (closingPos.shares * closingPos.entryPrice);
-
-                                await Trade.findByIdAndUpdate(closingPos.tradeId, { status: 'CLOSED', pnl: realizedPnl });
-                                
-                                if (this.callbacks?.onTradeComplete) {
-                                    await this.callbacks.onTradeComplete({
-                                        id: crypto.randomUUID(),
-                                        timestamp: new Date().toISOString(),
-                                        marketId: closingPos.marketId,
-                                        outcome: closingPos.outcome,
-                                        side: 'SELL',
-                                        size: closingPos.shares * closingPos.entryPrice,
-                                        executedSize: exitValue,
-                                        price: result.priceFilled || signal.price,
-                                        pnl: realizedPnl,
-                                        status: 'CLOSED',
-                                        aiReasoning: aiResult.reasoning,
-                                        riskScore: aiResult.riskScore,
-                                        clobOrderId: closingPos.clobOrderId,
-                                        marketSlug: closingPos.marketSlug,
-                                        eventSlug: closingPos.eventSlug
-                                    });
-                                }
-
-                                this.activePositions.splice(idx, 1);
-                            }
-                        }
+    /**
+     * Restores today's realized PnL from closed trades so a restart cannot reset the daily loss limit.
+     */
+    private async seedDailyRiskPnl(): Promise<void> {
+        if (!this.riskManager) return;
+        try {
+            const dayStart = new Date();
+            dayStart.setUTCHours(0, 0, 0, 0);
+            const [row] = await Trade.aggregate([
+                { $match: { userId: this.config.userId, side: 'SELL', status: 'CLOSED', aiReasoning: { $ne: NEG_RISK_CONVERSION }, timestamp: { $gte: dayStart } } },
+                { $group: { _id: null, pnl: { $sum: '$pnl' } } }
+            ]);
+            this.riskManager.seedDailyPnl(row?.pnl || 0);
+            if (this.riskManager.isPaused()) {
+                await this.addLog('warn', `Daily loss limit already reached today ($${(row?.pnl || 0).toFixed(2)}). New entries paused until 00:00 UTC.`);
+            }
+        } catch (e: any) {
+            await this.addLog('warn', `Failed to load today's realized PnL: ${e.message}`);
+        }
+    }
+
+    private async recordRealizedPnl(pnl: number): Promise<void> {
+        if (this.riskManager?.recordRealizedPnl(pnl)) {
+            const status = this.riskManager.getStatus();
+            await this.addLog('error', `Daily loss limit hit (realized $${status.realizedPnlToday.toFixed(2)}, limit $${status.limits.dailyLossLimitUsd}). New entries paused until 00:00 UTC.`);
+        }
+    }
+
+    public getRiskStatus() {
+        return this.riskManager?.getStatus();
+    }
+
+    private async recordSkippedSignal(signal: TradeSignal, reason: string, riskScore = 0, aiRawResponses?: string[]): Promise<void> {
+        if (!this.callbacks?.onTradeComplete) return;
+        await this.callbacks.onTradeComplete({
+            id: crypto.randomUUID(),
+            timestamp: new Date().toISOString(),
+            marketId: signal.marketId,
+            outcome: signal.outcome,
+            side: signal.side,
+            size: signal.sizeUsd,
+            executedSize: 0,
+            price: signal.price,
+            status: 'SKIPPED',
+            assetId: signal.tokenId,
+            aiReasoning: reason,
+            aiRawResponses,
+            riskScore
+        });
+    }
+
+    /**
+     * Applies the late-signal policy. Returns the signal to execute (possibly re-priced) or null to stop.
+     */
+    private async applyLateSignalPolicy(signal: TradeSignal): Promise<TradeSignal | null> {
+        const policy = this.config.lateSignalPolicy || DEFAULT_LATE_SIGNAL_POLICY;
+        const ageSeconds = Math.round((Date.now() - signal.timestamp) / 1000);
+        if (ageSeconds <= policy.maxSignalAgeSeconds) return signal;
+
+        const label = `${signal.side} ${signal.outcome} @ ${signal.price} from ${signal.trader.slice(0, 6)}... (${ageSeconds}s old${signal.backfilled ? ', backfilled' : ''})`;
+
+        if (policy.action === 'LOG_ONLY') {
+            await this.addLog('info', `Late Signal Logged: ${label}`);
+            await this.recordSkippedSignal(signal, `Late signal (${ageSeconds}s > ${policy.maxSignalAgeSeconds}s) - logged only`);
+            return null;
+        }
 
-                        if (this.callbacks?.onPositionsUpdate) await this.callbacks.onPositionsUpdate(this.activePositions);
-                        await notifier.sendTradeAlert(signal);
-                        setTimeout(() => this.syncStats(), 2000);
-                    } else {
-                        await this.addLog('warn', `Execution Failed: ${result.reason || result.status}`);
+        if (policy.action === 'COPY_AT_MARKET') {
+            const marketPrice = await this.exchange?.getMarketPrice(signal.marketId, signal.tokenId, signal.side).catch(() => 0);
+            if (!marketPrice || isNaN(marketPrice) || marketPrice <= 0) {
+                await this.addLog('warn', `Late Signal Skipped: no current price for ${label}`);
+                await this.recordSkippedSignal(signal, `Late signal (${ageSeconds}s) - no current price available`);
+                return null;
+            }
+            await this.addLog('info', `Late Signal Re-priced: ${label} -> copying at market ${marketPrice}`);
+            return { ...signal, price: marketPrice };
+        }
+
+        await this.addLog('info', `Late Signal Copied: ${label}`);
+        return signal;
+    }
+
+    private async handleSignal(incoming: TradeSignal): Promise<void> {
+        if (!this.isRunning) return;
+        if (this.isDuplicateSignal(incoming)) return;
+
+        await this.cursorService.record(incoming);
+
+        const signal = await this.applyLateSignalPolicy(incoming);
+        if (!signal) return;
+
+        const settings = this.getTargetSettings(signal.trader);
+        if ((settings.mode === 'BUYS_ONLY' && signal.side === 'SELL') || (settings.mode === 'SELLS_ONLY' && signal.side === 'BUY')) {
+            await this.addLog('info', `Ignoring ${signal.side} from ${signal.trader.slice(0, 6)}... (target mode: ${settings.mode})`);
+            return;
+        }
+
+        if (signal.side === 'SELL') {
+            const hasPosition = this.activePositions.some(p => isSameOutcomeToken(p, signal));
+            if (!hasPosition) return; 
+        }
+
+        const contradiction = await this.eventGroups?.findContradiction(signal, this.activePositions);
+        if (contradiction) {
+            if (!this.config.allowContradictoryOutcomes) {
+                await this.addLog('warn', `Skipped BUY ${signal.outcome}: ${contradiction}.`);
+                await this.recordSkippedSignal(signal, `contradictory_outcome: ${contradiction}`);
+                return;
+            }
+            await this.addLog('info', `Copying BUY ${signal.outcome} despite contradiction: ${contradiction}.`);
+        }
+
+        const filtered = this.executor ? await this.executor.checkMarketFilters(signal) : { passed: true as const };
+        if (!filtered.passed) {
+            await this.addLog('info', `Market filter (${filtered.filter}) skipped ${signal.side} ${signal.outcome}: ${filtered.reason}`);
+            await this.recordSkippedSignal(signal, `market_filter_${filtered.filter.toLowerCase()}: ${filtered.reason}`);
+            return;
+        }
+
+        let aiResult = await this.riskAgent.reuseDecision?.(signal, settings.riskProfile);
+        if (!aiResult) {
+            const context = this.tradeContext && this.riskAgent.usesContext?.(signal) !== false
+                ? await this.tradeContext.build(signal, this.activePositions)
+                : signalOnlyContext(signal);
+            aiResult = await this.riskAgent.analyzeTrade(context, settings.riskProfile);
+        }
+        await this.recordAiUsage(aiResult);
+
+        if (!aiResult.shouldCopy) {
+            await this.addLog('info', `AI Skipped${aiResult.cached ? ' (cached)' : ''}: ${aiResult.reasoning} (Score: ${aiResult.riskScore})`);
+            await this.recordSkippedSignal(signal, aiResult.reasoning, aiResult.riskScore, aiResult.rawResponses);
+            return;
+        }
+
+        await this.addLog('info', `AI Approved${aiResult.cached ? ' (cached)' : ''}: ${aiResult.reasoning}. Executing...`);
+
+        if (this.executor) {
+            const held = signal.side === 'SELL' ? this.activePositions.find(p => isSameOutcomeToken(p, signal)) : undefined;
+            const result: ExecutionResult = await this.executor.copyTrade(signal, { riskScore: aiResult.riskScore, whaleEntryShares: held?.whaleEntryShares });
+            
+            if (result.riskLimit) {
+                await this.addLog('warn', `Risk limit (${result.riskLimit}) blocked ${signal.side} ${signal.outcome}: ${result.reason}`);
+                await this.recordSkippedSignal(signal, result.reason || `risk_limit_${result.riskLimit.toLowerCase()}`, aiResult.riskScore, aiResult.rawResponses);
+                return;
+            }
+
+            const guardInfo = `latency ${((result.latencyMs || 0) / 1000).toFixed(1)}s, drift ${result.driftCents !== undefined ? `${result.driftCents.toFixed(1)}¢` : 'n/a'}`;
+            if (result.status === 'FILLED' || result.status === 'RESTING') {
+                const decision: TradeDecision = { reasoning: aiResult.reasoning, riskScore: aiResult.riskScore, rawResponses: aiResult.rawResponses };
+
+                if (result.status === 'FILLED') {
+                    const quality = result.vwap !== undefined ? `, VWAP ${result.vwap.toFixed(3)} vs whale ${signal.price} (${(result.vwapVsWhaleCents || 0).toFixed(2)}¢)${result.slices && result.slices > 1 ? ` in ${result.slices} slices` : ''}` : '';
+                    await this.addLog('success', `Trade Executed! Size: $${result.executedAmount.toFixed(2)} (${guardInfo}${result.guardAction ? `, guard: ${result.guardAction}` : ''}${quality})`);
+
+                    if (signal.side === 'BUY') {
+                        await this.recordBuyFill(signal, result.executedShares, result.priceFilled || signal.price, result.txHash, decision, whaleSignalShares(signal));
+                    } else if (signal.side === 'SELL') {
+                        await this.recordSellFill(signal, result.executedShares, result.executedAmount, result.priceFilled || signal.price, decision);
+                        const remaining = this.activePositions.find(p => isSameOutcomeToken(p, signal));
+                        if (remaining) {
+                            remaining.whaleEntryShares = result.whaleSharesAfter ?? Math.max(0, (remaining.whaleEntryShares || 0) - whaleSignalShares(signal));
+                        }
                     }
                 }
+
+                if (result.restingShares && result.orderId && this.orderTracker) {
+                    await this.orderTracker.track({
+                        orderId: result.orderId,
+                        marketId: signal.marketId,
+                        tokenId: signal.tokenId,
+                        outcome: signal.outcome,
+                        side: signal.side,
+                        price: result.priceFilled || signal.price,
+                        sharesRequested: result.sharesRequested || result.executedShares + result.restingShares,
+                        sharesFilled: result.executedShares,
+                        status: result.executedShares > 0 ? 'PARTIAL' : 'LIVE',
+                        signal,
+                        aiReasoning: aiResult.reasoning,
+                        aiRawResponses: aiResult.rawResponses,
+                        riskScore: aiResult.riskScore
+                    });
+                    await this.addLog('info', `Order resting on book: ${result.restingShares.toFixed(2)} shares @ $${(result.priceFilled || signal.price).toFixed(3)} (${guardInfo}). Positions update as fills arrive.`);
+                }
+
+                if (this.callbacks?.onPositionsUpdate) await this.callbacks.onPositionsUpdate(this.activePositions);
+                if (result.status === 'FILLED') {
+                    await this.notifier?.sendTradeAlert(signal);
+                    setTimeout(() => this.syncStats(), 2000);
+                }
+            } else {
+                await this.addLog('warn', `Execution Failed: ${result.reason || result.status} (${guardInfo})`);
+            }
+        }
+    }
+
+    /**
+     * Books shares we actually received. Fills for a token we already hold are merged into that position.
+     * whaleShares is what the whale bought in the signal; it is counted once per signal, not per fill.
+     */
+    private async recordBuyFill(signal: TradeSignal, shares: number, price: number, orderId: string | undefined, decision: TradeDecision, whaleShares = 0): Promise<void> {
+        if (shares <= 0) return;
+        const amount = shares * price;
+
+        const existing = this.activePositions.find(p => p.tokenId === signal.tokenId);
+        if (existing) {
+            const totalShares = existing.shares + shares;
+            existing.entryPrice = ((existing.shares * existing.entryPrice) + amount) / totalShares;
+            existing.shares = totalShares;
+            existing.sizeUsd = (existing.sizeUsd || 0) + amount;
+            existing.investedValue = (existing.investedValue || 0) + amount;
+            existing.whaleEntryShares = (existing.whaleEntryShares || 0) + whaleShares;
+            if (existing.tradeId && !existing.tradeId.startsWith('imported')) {
+                // Keep the audit trail of every decision that added to the position
+                await Trade.findByIdAndUpdate(existing.tradeId, {
+                    $inc: { executedSize: amount },
+                    ...(decision.rawResponses?.length ? { $push: { aiRawResponses: { $each: decision.rawResponses } } } : {})
+                });
             }
+            await this.attributeBuy(signal, existing.tradeId, amount, price, orderId);
+            return;
+        }
+
+        const tradeId = crypto.randomUUID();
+        const { marketSlug, eventSlug, question, image } = await marketMetadata.getMarketSummary(signal.marketId);
+
+        const newTrade: TradeHistoryEntry = {
+            id: tradeId,
+            timestamp: new Date().toISOString(),
+            marketId: signal.marketId,
+            outcome: signal.outcome,
+            side: 'BUY',
+            size: signal.sizeUsd,
+            executedSize: amount,
+            price: price,
+            pnl: 0,
+            status: 'OPEN',
+            txHash: orderId,
+            clobOrderId: orderId, 
+            assetId: signal.tokenId,
+            aiReasoning: decision.reasoning,
+            aiRawResponses: decision.rawResponses,
+            riskScore: decision.riskScore,
+            marketSlug: marketSlug,
+            eventSlug: eventSlug,
+            sourceWallet: signal.trader
+        };
+
+        if (this.callbacks?.onTradeComplete) await this.callbacks.onTradeComplete(newTrade);
+        await this.attributeBuy(signal, tradeId, amount, price, orderId);
+
+        this.activePositions.push({
+            tradeId: tradeId, 
+            clobOrderId: orderId,
+            marketId: signal.marketId,
+            tokenId: signal.tokenId,
+            outcome: signal.outcome,
+            entryPrice: price,
+            shares: shares, 
+            sizeUsd: amount,
+            investedValue: amount,
+            timestamp: Date.now(),
+            currentPrice: price,
+            question: question,
+            image: image,
+            marketSlug: marketSlug,
+            eventSlug: eventSlug,
+            trader: signal.trader,
+            whaleEntryShares: whaleShares
         });
+    }
 
-        await this.monitor.start(this.config.startCursor || Math.floor(Date.now() / 1000));
-        this.addLog('success', `Engine Active. Monitoring ${this.config.userAddresses.length} targets.`);
+    /**
+     * Books shares we actually sold. A sell that leaves less than 0.01 shares closes the position.
+     * Pass tradeId to book against one exact position instead of the first one holding the token.
+     */
+    private async recordSellFill(signal: TradeSignal, shares: number, exitValue: number, price: number, decision: TradeDecision, tradeId?: string): Promise<void> {
+        const idx = tradeId
+            ? this.activePositions.findIndex(p => p.tradeId === tradeId)
+            : this.activePositions.findIndex(p => isSameOutcomeToken(p, signal));
+        if (idx === -1 || shares <= 0) return;
+
+        const position = this.activePositions[idx];
+        const sold = Math.min(shares, position.shares);
+        const costBasis = sold * position.entryPrice;
+        const realizedPnl = exitValue - costBasis;
+        const closesPosition = position.shares - sold < 0.01;
+
+        // A conversion swaps NO for collateral plus YES; its PnL is a mark, not a trading loss
+        if (decision.reasoning !== NEG_RISK_CONVERSION) await this.recordRealizedPnl(realizedPnl);
+
+        const sellId = crypto.randomUUID();
+        const sourceWallet = position.trader || signal.trader;
+        if (this.callbacks?.onTradeComplete) {
+            await this.callbacks.onTradeComplete({
+                id: sellId,
+                timestamp: new Date().toISOString(),
+                marketId: position.marketId,
+                outcome: position.outcome,
+                side: 'SELL',
+                size: costBasis,
+                executedSize: exitValue,
+                assetId: position.tokenId,
+                price: price,
+                pnl: realizedPnl,
+                status: 'CLOSED',
+                aiReasoning: decision.reasoning,
+                aiRawResponses: decision.rawResponses,
+                riskScore: decision.riskScore,
+                clobOrderId: position.clobOrderId,
+                marketSlug: position.marketSlug,
+                eventSlug: position.eventSlug,
+                sourceWallet
+            });
+        }
+        await this.attributeSell(position, sellId, sourceWallet, costBasis, exitValue, price, realizedPnl);
+
+        if (closesPosition) {
+            await Trade.findByIdAndUpdate(position.tradeId, { status: 'CLOSED', pnl: realizedPnl });
+            this.activePositions.splice(idx, 1);
+        } else {
+            position.shares -= sold;
+            position.sizeUsd = position.shares * position.entryPrice;
+            position.investedValue = position.shares * position.entryPrice;
+        }
+    }
+
+    /**
+     * Model-backed agents sit behind the decision cache and rate limiter. The rules agent, and Gemini
+     * without any key (which bypasses the gate), make no calls to budget.
+     */
+    private buildRiskAgent(): IRiskAgent {
+        const failurePolicy = this.config.aiFailurePolicy || defaultAiFailurePolicy(this.config.riskProfile);
+        const agent = createRiskAgent(this.config.riskAgent, { geminiApiKey: this.config.geminiApiKey }, failurePolicy);
+        const noGeminiKey = agent.name === 'gemini' && !this.config.geminiApiKey && !process.env.API_KEY;
+        if (this.config.riskAgent?.type === 'RULES' || noGeminiKey) return agent;
+        const throttle = this.config.aiThrottle || DEFAULT_AI_THROTTLE;
+        return new ThrottledRiskAgent(agent, this.config.userId, throttle, throttle.fallback || failurePolicy, riskAgentScope(this.config.riskAgent));
+    }
+
+    private describeRiskAgent(): string {
+        if (this.riskAgent.name !== 'gemini') return this.riskAgent.name;
+        if (this.config.geminiApiKey) return 'gemini (your API key)';
+        return process.env.API_KEY ? 'gemini (platform API key)' : 'gemini (no API key, signals bypass the AI gate)';
+    }
+
+    private async recordAiUsage(result: AnalysisResult): Promise<void> {
+        const inc = result.bypassed ? { bypassed: 1 }
+            : result.cached ? { cacheHits: 1 }
+            : result.throttled ? { throttled: 1 }
+            : {
+                calls: 1,
+                failures: result.failed ? 1 : 0,
+                repairs: result.repaired ? 1 : 0,
+                promptTokens: result.usage?.promptTokens || 0,
+                completionTokens: result.usage?.completionTokens || 0,
+                totalTokens: result.usage?.totalTokens || 0
+            };
+        const update: Record<string, any> = { $inc: inc };
+        if (!result.cached) {
+            update.$set = { lastAgent: this.riskAgent.name, lastCallAt: new Date() };
+            if (result.failed && !result.throttled) {
+                update.$set.lastFailureAt = new Date();
+                update.$set.lastError = result.reasoning.slice(0, 500);
+            }
+        }
+        try {
+            await AiUsage.updateOne({ userId: this.config.userId }, update, { upsert: true });
+        } catch (e: any) {
+            console.error(`[AI Usage] Failed to record for ${this.config.userId}: ${e.message}`);
+        }
+    }
+
+    /**
+     * Copy attribution: links the fill to the whale wallet that triggered it.
+     */
+    private async attributeBuy(signal: TradeSignal, tradeId: string, amount: number, price: number, orderId?: string): Promise<void> {
+        if (!signal.trader) return;
+        await copyAttribution.recordCopy({
+            copierUserId: this.config.userId,
+            sourceWallet: signal.trader,
+            tradeId,
+            marketId: signal.marketId,
+            assetId: signal.tokenId,
+            outcome: signal.outcome,
+            side: 'BUY',
+            sizeUsd: signal.sizeUsd,
+            executedSize: amount,
+            price,
+            txHash: orderId
+        });
+    }
+
+    private async attributeSell(position: ActivePosition, sellId: string, sourceWallet: string | undefined, costBasis: number, exitValue: number, price: number, realizedPnl: number): Promise<void> {
+        if (!sourceWallet) return;
+        await copyAttribution.recordCopy({
+            copierUserId: this.config.userId,
+            sourceWallet,
+            tradeId: sellId,
+            closesTradeId: position.tradeId,
+            marketId: position.marketId,
+            assetId: position.tokenId,
+            outcome: position.outcome,
+            side: 'SELL',
+            sizeUsd: costBasis,
+            executedSize: exitValue,
+            price,
+            profitUsd: realizedPnl
+        });
+    }
+
+    private async handleOrderFill(order: TrackedOrder, shares: number, price: number): Promise<void> {
+        const decision: TradeDecision = { reasoning: order.aiReasoning, riskScore: order.riskScore, rawResponses: order.aiRawResponses };
+        if (order.side === 'BUY') {
+            this.ledger?.fill(order.orderId, shares * price);
+            if (order.status === 'FILLED') this.ledger?.release(order.orderId, 'filled');
+            const firstFill = order.sharesFilled - shares < 0.0001;
+            await this.recordBuyFill(order.signal, shares, price, order.orderId, decision, firstFill ? whaleSignalShares(order.signal) : 0);
+        } else {
+            await this.recordSellFill(order.signal, shares, shares * price, price, decision);
+        }
+        await this.addLog('success', `Resting ${order.side} filled: +${shares.toFixed(2)} shares @ $${price.toFixed(3)} (${order.sharesFilled.toFixed(2)}/${order.sharesRequested})`);
+        if (this.callbacks?.onPositionsUpdate) await this.callbacks.onPositionsUpdate(this.activePositions);
+        setTimeout(() => this.syncStats(), 2000);
+    }
+
+    private async handleOrderClosed(order: TrackedOrder): Promise<void> {
+        const unfilled = Math.max(0, order.sharesRequested - order.sharesFilled);
+        if (order.side === 'BUY') this.ledger?.release(order.orderId, order.status.toLowerCase());
+        await this.addLog('info', `Resting ${order.side} ${order.status.toLowerCase()}: ${unfilled.toFixed(2)} unfilled shares released (${order.sharesFilled.toFixed(2)}/${order.sharesRequested} filled).`);
+    }
+
+    public getTrackedOrders(): TrackedOrder[] {
+        return this.orderTracker?.getOpenOrders() || [];
+    }
+
+    public getLedgerSnapshot(): LedgerSnapshot | undefined {
+        return this.ledger?.snapshot();
+    }
+
+    /**
+     * Event groups as of the last background pass. The status endpoint polls this, so it never waits
+     * on gamma; each call starts a new pass unless one is already running.
+     */
+    public getEventGroups(): EventGroup[] {
+        if (this.eventGroups && !this.eventGroupsRefresh) {
+            this.eventGroupsRefresh = this.eventGroups.groupPositions(this.activePositions)
+                .then(groups => { this.eventGroupsSnapshot = groups; })
+                .catch(e => this.addLog('warn', `Grouping positions by event failed: ${e.message}`))
+                .finally(() => { this.eventGroupsRefresh = undefined; });
+        }
+        return this.eventGroupsSnapshot;
+    }
+
+    /**
+     * Converts every NO position of a neg-risk event through the neg-risk adapter.
+     * Unless forced, only runs when the conversion is worth more than selling the same shares.
+     */
+    public async convertNoBasket(eventSlug: string, options: { dryRun?: boolean; force?: boolean } = {}): Promise<{ quote: NoConversionQuote; txHash?: string }> {
+        if (!this.eventGroups || !this.exchange?.convertNegRiskPositions) throw new Error("Engine not initialized.");
+
+        const quote = await this.eventGroups.quoteNoConversion(eventSlug, this.activePositions);
+        if (!quote) throw new Error("No convertible NO basket in this event (needs NO on at least two markets of a neg-risk event).");
+        if (options.dryRun) return { quote };
+        if (!quote.cheaperThanSelling && !options.force) {
+            throw new Error(`Conversion ($${quote.convertValueUsd.toFixed(2)}) is not worth more than selling ($${quote.sellValueUsd.toFixed(2)}).`);
+        }
+
+        await this.addLog('info', `Converting ${quote.shares} NO shares on ${quote.positions.length} markets of ${eventSlug} (convert $${quote.convertValueUsd.toFixed(2)} vs sell $${quote.sellValueUsd.toFixed(2)})...`);
+        const result = await this.exchange.convertNegRiskPositions(quote.negRiskMarketId, quote.indexSet, quote.shares);
+        if (!result.success) throw new Error(result.error || "Conversion failed");
+
+        const releasedUsd = result.amountUsd ?? quote.collateralUsd;
+        for (const leg of allocateConversion(quote, releasedUsd)) {
+            const price = leg.shares > 0 ? leg.exitValueUsd / leg.shares : 0;
+            await this.recordSellFill(
+                { trader: leg.position.trader || '', marketId: leg.position.marketId, tokenId: leg.position.tokenId, outcome: leg.position.outcome, side: 'SELL', sizeUsd: leg.exitValueUsd, price, timestamp: Date.now() },
+                leg.shares,
+                leg.exitValueUsd,
+                price,
+                { reasoning: NEG_RISK_CONVERSION, riskScore: 0 },
+                leg.position.tradeId
+            );
+        }
+        await this.addLog('success', `Neg-risk conversion complete: +$${releasedUsd.toFixed(2)} USDC plus YES on the other markets. Tx: ${result.txHash}`);
+        await this.syncPositions(true);
+        return { quote, txHash: result.txHash };
     }
 
     public getActivePositions(): ActivePosition[] {
         return this.activePositions;
     }
 
+    public getRiskAgentName(): string {
+        return this.riskAgent.name;
+    }
+
     public getCallbacks(): BotCallbacks | undefined {
         return this.callbacks;
     }
 }
+
+// Shares the whale traded in a signal
+function whaleSignalShares(signal: TradeSignal): number {
+    return signal.price > 0 ? signal.sizeUsd / signal.price : 0;
+}
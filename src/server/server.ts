@@ -6,18 +6,31 @@ import path from 'path';
 import 'dotenv/config';
 import mongoose from 'mongoose';
 import { ethers, JsonRpcProvider } from 'ethers';
-import { BotEngine, BotConfig } from './bot-engine.js';
+import { BotEngine, BotConfig, validateLateSignalPolicy } from './bot-engine.js';
+import { validateExecutionGuard } from '../services/trade-executor.service.js';
+import { validateSlicingPolicy } from '../services/order-slicer.service.js';
+import { validateSizingStrategy } from '../config/copy-strategy.js';
+import { validateMarketFilters } from '../config/market-filters.js';
+import { defaultAiFailurePolicy, validateAiFailurePolicy, validateAiThrottle, validateRiskAgentConfig } from '../config/risk-agent.js';
+import { aiRateLimiter } from '../services/ai-throttle.service.js';
+import { followedTargets, rebuildTargets, validateTargetOverrides } from '../config/target-overrides.js';
+import { validateRiskLimits } from '../services/risk-manager.service.js';
 import { TradingWalletConfig } from '../domain/wallet.types.js';
-import { connectDB, User, Registry, Trade, Feedback, BridgeTransaction, BotLog, DepositLog, HunterEarning } from '../database/index.js';
+import { parseExitRules } from '../config/exit-rules.js';
+import { connectDB, User, Registry, Trade, Feedback, BridgeTransaction, BotLog, DepositLog, HunterEarning, WalletAnalytics, AiUsage } from '../database/index.js';
 import { PortfolioSnapshotModel } from '../database/portfolio.schema.js';
 import { loadEnv, TOKENS } from '../config/env.js';
 import { DbRegistryService } from '../services/db-registry.service.js';
+import { SignalBusService } from '../services/signal-bus.service.js';
 import { registryAnalytics } from '../services/registry-analytics.service.js';
+import { copyAttribution } from '../services/copy-attribution.service.js';
+import { marketMetadata } from '../services/market-metadata.service.js';
 import { EvmWalletService } from '../services/evm-wallet.service.js';
 import { SafeManagerService } from '../services/safe-manager.service.js';
 import { BuilderVolumeData } from '../domain/alpha.types.js';
 import axios from 'axios';
 import { Logger } from '../utils/logger.util.js';
+import { isSameOutcomeToken } from '../utils/outcome.util.js';
 import fs from 'fs';
 
 // ESM compatibility
@@ -44,6 +57,12 @@ const serverLogger: Logger = {
     success: (msg) => console.log(`[SERVER SUCCESS] ${msg}`)
 };
 
+// One watcher for all bots: target wallets are deduplicated across ACTIVE_BOTS
+const signalBus = new SignalBusService(ENV, serverLogger);
+
+// Platform-wide AI budget; each bot also has its own bucket (aiThrottle)
+aiRateLimiter.setGlobalLimit({ callsPerMinute: ENV.aiGlobalCallsPerMinute, burst: ENV.aiGlobalBurst });
+
 app.use(cors());
 app.use(express.json({ limit: '10mb' }) as any); 
 
@@ -52,12 +71,19 @@ const distPath = path.join(__dirname, '../../dist');
 app.use(express.static(distPath) as any);
 
 
+// --- HELPER: The AI key lives encrypted in aiCredentials, never in the stored/returned bot config ---
+function withoutSecrets<T extends Partial<BotConfig> | undefined>(config: T): T {
+    if (!config) return config;
+    const { geminiApiKey, ...rest } = config as any;
+    return rest;
+}
+
 // --- HELPER: Start Bot Instance ---
 async function startUserBot(userId: string, config: BotConfig) {
     const normId = userId.toLowerCase();
     
     if (ACTIVE_BOTS.has(normId)) {
-        ACTIVE_BOTS.get(normId)?.stop();
+        await ACTIVE_BOTS.get(normId)?.stop();
     }
 
     const startCursor = config.startCursor || Math.floor(Date.now() / 1000);
@@ -108,7 +134,9 @@ async function startUserBot(userId: string, config: BotConfig) {
                         txHash: trade.txHash,
                         clobOrderId: trade.clobOrderId, 
                         assetId: trade.assetId,         
+                        sourceWallet: trade.sourceWallet,
                         aiReasoning: trade.aiReasoning,
+                        aiRawResponses: trade.aiRawResponses,
                         riskScore: trade.riskScore,
                         timestamp: trade.timestamp,
                         marketSlug: trade.marketSlug,
@@ -146,7 +174,7 @@ async function startUserBot(userId: string, config: BotConfig) {
                  await lister.save();
              }
         }
-    });
+    }, signalBus);
 
     ACTIVE_BOTS.set(normId, engine);
     engine.start().catch(err => console.error(`[Bot Error] ${normId}:`, err.message));
@@ -162,10 +190,16 @@ app.get('/health', (req, res) => {
         db: (dbStatusMap as any)[dbState] || 'unknown',
         uptime: process.uptime(),
         activeBots: ACTIVE_BOTS.size,
+        watchedWallets: signalBus.getWatchedWallets().length,
         timestamp: new Date()
     });
 });
 
+// 0b. Shared Signal Watchlist (wallet -> number of bots following it)
+app.get('/api/signals/watchlist', (req, res) => {
+    res.json({ wallets: signalBus.getWatchedWallets() });
+});
+
 // 1. Check Status / Init
 app.post('/api/wallet/status', async (req: any, res: any) => {
   const { userId } = req.body; 
@@ -418,36 +452,81 @@ app.post('/api/feedback', async (req: any, res: any) => {
 
 // 5. Start Bot
 app.post('/api/bot/start', async (req: any, res: any) => {
-  const { userId, userAddresses, rpcUrl, geminiApiKey, multiplier, riskProfile, autoTp, notifications, autoCashout, maxTradeAmount } = req.body;
+  const { userId, userAddresses, rpcUrl, geminiApiKey, multiplier, riskProfile, autoTp, notifications, autoCashout, maxTradeAmount, lateSignalPolicy, executionGuard, sizingStrategy, targetOverrides, riskLimits, exitRules, orderTtlSeconds, slicing, traderEquityTtlSeconds, allowContradictoryOutcomes, fullExitOnWhaleExit, marketFilters, riskAgent, aiFailurePolicy, aiThrottle } = req.body;
   
   if (!userId) { res.status(400).json({ error: 'Missing userId' }); return; }
   const normId = userId.toLowerCase();
 
+  const sizing = validateSizingStrategy(sizingStrategy);
+  if (sizing.error) { res.status(400).json({ error: `Invalid sizingStrategy: ${sizing.error}` }); return; }
+
+  const overrides = validateTargetOverrides(targetOverrides);
+  if (overrides.error) { res.status(400).json({ error: `Invalid targetOverrides: ${overrides.error}` }); return; }
+
+  const risk = validateRiskLimits(riskLimits);
+  if (risk.error) { res.status(400).json({ error: `Invalid riskLimits: ${risk.error}` }); return; }
+
+  const filters = validateMarketFilters(marketFilters);
+  if (filters.error) { res.status(400).json({ error: `Invalid marketFilters: ${filters.error}` }); return; }
+  const agent = validateRiskAgentConfig(riskAgent);
+  if (agent.error) { res.status(400).json({ error: `Invalid riskAgent: ${agent.error}` }); return; }
+  const failurePolicy = validateAiFailurePolicy(aiFailurePolicy);
+  if (failurePolicy.error) { res.status(400).json({ error: `Invalid aiFailurePolicy: ${failurePolicy.error}` }); return; }
+  const throttle = validateAiThrottle(aiThrottle);
+  if (throttle.error) { res.status(400).json({ error: `Invalid aiThrottle: ${throttle.error}` }); return; }
+  const guard = validateExecutionGuard(executionGuard);
+  if (guard.error) { res.status(400).json({ error: `Invalid executionGuard: ${guard.error}` }); return; }
+  const late = validateLateSignalPolicy(lateSignalPolicy);
+  if (late.error) { res.status(400).json({ error: `Invalid lateSignalPolicy: ${late.error}` }); return; }
+  const slices = validateSlicingPolicy(slicing);
+  if (slices.error) { res.status(400).json({ error: `Invalid slicing: ${slices.error}` }); return; }
+
   try {
       // MUST explicitly select encrypted fields for the signer key and credentials
       const user = await User.findOne({ address: normId })
-        .select('+tradingWallet.encryptedPrivateKey +tradingWallet.l2ApiCredentials.key +tradingWallet.l2ApiCredentials.secret +tradingWallet.l2ApiCredentials.passphrase');
+        .select('+tradingWallet.encryptedPrivateKey +tradingWallet.l2ApiCredentials.key +tradingWallet.l2ApiCredentials.secret +tradingWallet.l2ApiCredentials.passphrase +aiCredentials.geminiApiKey');
 
       if (!user || !user.tradingWallet) { 
           res.status(400).json({ error: 'Trading Wallet not activated.' }); 
           return; 
       }
 
+      if (typeof geminiApiKey === 'string' && geminiApiKey.trim()) {
+          user.aiCredentials = { geminiApiKey: geminiApiKey.trim() };
+      }
+
       const l2Creds = user.tradingWallet.l2ApiCredentials;
       
+      const listed: string[] = Array.isArray(userAddresses) ? userAddresses : userAddresses.split(',').map((s: string) => s.trim());
       const config: BotConfig = {
         userId: normId,
         walletConfig: user.tradingWallet,
-        userAddresses: Array.isArray(userAddresses) ? userAddresses : userAddresses.split(',').map((s: string) => s.trim()),
+        userAddresses: followedTargets(listed, overrides.overrides),
+        listedAddresses: listed.filter(Boolean),
         rpcUrl,
-        geminiApiKey,
+        geminiApiKey: user.aiCredentials?.geminiApiKey,
         multiplier: Number(multiplier),
         riskProfile,
         autoTp: autoTp ? Number(autoTp) : undefined,
+        exitRules: parseExitRules(exitRules),
         enableNotifications: notifications?.enabled,
         userPhoneNumber: notifications?.phoneNumber,
         autoCashout: autoCashout,
         maxTradeAmount: maxTradeAmount ? Number(maxTradeAmount) : 100, 
+        lateSignalPolicy: late.policy,
+        executionGuard: guard.guard,
+        sizingStrategy: sizing.strategy,
+        targetOverrides: overrides.overrides,
+        riskLimits: risk.limits,
+        marketFilters: filters.filters,
+        riskAgent: agent.agent,
+        aiFailurePolicy: failurePolicy.policy,
+        aiThrottle: throttle.throttle,
+        orderTtlSeconds: Number(orderTtlSeconds) > 0 ? Number(orderTtlSeconds) : undefined,
+        slicing: slices.policy,
+        traderEquityTtlSeconds: Number(traderEquityTtlSeconds) > 0 ? Number(traderEquityTtlSeconds) : undefined,
+        allowContradictoryOutcomes: allowContradictoryOutcomes === true,
+        fullExitOnWhaleExit: fullExitOnWhaleExit === true,
         activePositions: user.activePositions || [],
         stats: user.stats,
         l2ApiCredentials: l2Creds,
@@ -460,7 +539,7 @@ app.post('/api/bot/start', async (req: any, res: any) => {
 
       await startUserBot(normId, config);
       
-      user.activeBotConfig = config;
+      user.activeBotConfig = withoutSecrets(config);
       user.isBotRunning = true;
       await user.save();
 
@@ -477,7 +556,7 @@ app.post('/api/bot/stop', async (req: any, res: any) => {
     const normId = userId.toLowerCase();
     
     const engine = ACTIVE_BOTS.get(normId);
-    if (engine) engine.stop();
+    if (engine) await engine.stop();
     
     await User.updateOne({ address: normId }, { isBotRunning: false });
     res.json({ success: true, status: 'STOPPED' });
@@ -485,24 +564,70 @@ app.post('/api/bot/stop', async (req: any, res: any) => {
 
 // 6b. Live Update Bot (NEW)
 app.post('/api/bot/update', async (req: any, res: any) => {
-    const { userId, targets, multiplier, riskProfile, autoTp, autoCashout, notifications, maxTradeAmount } = req.body;
+    const { userId, targets, geminiApiKey, multiplier, riskProfile, autoTp, autoCashout, notifications, maxTradeAmount, lateSignalPolicy, executionGuard, sizingStrategy, targetOverrides, riskLimits, exitRules, orderTtlSeconds, slicing, traderEquityTtlSeconds, allowContradictoryOutcomes, fullExitOnWhaleExit, marketFilters, riskAgent, aiFailurePolicy, aiThrottle } = req.body;
     
     if (!userId) { res.status(400).json({ error: 'Missing userId' }); return; }
     const normId = userId.toLowerCase();
 
+    const sizing = sizingStrategy ? validateSizingStrategy(sizingStrategy) : {};
+    if (sizing.error) { res.status(400).json({ error: `Invalid sizingStrategy: ${sizing.error}` }); return; }
+
+    const overrides = targetOverrides ? validateTargetOverrides(targetOverrides) : {};
+    if (overrides.error) { res.status(400).json({ error: `Invalid targetOverrides: ${overrides.error}` }); return; }
+
+    const risk = riskLimits ? validateRiskLimits(riskLimits) : {};
+    if (risk.error) { res.status(400).json({ error: `Invalid riskLimits: ${risk.error}` }); return; }
+
+    const filters = marketFilters ? validateMarketFilters(marketFilters) : {};
+    if (filters.error) { res.status(400).json({ error: `Invalid marketFilters: ${filters.error}` }); return; }
+    const agent = riskAgent ? validateRiskAgentConfig(riskAgent) : {};
+    if (agent.error) { res.status(400).json({ error: `Invalid riskAgent: ${agent.error}` }); return; }
+    const failurePolicy = validateAiFailurePolicy(aiFailurePolicy);
+    if (failurePolicy.error) { res.status(400).json({ error: `Invalid aiFailurePolicy: ${failurePolicy.error}` }); return; }
+    const throttle = validateAiThrottle(aiThrottle);
+    if (throttle.error) { res.status(400).json({ error: `Invalid aiThrottle: ${throttle.error}` }); return; }
+    const guard = validateExecutionGuard(executionGuard);
+    if (guard.error) { res.status(400).json({ error: `Invalid executionGuard: ${guard.error}` }); return; }
+    const late = validateLateSignalPolicy(lateSignalPolicy);
+    if (late.error) { res.status(400).json({ error: `Invalid lateSignalPolicy: ${late.error}` }); return; }
+    const slices = validateSlicingPolicy(slicing);
+    if (slices.error) { res.status(400).json({ error: `Invalid slicing: ${slices.error}` }); return; }
+
     try {
-        const user = await User.findOne({ address: normId });
+        const user = await User.findOne({ address: normId }).select('+aiCredentials.geminiApiKey');
         if (!user) { res.status(404).json({ error: 'User not found' }); return; }
 
+        // An empty string removes the stored key. Configs saved before aiCredentials existed hold it in plaintext.
+        const legacyKey = user.activeBotConfig?.geminiApiKey;
+        if (typeof geminiApiKey === 'string' || (legacyKey && !user.aiCredentials?.geminiApiKey)) {
+            user.aiCredentials = { geminiApiKey: typeof geminiApiKey === 'string' ? geminiApiKey.trim() || undefined : legacyKey };
+            await user.save();
+        }
+
         if (!user.activeBotConfig) user.activeBotConfig = {} as any;
-        const cfg = user.activeBotConfig!;
+        const cfg = withoutSecrets(user.activeBotConfig)!;
 
-        if (targets) cfg.userAddresses = targets;
         if (multiplier) cfg.multiplier = multiplier;
         if (riskProfile) cfg.riskProfile = riskProfile;
         if (autoTp) cfg.autoTp = autoTp;
+        if (exitRules) cfg.exitRules = parseExitRules(exitRules);
         if (autoCashout) cfg.autoCashout = autoCashout;
         if (maxTradeAmount) cfg.maxTradeAmount = maxTradeAmount;
+        if (late.policy) cfg.lateSignalPolicy = late.policy;
+        if (guard.guard) cfg.executionGuard = guard.guard;
+        if (sizing.strategy) cfg.sizingStrategy = sizing.strategy;
+        if (risk.limits) cfg.riskLimits = risk.limits;
+        if (filters.filters) cfg.marketFilters = filters.filters;
+        if (agent.agent) cfg.riskAgent = agent.agent;
+        if (failurePolicy.policy) cfg.aiFailurePolicy = failurePolicy.policy;
+        if (throttle.throttle) cfg.aiThrottle = throttle.throttle;
+        if (Number(orderTtlSeconds) > 0) cfg.orderTtlSeconds = Number(orderTtlSeconds);
+        if (slices.policy) cfg.slicing = slices.policy;
+        if (Number(traderEquityTtlSeconds) > 0) cfg.traderEquityTtlSeconds = Number(traderEquityTtlSeconds);
+        if (typeof allowContradictoryOutcomes === 'boolean') cfg.allowContradictoryOutcomes = allowContradictoryOutcomes;
+        if (typeof fullExitOnWhaleExit === 'boolean') cfg.fullExitOnWhaleExit = fullExitOnWhaleExit;
+        const targetsChanged = !!targets || !!overrides.overrides;
+        if (targetsChanged) Object.assign(cfg, rebuildTargets(cfg, targets, overrides.overrides));
         if (notifications) {
             cfg.enableNotifications = notifications.enabled;
             cfg.userPhoneNumber = notifications.phoneNumber;
@@ -513,12 +638,28 @@ app.post('/api/bot/update', async (req: any, res: any) => {
         const engine = ACTIVE_BOTS.get(normId);
         if (engine && engine.isRunning) {
             engine.updateConfig({
-                userAddresses: targets,
+                userAddresses: targetsChanged ? cfg.userAddresses : undefined,
+                geminiApiKey: typeof geminiApiKey === 'string' ? geminiApiKey.trim() : undefined,
                 multiplier: multiplier ? Number(multiplier) : undefined,
                 riskProfile: riskProfile,
                 autoTp: autoTp ? Number(autoTp) : undefined,
+                exitRules: exitRules ? parseExitRules(exitRules) : undefined,
                 autoCashout: autoCashout,
-                maxTradeAmount: maxTradeAmount ? Number(maxTradeAmount) : undefined
+                maxTradeAmount: maxTradeAmount ? Number(maxTradeAmount) : undefined,
+                lateSignalPolicy: late.policy,
+                executionGuard: guard.guard,
+                sizingStrategy: sizing.strategy,
+                targetOverrides: targetsChanged ? cfg.targetOverrides || {} : undefined,
+                riskLimits: risk.limits,
+                marketFilters: filters.filters,
+                riskAgent: agent.agent,
+                aiFailurePolicy: failurePolicy.policy,
+                aiThrottle: throttle.throttle,
+                orderTtlSeconds: Number(orderTtlSeconds) > 0 ? Number(orderTtlSeconds) : undefined,
+                slicing: slices.policy,
+                traderEquityTtlSeconds: Number(traderEquityTtlSeconds) > 0 ? Number(traderEquityTtlSeconds) : undefined,
+                allowContradictoryOutcomes: typeof allowContradictoryOutcomes === 'boolean' ? allowContradictoryOutcomes : undefined,
+                fullExitOnWhaleExit: typeof fullExitOnWhaleExit === 'boolean' ? fullExitOnWhaleExit : undefined
             });
         }
 
@@ -581,7 +722,15 @@ app.get('/api/bot/status/:userId', async (req: any, res: any) => {
             history: historyUI,
             positions: livePositions, 
             stats: user?.stats || null,
-            config: user?.activeBotConfig || null
+            config: withoutSecrets(user?.activeBotConfig) || null,
+            ai: {
+                agent: engine?.getRiskAgentName() || user?.activeBotConfig?.riskAgent?.type || 'GEMINI',
+                failurePolicy: user?.activeBotConfig?.aiFailurePolicy || defaultAiFailurePolicy(user?.activeBotConfig?.riskProfile),
+                hasGeminiApiKey: !!(await User.exists({ address: normId, 'aiCredentials.geminiApiKey': { $nin: [null, ''] } })),
+                usage: await AiUsage.findOne({ userId: normId }, { _id: 0, __v: 0, userId: 0 }).lean()
+            },
+            risk: engine?.getRiskStatus() || null,
+            events: engine ? engine.getEventGroups() : []
         });
     } catch (e) {
         console.error("Status Error:", e);
@@ -608,12 +757,15 @@ app.get('/api/registry/:address/earnings', async (req, res) => {
         const totalEarned = earnings.reduce((sum, e) => sum + e.hunterFeeUsd, 0);
         const totalTrades = earnings.length;
         const uniqueCopiers = new Set(earnings.map(e => e.copierUserId)).size;
+        // Copies of this wallet's own trades (it is the source, not the hunter)
+        const copyStats = await WalletAnalytics.findOne({ walletAddress: address }).lean();
         
         res.json({
             totalEarned,
             totalTrades,
             uniqueCopiers,
-            recentEarnings: earnings.slice(0, 10)
+            recentEarnings: earnings.slice(0, 10),
+            copyStats: copyStats || null
         });
     } catch (e) { 
         res.status(500).json({error: 'DB Error'}); 
@@ -728,7 +880,9 @@ app.post('/api/wallet/withdraw', async (req: any, res: any) => {
             try { 
                 balanceToWithdraw = await usdcContract.balanceOf(safeAddr); 
                 if (!targetSafeAddress) eoaBalance = await usdcContract.balanceOf(walletConfig.address);
-            } catch(e) {} 
+            } catch (e: any) {
+                console.warn(`[Withdraw] USDC balance lookup failed, treating it as 0: ${e.message}`);
+            }
         }
         
         if (!isForceEoa) {
@@ -844,18 +998,46 @@ app.post('/api/trade/sync', async (req: any, res: any) => {
 });
 
 app.post('/api/trade/exit', async (req: any, res: any) => {
-    const { userId, marketId, outcome } = req.body;
+    const { userId, marketId, outcome, tokenId } = req.body;
     const normId = userId.toLowerCase();
     const engine = ACTIVE_BOTS.get(normId);
     if (!engine) return res.status(404).json({ error: "Bot not running" });
     try {
-        const result = await engine.emergencySell(marketId, outcome);
+        const result = await engine.emergencySell(marketId, outcome, tokenId);
         res.json({ success: true, result });
     } catch (e: any) {
         res.status(500).json({ error: e.message });
     }
 });
 
+// Convert a basket of NO positions in a neg-risk event (dryRun returns the quote only)
+app.post('/api/positions/neg-risk/convert', async (req: any, res: any) => {
+    const { userId, eventSlug, dryRun, force } = req.body;
+    if (!userId || !eventSlug) { res.status(400).json({ error: 'User ID and event slug required' }); return; }
+    const engine = ACTIVE_BOTS.get(userId.toLowerCase());
+    if (!engine) return res.status(404).json({ error: "Bot not running" });
+    try {
+        const { quote, txHash } = await engine.convertNoBasket(eventSlug, { dryRun: dryRun === true, force: force === true });
+        res.json({ success: true, txHash, quote: { ...quote, indexSet: quote.indexSet.toString() } });
+    } catch (e: any) {
+        res.status(400).json({ error: e.message });
+    }
+});
+
+// Per-position exit overrides (send exitRules: null to fall back to the bot-wide rules)
+app.post('/api/trade/exit-rules', async (req: any, res: any) => {
+    const { userId, tradeId, exitRules } = req.body;
+    if (!userId || !tradeId) { res.status(400).json({ error: 'User ID and Trade ID required' }); return; }
+    const engine = ACTIVE_BOTS.get(userId.toLowerCase());
+    if (!engine) return res.status(404).json({ error: "Bot not running" });
+    try {
+        const position = engine.setPositionExitRules(tradeId, parseExitRules(exitRules));
+        res.json({ success: true, position });
+    } catch (e: any) {
+        res.status(404).json({ error: e.message });
+    }
+});
+
 // --- ORDER MANAGEMENT ENDPOINTS ---
 app.get('/api/orders/open', async (req: any, res: any) => {
     const { userId } = req.query;
@@ -870,13 +1052,33 @@ app.get('/api/orders/open', async (req: any, res: any) => {
         const adapter = engine.getAdapter();
         if (!adapter) return res.status(500).json({ error: 'Adapter not initialized' });
         
-        const orders = await adapter.getOpenOrders();
-        res.json({ success: true, orders });
+        // Attach the copy-order lifecycle (and the whale signal it came from) to each exchange order
+        const tracked = engine.getTrackedOrders();
+        const byId = new Map(tracked.map(o => [o.orderId, o]));
+        const orders = (await adapter.getOpenOrders()).map((o: any) => {
+            const copy = byId.get(o.id);
+            return copy ? { ...o, lifecycle: copy.status, sharesFilled: copy.sharesFilled, expiresAt: new Date(copy.expiresAt).toISOString(), signal: copy.signal } : o;
+        });
+        res.json({ success: true, orders, tracked });
     } catch (e: any) {
         res.status(500).json({ error: e.message });
     }
 });
 
+// Funds reserved for open BUY orders, fills awaiting settlement and the last insufficient-funds rejection
+app.get('/api/orders/ledger', async (req: any, res: any) => {
+    const { userId } = req.query;
+    if (!userId) { res.status(400).json({ error: 'User ID required' }); return; }
+    const normId = userId.toLowerCase();
+
+    const engine = ACTIVE_BOTS.get(normId);
+    if (!engine) return res.status(404).json({ error: 'Bot not running' });
+
+    const ledger = engine.getLedgerSnapshot();
+    if (!ledger) return res.status(500).json({ error: 'Ledger not initialized' });
+    res.json({ success: true, ledger });
+});
+
 app.post('/api/orders/cancel', async (req: any, res: any) => {
     const { userId, orderId } = req.body;
     if (!userId || !orderId) { 
@@ -905,9 +1107,10 @@ app.post('/api/orders/cancel', async (req: any, res: any) => {
 });
 
 app.post('/api/redeem', async (req: any, res: any) => {
-    const { userId, marketId, outcome } = req.body;
-    if (!userId || !marketId || !outcome) { 
-        res.status(400).json({ error: 'User ID, Market ID, and Outcome required' }); 
+    const { userId, marketId, outcome, tokenId } = req.body;
+    // The token ID identifies the position on its own; the outcome label is only needed without it
+    if (!userId || !marketId || (!outcome && !tokenId)) { 
+        res.status(400).json({ error: 'User ID, Market ID, and Outcome or Token ID required' }); 
         return; 
     }
     const normId = userId.toLowerCase();
@@ -921,7 +1124,8 @@ app.post('/api/redeem', async (req: any, res: any) => {
         
         // Get the position to find the tokenId and calculate PnL
         const positions = await adapter.getPositions(adapter.getFunderAddress());
-        const position = positions.find(p => p.marketId === marketId && p.outcome === outcome);
+        const target = { marketId, outcome, tokenId };
+        const position = positions.find(p => isSameOutcomeToken(p, target));
         
         if (!position) {
             return res.status(404).json({ error: 'Position not found' });
@@ -936,7 +1140,7 @@ app.post('/api/redeem', async (req: any, res: any) => {
             
             const Trade = (await import('../database/index.js')).Trade;
             const activePositions = engine.getActivePositions();
-            const activePosition = activePositions.find(p => p.marketId === marketId && p.outcome === outcome);
+            const activePosition = activePositions.find(p => p.tokenId === position.tokenId);
             
             if (activePosition?.tradeId && !activePosition.tradeId.startsWith('imported')) {
                 await Trade.findByIdAndUpdate(activePosition.tradeId, {
@@ -946,7 +1150,7 @@ app.post('/api/redeem', async (req: any, res: any) => {
             }
             
             // Remove from active positions
-            const positionIndex = activePositions.findIndex(p => p.marketId === marketId && p.outcome === outcome);
+            const positionIndex = activePositions.findIndex(p => p.tokenId === position.tokenId);
             if (positionIndex !== -1) {
                 activePositions.splice(positionIndex, 1);
                 const callbacks = engine.getCallbacks();
@@ -957,9 +1161,10 @@ app.post('/api/redeem', async (req: any, res: any) => {
             
             // Trigger callbacks
             const callbacks = engine.getCallbacks();
+            const sellId = crypto.randomUUID();
             if (callbacks?.onTradeComplete && activePosition) {
                 await callbacks.onTradeComplete({
-                    id: crypto.randomUUID(),
+                    id: sellId,
                     timestamp: new Date().toISOString(),
                     marketId: activePosition.marketId,
                     outcome: activePosition.outcome,
@@ -970,7 +1175,25 @@ app.post('/api/redeem', async (req: any, res: any) => {
                     pnl: realizedPnl,
                     status: 'CLOSED',
                     aiReasoning: 'Market Resolved - Redemption',
-                    riskScore: 0
+                    riskScore: 0,
+                    assetId: activePosition.tokenId,
+                    sourceWallet: activePosition.trader
+                });
+            }
+            if (activePosition?.trader) {
+                await copyAttribution.recordCopy({
+                    copierUserId: normId,
+                    sourceWallet: activePosition.trader,
+                    tradeId: sellId,
+                    closesTradeId: activePosition.tradeId,
+                    marketId: activePosition.marketId,
+                    assetId: activePosition.tokenId,
+                    outcome: activePosition.outcome,
+                    side: 'SELL',
+                    sizeUsd: costBasis,
+                    executedSize: result.amountUsd || 0,
+                    price: 1.0,
+                    profitUsd: realizedPnl
                 });
             }
             
@@ -1019,7 +1242,7 @@ async function restoreBots() {
     try {
         // MUST explicitly select encrypted private keys for restoration
         const activeUsers = await User.find({ isBotRunning: true, "tradingWallet.address": { $exists: true } })
-            .select('+tradingWallet.encryptedPrivateKey +tradingWallet.l2ApiCredentials.key +tradingWallet.l2ApiCredentials.secret +tradingWallet.l2ApiCredentials.passphrase');
+            .select('+tradingWallet.encryptedPrivateKey +tradingWallet.l2ApiCredentials.key +tradingWallet.l2ApiCredentials.secret +tradingWallet.l2ApiCredentials.passphrase +aiCredentials.geminiApiKey');
         
         console.log(`Found ${activeUsers.length} bots to restore.`);
 
@@ -1039,8 +1262,18 @@ async function restoreBots() {
 
                  const l2Creds = user.tradingWallet.l2ApiCredentials;
 
+                 // Configs saved before aiCredentials existed hold the key in plaintext: move it
+                 const legacyKey = user.activeBotConfig.geminiApiKey;
+                 if (legacyKey) {
+                     if (!user.aiCredentials?.geminiApiKey) user.aiCredentials = { geminiApiKey: legacyKey };
+                     user.activeBotConfig = withoutSecrets(user.activeBotConfig);
+                     user.markModified('activeBotConfig');
+                     await user.save();
+                 }
+
                  const config: BotConfig = {
                      ...user.activeBotConfig,
+                     geminiApiKey: user.aiCredentials?.geminiApiKey,
                      walletConfig: user.tradingWallet,
                      stats: user.stats,
                      activePositions: user.activePositions,
@@ -1115,24 +1348,7 @@ app.get('/api/market/:marketId', async (req: any, res: any) => {
     const { marketId } = req.params;
     
     try {
-        // Find a running bot to get the market data
-        const engines = Array.from(ACTIVE_BOTS.values());
-        if (engines.length === 0) {
-            return res.status(404).json({ error: 'No active bot found' });
-        }
-        
-        const engine = engines[0];
-        const adapter = engine.getAdapter();
-        if (!adapter) {
-            return res.status(404).json({ error: 'No adapter found' });
-        }
-        
-        const client = (adapter as any).getRawClient?.();
-        if (!client) {
-            return res.status(404).json({ error: 'No client found' });
-        }
-        
-        const market = await client.getMarket(marketId);
+        const market = await marketMetadata.getMarket(marketId);
         if (!market) {
             return res.status(404).json({ error: 'Market not found' });
         }
@@ -1,44 +1,147 @@
-
 import { GoogleGenAI, GenerateContentResponse } from "@google/genai";
+import type { TradeContext } from "./trade-context.service.js";
+import type { TradeSignal } from "../domain/trade.types.js";
+import type { AiFailurePolicy, RiskAgentConfig } from "../config/risk-agent.js";
+import { OpenAiCompatibleRiskAgent } from "./openai-risk-agent.service.js";
+import { RulesRiskAgent } from "./rules-risk-agent.service.js";
 
 export interface AnalysisResult {
   shouldCopy: boolean;
   reasoning: string;
   riskScore: number;
+  // Accounting, not part of the model's answer
+  usage?: TokenUsage;
+  failed?: boolean;    // The decision comes from the failure policy, not the model
+  bypassed?: boolean;  // No credentials: the model was not called
+  repaired?: boolean;  // The first answer was invalid and the repair attempt succeeded
+  cached?: boolean;    // Reused from an identical recent or in-flight analysis
+  throttled?: boolean; // Rate limit reached: the fallback decided without calling the model
+  rawResponses?: string[]; // Model output per attempt, persisted for audit
+}
+
+export interface TokenUsage {
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+}
+
+// Per-user credentials for hosted agents. Falls back to the platform key from the environment.
+export interface RiskAgentCredentials {
+  geminiApiKey?: string;
 }
 
 export type RiskProfile = 'conservative' | 'balanced' | 'degen';
 
-export class AiAgentService {
+/**
+ * Gate every signal passes before execution. Implementations never throw:
+ * failures come back as a decision made by the bot's failure policy.
+ */
+export interface IRiskAgent {
+  readonly name: string;
+  analyzeTrade(context: TradeContext, riskProfile?: RiskProfile): Promise<AnalysisResult>;
+  // False when the decision for this signal ignores the market context, so it need not be built. Defaults to true.
+  usesContext?(signal: Pick<TradeSignal, 'side'>): boolean;
+  // A decision already made or in flight for an identical signal, checked before the context is built
+  reuseDecision?(signal: TradeSignal, riskProfile?: RiskProfile): Promise<AnalysisResult | undefined>;
+}
+
+/**
+ * One round trip to a language model. Agents implement this and leave parsing,
+ * validation, the repair attempt and the failure policy to analyzeWithModel.
+ */
+export interface ModelBackend {
+  readonly name: string;
+  complete(systemInstruction: string, prompt: string): Promise<{ text?: string; usage?: TokenUsage }>;
+}
+
+const MAX_REASONING_CHARS = 1000;
+const MAX_RAW_RESPONSE_CHARS = 4000;
+
+export class GeminiRiskAgent implements IRiskAgent, ModelBackend {
+  readonly name = 'gemini';
+
   /* GUIDELINE: Use gemini-3-flash-preview for basic text tasks */
-  private model: string = "gemini-3-flash-preview";
+  constructor(
+    private readonly model: string = "gemini-3-flash-preview",
+    private readonly apiKey?: string,
+    private readonly failurePolicy: AiFailurePolicy = 'CLOSED'
+  ) {}
 
   async analyzeTrade(
-    marketQuestion: string,
-    tradeSide: "BUY" | "SELL",
-    outcome: "YES" | "NO",
-    size: number,
-    price: number,
-    riskProfile: RiskProfile = 'balanced',
-    apiKey?: string
+    context: TradeContext,
+    riskProfile: RiskProfile = 'balanced'
   ): Promise<AnalysisResult> {
-    
-    // GUIDELINE: The API key must be obtained exclusively from process.env.API_KEY where possible.
-    const keyToUse = apiKey || process.env.API_KEY;
-
     // FIX: If no API key is provided, bypass AI and allow the trade directly as a safety fallback.
-    if (!keyToUse) {
+    if (!this.resolveKey()) {
         return {
             shouldCopy: true,
             reasoning: "AI Bypass: No API Key provided. Trade allowed.",
-            riskScore: 0
+            riskScore: 0,
+            bypassed: true
         };
     }
+    return analyzeWithModel(this, context, riskProfile, this.failurePolicy);
+  }
 
+  // Without a key every signal is bypassed
+  usesContext(): boolean {
+    return !!this.resolveKey();
+  }
+
+  async complete(systemInstruction: string, prompt: string) {
     /* INITIALIZATION: Always use new GoogleGenAI({apiKey: process.env.API_KEY}) with a named parameter */
-    const ai = new GoogleGenAI({ apiKey: keyToUse });
+    const ai = new GoogleGenAI({ apiKey: this.resolveKey() });
+
+    /* GENERATE CONTENT: Use ai.models.generateContent to query GenAI */
+    const response: GenerateContentResponse = await ai.models.generateContent({
+      model: this.model,
+      contents: prompt,
+      config: {
+        systemInstruction,
+        responseMimeType: "application/json",
+      },
+    });
+
+    /* EXTRACT TEXT: Access the .text property directly, do not call as a method */
+    const usage = response.usageMetadata;
+    return {
+      text: response.text,
+      usage: usage ? {
+        promptTokens: usage.promptTokenCount || 0,
+        completionTokens: usage.candidatesTokenCount || 0,
+        totalTokens: usage.totalTokenCount || 0
+      } : undefined
+    };
+  }
+
+  // GUIDELINE: The API key must be obtained exclusively from process.env.API_KEY where possible.
+  private resolveKey(): string | undefined {
+    return this.apiKey || process.env.API_KEY;
+  }
+}
 
-    const systemInstruction = `You are a specialized Risk Analyst Agent for a prediction market trading bot. 
+/**
+ * Builds the agent a bot asked for.
+ */
+export function createRiskAgent(
+  config?: RiskAgentConfig,
+  credentials: RiskAgentCredentials = {},
+  failurePolicy: AiFailurePolicy = 'CLOSED'
+): IRiskAgent {
+  switch (config?.type) {
+    case 'OPENAI_COMPATIBLE':
+      return new OpenAiCompatibleRiskAgent(config, failurePolicy);
+    case 'RULES':
+      return new RulesRiskAgent(config.rules);
+    case 'GEMINI':
+      return new GeminiRiskAgent(config.model, credentials.geminiApiKey, failurePolicy);
+    default:
+      return new GeminiRiskAgent(undefined, credentials.geminiApiKey, failurePolicy);
+  }
+}
+
+export function buildSystemInstruction(riskProfile: RiskProfile): string {
+  return `You are a specialized Risk Analyst Agent for a prediction market trading bot. 
     Your Risk Profile is: ${riskProfile.toUpperCase()}.
     
     Profiles:
@@ -47,46 +150,175 @@ export class AiAgentService {
     - DEGEN: Approve almost anything unless it's a guaranteed loss or rug pull. High volatility is acceptable.
     
     Output strictly in JSON format.`;
+}
 
-    const prompt = `
-      Analyze this signal:
-      Market ID/Question: "${marketQuestion}"
-      Signal: ${tradeSide} ${outcome}
-      Price: ${price} (Implied Probability: ${(price * 100).toFixed(1)}%)
-      Position Size: $${size}
-      
-      Decide if we should copy this trade based on the ${riskProfile} profile.
-      Return JSON only: { "shouldCopy": boolean, "reasoning": "short explanation", "riskScore": number (1-10) }
-    `;
-
-    try {
-      /* GENERATE CONTENT: Use ai.models.generateContent to query GenAI */
-      const response: GenerateContentResponse = await ai.models.generateContent({
-        model: this.model,
-        contents: prompt,
-        config: {
-          systemInstruction: systemInstruction,
-          responseMimeType: "application/json",
-        },
-      });
-
-      /* EXTRACT TEXT: Access the .text property directly, do not call as a method */
-      const text = response.text;
-      if (!text) throw new Error("No response from AI");
-
-      const cleanText = text.replace(/```json\n?|```/g, '').trim();
-      
-      return JSON.parse(cleanText) as AnalysisResult;
-    } catch (error) {
-      console.error("AI Analysis failed:", error);
-      const fallbackDecision = riskProfile === 'degen';
-      return { 
-        shouldCopy: fallbackDecision, 
-        reasoning: `AI Analysis Failed (${String(error)}). Defaulting to ${fallbackDecision ? 'COPY' : 'SKIP'}.`, 
-        riskScore: 5 
-      };
+/**
+ * Asks the model, validates the answer, and gives it one chance to repair an invalid one.
+ * Anything that still fails (including network errors) is decided by the failure policy.
+ */
+export async function analyzeWithModel(
+  backend: ModelBackend,
+  context: TradeContext,
+  riskProfile: RiskProfile,
+  failurePolicy: AiFailurePolicy
+): Promise<AnalysisResult> {
+  const systemInstruction = buildSystemInstruction(riskProfile);
+  const prompt = buildTradePrompt(context, riskProfile);
+  const rawResponses: string[] = [];
+  const usage: TokenUsage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  let error = '';
+
+  try {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const completion = await backend.complete(
+        systemInstruction,
+        attempt === 0 ? prompt : buildRepairPrompt(prompt, rawResponses[rawResponses.length - 1], error)
+      );
+      usage.promptTokens += completion.usage?.promptTokens || 0;
+      usage.completionTokens += completion.usage?.completionTokens || 0;
+      usage.totalTokens += completion.usage?.totalTokens || 0;
+      rawResponses.push((completion.text || '').slice(0, MAX_RAW_RESPONSE_CHARS));
+
+      const validated = validateAnalysis(completion.text);
+      if (validated.result) {
+        return { ...validated.result, usage, rawResponses, repaired: attempt > 0 };
+      }
+      error = validated.error!;
+      console.warn(`[AI] ${backend.name} returned an invalid decision: ${error}${attempt === 0 ? '. Asking for a repair.' : ''}`);
     }
+  } catch (e: any) {
+    error = e.response?.data?.error?.message || e.message || String(e);
+    console.error(`AI Analysis failed (${backend.name}):`, error);
   }
+
+  return { ...(await analysisFailed(failurePolicy, context, riskProfile, error)), usage, rawResponses };
 }
 
-export const aiAgent = new AiAgentService();
+/**
+ * Parses model output into a decision. Every field is required and type checked;
+ * nothing is coerced, so a string riskScore or a missing shouldCopy is an error.
+ */
+export function validateAnalysis(text: string | undefined): { result?: AnalysisResult; error?: string } {
+  if (!text || !text.trim()) return { error: 'empty response' };
+
+  let parsed: any;
+  try {
+    parsed = JSON.parse(text.replace(/```json\n?|```/g, '').trim());
+  } catch (e) {
+    return { error: 'response is not valid JSON' };
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return { error: 'response must be a JSON object' };
+
+  if (typeof parsed.shouldCopy !== 'boolean') return { error: 'shouldCopy must be a boolean' };
+  if (typeof parsed.riskScore !== 'number' || !Number.isFinite(parsed.riskScore)) return { error: 'riskScore must be a number' };
+  if (parsed.riskScore < 1 || parsed.riskScore > 10) return { error: `riskScore ${parsed.riskScore} is outside 1-10` };
+  if (typeof parsed.reasoning !== 'string' || !parsed.reasoning.trim()) return { error: 'reasoning must be a non-empty string' };
+
+  return {
+    result: {
+      shouldCopy: parsed.shouldCopy,
+      riskScore: parsed.riskScore,
+      reasoning: parsed.reasoning.trim().slice(0, MAX_REASONING_CHARS)
+    }
+  };
+}
+
+function buildRepairPrompt(prompt: string, previous: string, error: string): string {
+  return `${prompt}
+Your previous answer was rejected (${error}):
+${previous.slice(0, 1000) || '(empty)'}
+
+Answer again with a single JSON object and nothing else: { "shouldCopy": boolean, "reasoning": "short explanation", "riskScore": number (1-10) }
+`;
+}
+
+/**
+ * Decision used when the model could not be reached or never produced a valid answer.
+ */
+export async function analysisFailed(
+  policy: AiFailurePolicy,
+  context: TradeContext,
+  riskProfile: RiskProfile,
+  error: string
+): Promise<AnalysisResult> {
+  const prefix = `AI Analysis Failed (${error || 'unknown error'}).`;
+  // Failing closed on an exit would leave us holding what the whale just sold
+  if (context.signal.side === 'SELL') {
+    return { shouldCopy: true, reasoning: `${prefix} Exits are copied under every failure policy.`, riskScore: 5, failed: true };
+  }
+  if (policy === 'RULES') {
+    const rules = await new RulesRiskAgent().analyzeTrade(context, riskProfile);
+    return { ...rules, reasoning: `${prefix} Rules fallback: ${rules.reasoning}`, failed: true };
+  }
+  const shouldCopy = policy === 'OPEN';
+  return {
+    shouldCopy,
+    reasoning: `${prefix} Failure policy ${policy}: ${shouldCopy ? 'COPY' : 'SKIP'}.`,
+    riskScore: 5,
+    failed: true
+  };
+}
+
+/**
+ * Renders the trade context as the prompt. Missing sections are stated as unavailable
+ * so the model does not fill them in.
+ */
+export function buildTradePrompt(context: TradeContext, riskProfile: RiskProfile): string {
+  const { signal, market, book, priceHistory, whale, exposure } = context;
+  const usd = (n: number) => `$${n.toFixed(2)}`;
+  const na = 'unavailable';
+
+  const marketLines = [
+    `Question: "${market.question || `unknown (condition ${market.conditionId})`}"`,
+    market.description ? `Resolution rules: ${market.description.slice(0, 800)}` : undefined,
+    `Resolves: ${market.endDate || na}`,
+    market.outcomes ? `Outcomes: ${market.outcomes.join(' / ')}` : undefined,
+    market.volumeUsd !== undefined ? `Volume: $${market.volumeUsd.toFixed(0)}` : undefined,
+    market.liquidityUsd !== undefined ? `Liquidity: $${market.liquidityUsd.toFixed(0)}` : undefined
+  ].filter(Boolean);
+
+  const bookLine = book
+    ? `Health ${book.health}, best ${signal.side === 'BUY' ? 'ask' : 'bid'} ${book.bestPrice}, spread ${(book.spread * 100).toFixed(1)}¢, top-3 depth ${usd(book.availableDepthUsd)}`
+    : na;
+
+  const historyLine = priceHistory
+    ? `Last ${priceHistory.windowHours}h: ${priceHistory.first} -> ${priceHistory.last} (${priceHistory.changeCents >= 0 ? '+' : ''}${priceHistory.changeCents.toFixed(1)}¢), range ${priceHistory.low}-${priceHistory.high}, samples [${priceHistory.points.join(', ')}]`
+    : na;
+
+  const whaleLine = whale.listed
+    ? `Win rate ${whale.winRate ?? na}%, realized PnL ${whale.totalPnl !== undefined ? usd(whale.totalPnl) : na}, ${whale.tradesLast30d ?? na} trades in 30d, copied ${whale.copyCount ?? 0} times for ${usd(whale.copyProfitGenerated || 0)} copier profit`
+    : 'Not in our registry, no track record';
+
+  const exposureLines = exposure
+    ? [
+        `Event: ${exposure.eventTitle || exposure.eventSlug || 'this market only'}${exposure.negRisk ? ' (mutually exclusive outcomes)' : ''}`,
+        `Current exposure: ${usd(exposure.exposureUsd)}`,
+        ...exposure.positions.map(p => `- ${p.outcome} on "${p.question || 'unknown'}": ${p.shares.toFixed(2)} shares (${usd(p.valueUsd)})`)
+      ]
+    : [na];
+
+  return `
+Analyze this copy-trade signal.
+
+SIGNAL
+${signal.side} ${signal.outcome} at ${signal.price} (implied probability ${(signal.price * 100).toFixed(1)}%), whale size ${usd(signal.sizeUsd)}
+
+MARKET
+${marketLines.join('\n')}
+
+ORDER BOOK
+${bookLine}
+
+PRICE HISTORY
+${historyLine}
+
+WHALE TRACK RECORD
+${whaleLine}
+
+OUR EXPOSURE
+${exposureLines.join('\n')}
+
+Decide if we should copy this trade based on the ${riskProfile} profile.
+Return JSON only: { "shouldCopy": boolean, "reasoning": "short explanation", "riskScore": number (1-10) }
+`;
+}
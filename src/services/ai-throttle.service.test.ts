@@ -0,0 +1,76 @@
+import { describe, expect, it, vi } from 'vitest';
+import { ThrottledRiskAgent } from './ai-throttle.service.js';
+import { AnalysisResult, IRiskAgent } from './ai-agent.service.js';
+import { signalOnlyContext } from './trade-context.service.js';
+import { DEFAULT_AI_THROTTLE } from '../config/risk-agent.js';
+import { TradeSignal } from '../domain/trade.types.js';
+
+vi.mock('../database/index.js', () => ({}));
+
+const approve: AnalysisResult = { shouldCopy: true, reasoning: 'looks fine', riskScore: 3, usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 } };
+
+function signalOn(marketId: string): TradeSignal {
+  return { trader: '0xwhale', marketId, tokenId: 't1', outcome: 'YES', side: 'BUY', sizeUsd: 100, price: 0.5, timestamp: 0 };
+}
+
+function agent(analyze: IRiskAgent['analyzeTrade']): IRiskAgent & { analyzeTrade: ReturnType<typeof vi.fn> } {
+  return { name: 'gemini', analyzeTrade: vi.fn(analyze) };
+}
+
+describe('ThrottledRiskAgent', () => {
+  it('hands a decision made for one bot to another bot on the same model before it builds a context', async () => {
+    const inner = agent(async () => approve);
+    const first = new ThrottledRiskAgent(inner, 'user-a', DEFAULT_AI_THROTTLE, 'CLOSED', 'gemini:default');
+    const second = new ThrottledRiskAgent(inner, 'user-b', DEFAULT_AI_THROTTLE, 'CLOSED', 'gemini:default');
+    const signal = signalOn('shared-cache');
+
+    expect(await second.reuseDecision(signal)).toBeUndefined();
+    await first.analyzeTrade(signalOnlyContext(signal));
+    const reused = await second.reuseDecision(signal);
+
+    expect(inner.analyzeTrade).toHaveBeenCalledTimes(1);
+    expect(reused).toMatchObject({ shouldCopy: true, cached: true, usage: undefined });
+  });
+
+  it('shares a call still in flight', async () => {
+    let answer!: (result: AnalysisResult) => void;
+    const inner = agent(() => new Promise(resolve => { answer = resolve; }));
+    const first = new ThrottledRiskAgent(inner, 'user-a', DEFAULT_AI_THROTTLE, 'CLOSED', 'gemini:default');
+    const second = new ThrottledRiskAgent(inner, 'user-b', DEFAULT_AI_THROTTLE, 'CLOSED', 'gemini:default');
+    const signal = signalOn('shared-in-flight');
+
+    const call = first.analyzeTrade(signalOnlyContext(signal));
+    const waiting = second.reuseDecision(signal);
+    answer(approve);
+
+    expect(await call).toBe(approve);
+    expect(await waiting).toMatchObject({ shouldCopy: true, cached: true });
+    expect(inner.analyzeTrade).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps decisions apart across models', async () => {
+    const inner = agent(async () => approve);
+    const gemini = new ThrottledRiskAgent(inner, 'user-a', DEFAULT_AI_THROTTLE, 'CLOSED', 'gemini:default');
+    const local = new ThrottledRiskAgent(inner, 'user-b', DEFAULT_AI_THROTTLE, 'CLOSED', 'openai:http://localhost:8080:llama');
+    const signal = signalOn('per-scope');
+
+    await gemini.analyzeTrade(signalOnlyContext(signal));
+
+    expect(await local.reuseDecision(signal)).toBeUndefined();
+  });
+
+  it('applies its own failure policy to a shared call that failed', async () => {
+    let answer!: (result: AnalysisResult) => void;
+    const inner = agent(() => new Promise(resolve => { answer = resolve; }));
+    const closed = new ThrottledRiskAgent(inner, 'user-a', DEFAULT_AI_THROTTLE, 'CLOSED', 'gemini:default');
+    const open = new ThrottledRiskAgent(inner, 'user-b', DEFAULT_AI_THROTTLE, 'OPEN', 'gemini:default');
+    const signal = signalOn('shared-failure');
+
+    const call = closed.analyzeTrade(signalOnlyContext(signal));
+    const waiting = open.reuseDecision(signal);
+    answer({ shouldCopy: false, reasoning: 'AI Analysis Failed (timeout).', riskScore: 5, failed: true });
+
+    expect((await call).shouldCopy).toBe(false);
+    expect(await waiting).toMatchObject({ shouldCopy: true, failed: true });
+  });
+});
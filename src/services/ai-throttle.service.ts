@@ -0,0 +1,187 @@
+import type { AiFailurePolicy, AiThrottleConfig } from '../config/risk-agent.js';
+import type { TradeSignal } from '../domain/trade.types.js';
+import { AnalysisResult, IRiskAgent, RiskProfile, analysisFailed } from './ai-agent.service.js';
+import { TradeContext, signalOnlyContext } from './trade-context.service.js';
+
+export type RateLimit = { callsPerMinute: number; burst: number };
+
+const MAX_CACHED_DECISIONS = 500;
+
+/**
+ * Classic token bucket: holds up to `burst` calls and refills at callsPerMinute.
+ */
+export class TokenBucket {
+  private tokens: number;
+  private updatedAt = Date.now();
+
+  constructor(private limit: RateLimit) {
+    this.tokens = limit.burst;
+  }
+
+  setLimit(limit: RateLimit) {
+    this.limit = limit;
+    this.tokens = Math.min(this.tokens, limit.burst);
+  }
+
+  hasToken(): boolean {
+    const now = Date.now();
+    this.tokens = Math.min(this.limit.burst, this.tokens + ((now - this.updatedAt) / 60000) * this.limit.callsPerMinute);
+    this.updatedAt = now;
+    return this.tokens >= 1;
+  }
+
+  take() {
+    this.tokens -= 1;
+  }
+}
+
+/**
+ * Process-wide AI budget: one bucket for the platform and one per user. Per-user buckets outlive
+ * the agent, so reconfiguring a bot does not hand it a fresh burst.
+ */
+export class AiRateLimiter {
+  private global: TokenBucket;
+  private users: Map<string, TokenBucket> = new Map();
+
+  constructor(globalLimit: RateLimit = { callsPerMinute: 300, burst: 50 }) {
+    this.global = new TokenBucket(globalLimit);
+  }
+
+  setGlobalLimit(limit: RateLimit) {
+    this.global.setLimit(limit);
+  }
+
+  /**
+   * Takes one call from both buckets. Returns which budget is exhausted, or undefined when the call may go ahead.
+   */
+  tryAcquire(userId: string, userLimit: RateLimit): 'user' | 'global' | undefined {
+    let user = this.users.get(userId);
+    if (!user) {
+      user = new TokenBucket(userLimit);
+      this.users.set(userId, user);
+    } else {
+      user.setLimit(userLimit);
+    }
+
+    if (!user.hasToken()) return 'user';
+    if (!this.global.hasToken()) return 'global';
+    user.take();
+    this.global.take();
+    return undefined;
+  }
+}
+
+export const aiRateLimiter = new AiRateLimiter();
+
+type CachedDecision = { result: AnalysisResult; storedAt: number; expiresAt: number };
+
+// Shared by every bot in the process, keyed by agent scope, so one whale burst costs one call platform-wide
+const decisionCache: Map<string, CachedDecision> = new Map();
+const inFlight: Map<string, Promise<AnalysisResult>> = new Map();
+
+/**
+ * Wraps a model-backed agent with the shared decision cache, in-flight sharing and the rate limiter.
+ * Bursty whales fire many identical signals, often to several bots; only the first one reaches the model.
+ */
+export class ThrottledRiskAgent implements IRiskAgent {
+  constructor(
+    private readonly inner: IRiskAgent,
+    private readonly userId: string,
+    private readonly config: AiThrottleConfig,
+    private readonly fallback: AiFailurePolicy,
+    private readonly scope: string = inner.name
+  ) {}
+
+  get name(): string {
+    return this.inner.name;
+  }
+
+  usesContext(signal: Pick<TradeSignal, 'side'>): boolean {
+    return this.inner.usesContext?.(signal) ?? true;
+  }
+
+  async reuseDecision(signal: TradeSignal, riskProfile: RiskProfile = 'balanced'): Promise<AnalysisResult | undefined> {
+    const key = this.decisionKey(signal, riskProfile);
+    const cached = this.cached(key);
+    if (cached) return shared(cached);
+    const pending = inFlight.get(key);
+    return pending && this.fromPending(await pending, riskProfile, signal);
+  }
+
+  async analyzeTrade(context: TradeContext, riskProfile: RiskProfile = 'balanced'): Promise<AnalysisResult> {
+    const key = this.decisionKey({ ...context.signal, marketId: context.market.conditionId }, riskProfile);
+
+    const cached = this.cached(key);
+    if (cached) return shared(cached);
+
+    const pending = inFlight.get(key);
+    if (pending) {
+      const reused = await this.fromPending(await pending, riskProfile, undefined, context);
+      if (reused) return reused;
+    }
+
+    const exhausted = aiRateLimiter.tryAcquire(this.userId, this.config);
+    if (exhausted) {
+      const decision = await analysisFailed(this.fallback, context, riskProfile, `${exhausted} AI budget exhausted`);
+      return { ...decision, throttled: true };
+    }
+
+    const request = this.inner.analyzeTrade(context, riskProfile)
+      .then(result => {
+        if (!result.failed && !result.bypassed && this.config.cacheTtlSeconds > 0) remember(key, result, this.config.cacheTtlSeconds);
+        return result;
+      })
+      .finally(() => inFlight.delete(key));
+
+    inFlight.set(key, request);
+    return request;
+  }
+
+  private decisionKey(signal: DecisionSignal, riskProfile: RiskProfile): string {
+    const bucket = Math.floor((signal.price * 100) / this.config.priceBucketCents);
+    return `${this.scope}|${signal.marketId}|${signal.outcome}|${signal.side}|${this.config.priceBucketCents}:${bucket}|${riskProfile}`;
+  }
+
+  // Entries written by a bot with a longer TTL are only reused within this bot's own TTL
+  private cached(key: string): AnalysisResult | undefined {
+    const entry = decisionCache.get(key);
+    const now = Date.now();
+    if (!entry || now >= entry.expiresAt || now - entry.storedAt >= this.config.cacheTtlSeconds * 1000) return undefined;
+    return entry.result;
+  }
+
+  /**
+   * A failed shared call was decided by the other bot's failure policy, so this bot applies its own.
+   * RULES needs the full context; without it the caller builds one and asks again.
+   */
+  private async fromPending(
+    result: AnalysisResult,
+    riskProfile: RiskProfile,
+    signal?: TradeSignal,
+    context?: TradeContext
+  ): Promise<AnalysisResult | undefined> {
+    if (!result.failed) return shared(result);
+    const decisionContext = context ?? (signal && signalOnlyContext(signal));
+    if (!decisionContext || (!context && this.fallback === 'RULES' && signal?.side === 'BUY')) return undefined;
+    return analysisFailed(this.fallback, decisionContext, riskProfile, 'shared analysis failed');
+  }
+}
+
+type DecisionSignal = Pick<TradeSignal, 'marketId' | 'outcome' | 'side' | 'price'>;
+
+function remember(key: string, result: AnalysisResult, ttlSeconds: number) {
+  const now = Date.now();
+  if (decisionCache.size >= MAX_CACHED_DECISIONS) {
+    for (const [k, entry] of decisionCache) {
+      if (entry.expiresAt <= now) decisionCache.delete(k);
+    }
+    // Still full: drop the oldest insertion
+    if (decisionCache.size >= MAX_CACHED_DECISIONS) decisionCache.delete(decisionCache.keys().next().value!);
+  }
+  decisionCache.set(key, { result, storedAt: now, expiresAt: now + ttlSeconds * 1000 });
+}
+
+// A decision reused from another call: the tokens were already counted there
+function shared(result: AnalysisResult): AnalysisResult {
+  return { ...result, usage: undefined, cached: true };
+}
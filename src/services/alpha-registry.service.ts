@@ -29,13 +29,22 @@ export class AlphaRegistryService implements IRegistryService {
 
   async getListerForWallet(walletAddress: string): Promise<string | null> {
     try {
-        const res = await axios.get<TraderProfile>(`${this.apiUrl}/registry/${walletAddress}`);
+        const res = await axios.get<TraderProfile>(`${this.apiUrl}/registry/${walletAddress}`, { timeout: 5000 });
         return res.data.listedBy;
     } catch (e) {
         return null;
     }
   }
 
+  async getTraderProfile(walletAddress: string): Promise<TraderProfile | null> {
+    try {
+        const res = await axios.get<TraderProfile>(`${this.apiUrl}/registry/${walletAddress}`);
+        return res.data;
+    } catch (e) {
+        return null;
+    }
+  }
+
   async addWallet(targetAddress: string, finderAddress: string): Promise<{ success: boolean; message: string; profile?: TraderProfile }> {
     try {
       const res = await axios.post(`${this.apiUrl}/registry`, {
@@ -0,0 +1,47 @@
+import { describe, expect, it, vi } from 'vitest';
+import { BalanceLedgerService } from './balance-ledger.service.js';
+import { Logger } from '../utils/logger.util.js';
+
+function ledger(balances: number[]) {
+  const logger: Logger = { info: () => {}, warn: vi.fn(), error: () => {}, debug: () => {}, success: () => {} };
+  const adapter = { fetchBalance: vi.fn(async () => balances.shift()!) };
+  return { ledger: new BalanceLedgerService({ adapter: adapter as any, proxyWallet: '0xme', logger }), logger };
+}
+
+describe('BalanceLedgerService reconcile', () => {
+  it('stops counting fills the chain has already paid for', async () => {
+    const { ledger: books, logger } = ledger([100, 80]);
+    await books.reconcile();
+    const key = books.reserve(20, { marketId: 'm1', tokenId: 't1' });
+    books.fill(key, 20);
+    books.release(key, 'filled');
+    expect(books.getCommittedUsd()).toBe(20);
+
+    await books.reconcile();
+
+    expect(books.getCommittedUsd()).toBe(0);
+    expect(books.snapshot().driftUsd).toBe(0);
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  it('keeps fills that have not landed yet and does not report them as drift', async () => {
+    const { ledger: books } = ledger([100, 100]);
+    await books.reconcile();
+    const key = books.reserve(20, { marketId: 'm1', tokenId: 't1' });
+    books.fill(key, 20);
+
+    await books.reconcile();
+
+    expect(books.getCommittedUsd()).toBe(20);
+    expect(books.snapshot().driftUsd).toBe(0);
+  });
+
+  it('logs money that left without a booked fill', async () => {
+    const { ledger: books, logger } = ledger([100, 70]);
+    await books.reconcile();
+    await books.reconcile();
+
+    expect(books.snapshot().driftUsd).toBe(-30);
+    expect(logger.warn).toHaveBeenCalledOnce();
+  });
+});
@@ -0,0 +1,235 @@
+import crypto from 'crypto';
+import { IExchangeAdapter } from '../adapters/interfaces.js';
+import { Logger } from '../utils/logger.util.js';
+
+export type ReservationStatus = 'RESERVED' | 'SETTLING' | 'RELEASED';
+
+export interface Reservation {
+  key: string;
+  orderId?: string;
+  marketId: string;
+  tokenId: string;
+  trader?: string;
+  reservedUsd: number;  // Still committed to unfilled size
+  settlingUsd: number;  // Filled, but possibly not yet reflected in the chain balance
+  status: ReservationStatus;
+  filledAt?: number;
+  createdAt: number;
+  updatedAt: number;
+  releaseReason?: string;
+}
+
+export interface FundsRejection {
+  at: number;
+  marketId: string;
+  neededUsd?: number;
+  chainBalanceUsd: number;
+  committedUsd: number;
+  availableUsd: number;
+}
+
+export interface LedgerSnapshot {
+  chainBalanceUsd?: number;
+  lastReconciledAt?: number;
+  driftUsd?: number;    // Chain move at the last reconcile that our own fills do not explain
+  reservedUsd: number;
+  settlingUsd: number;
+  availableUsd?: number;
+  open: Reservation[];
+  recent: Reservation[];
+  lastRejection?: FundsRejection;
+}
+
+export type BalanceLedgerDeps = {
+  adapter: IExchangeAdapter;
+  proxyWallet: string;
+  logger: Logger;
+  reconcileMs?: number;
+};
+
+// Fills settle on-chain within seconds; after this they are assumed to be in fetchBalance
+const SETTLE_WINDOW_MS = 60 * 1000;
+// A reservation that never got an order ID (crashed between reserve and submit)
+const ORPHAN_AFTER_MS = 5 * 60 * 1000;
+const DEFAULT_RECONCILE_MS = 60 * 1000;
+const RECENT_LIMIT = 50;
+// Rounding, fees and dust are not worth a warning
+const DRIFT_TOLERANCE_USD = 1;
+
+/**
+ * Tracks USDC committed to BUY orders, keyed by order ID once the order is submitted.
+ * Replaces the old monotonic pendingSpend counter.
+ */
+export class BalanceLedgerService {
+  private reservations: Map<string, Reservation> = new Map();
+  private recent: Reservation[] = [];
+  private timer?: NodeJS.Timeout;
+  private chainBalanceUsd?: number;
+  private lastReconciledAt?: number;
+  private filledSinceReconcileUsd = 0;
+  private driftUsd?: number;
+  private lastRejection?: FundsRejection;
+
+  constructor(private readonly deps: BalanceLedgerDeps) {}
+
+  start(): void {
+    this.stop();
+    this.timer = setInterval(() => {
+      this.reconcile().catch(e => this.deps.logger.warn(`[Ledger] Reconcile failed: ${e.message}`));
+    }, this.deps.reconcileMs ?? DEFAULT_RECONCILE_MS);
+  }
+
+  stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = undefined;
+    }
+  }
+
+  reserve(amountUsd: number, meta: { marketId: string; tokenId: string; trader?: string }): string {
+    const key = crypto.randomUUID();
+    const now = Date.now();
+    this.reservations.set(key, {
+      key,
+      ...meta,
+      reservedUsd: Math.max(0, amountUsd),
+      settlingUsd: 0,
+      status: 'RESERVED',
+      createdAt: now,
+      updatedAt: now
+    });
+    return key;
+  }
+
+  attachOrder(key: string, orderId: string | undefined) {
+    const reservation = this.reservations.get(key);
+    if (!reservation || !orderId) return;
+    reservation.orderId = orderId;
+    reservation.updatedAt = Date.now();
+  }
+
+  /**
+   * Converts filled notional from reserved to settling. Accepts the reservation key or the order ID.
+   */
+  fill(keyOrOrderId: string, filledUsd: number) {
+    const reservation = this.find(keyOrOrderId);
+    if (!reservation || filledUsd <= 0) return;
+    const converted = Math.min(reservation.reservedUsd, filledUsd);
+    reservation.reservedUsd -= converted;
+    reservation.settlingUsd += filledUsd;
+    reservation.status = 'SETTLING';
+    reservation.filledAt = reservation.updatedAt = Date.now();
+    this.filledSinceReconcileUsd += filledUsd;
+  }
+
+  /**
+   * Drops whatever is still reserved (failed, cancelled, expired or FAK remainder).
+   * Filled notional keeps counting until it settles.
+   */
+  release(keyOrOrderId: string, reason: string) {
+    const reservation = this.find(keyOrOrderId);
+    if (!reservation) return;
+    reservation.reservedUsd = 0;
+    reservation.releaseReason = reason;
+    reservation.updatedAt = Date.now();
+    if (reservation.settlingUsd <= 0) this.retire(reservation);
+  }
+
+  getCommittedUsd(): number {
+    let total = 0;
+    for (const r of this.reservations.values()) total += r.reservedUsd + r.settlingUsd;
+    return total;
+  }
+
+  noteRejection(rejection: Omit<FundsRejection, 'at'>) {
+    this.lastRejection = { ...rejection, at: Date.now() };
+  }
+
+  /**
+   * Refreshes the chain balance and drops fills that have had time to settle, plus orphaned reservations.
+   *
+   * Drift is the chain move the ledger cannot explain: chain - (previous chain - fills booked since).
+   * When the chain already paid for those fills they stop counting as settling right away, so they are
+   * not taken off the available balance twice. Whatever is left over is logged: negative drift is
+   * money that left without a booked fill, positive drift is sells, redemptions or deposits.
+   */
+  async reconcile(): Promise<void> {
+    const now = Date.now();
+    const chainBalanceUsd = await this.deps.adapter.fetchBalance(this.deps.proxyWallet);
+    const previousBalanceUsd = this.chainBalanceUsd;
+    const previousReconciledAt = this.lastReconciledAt;
+    const filledUsd = this.filledSinceReconcileUsd;
+    this.chainBalanceUsd = chainBalanceUsd;
+    this.lastReconciledAt = now;
+    this.filledSinceReconcileUsd = 0;
+
+    if (previousBalanceUsd !== undefined) {
+      let drift = chainBalanceUsd - (previousBalanceUsd - filledUsd);
+      if (filledUsd > 0 && drift <= DRIFT_TOLERANCE_USD) {
+        for (const reservation of this.reservations.values()) {
+          if (reservation.settlingUsd > 0 && (reservation.filledAt ?? 0) >= (previousReconciledAt ?? 0)) reservation.settlingUsd = 0;
+        }
+      } else if (filledUsd > 0) {
+        // Part of the drift is fills that have not landed yet; they keep counting as settling
+        drift = Math.max(0, drift - filledUsd);
+      }
+      this.driftUsd = drift;
+      if (Math.abs(drift) > DRIFT_TOLERANCE_USD) {
+        this.deps.logger.warn(`[Ledger] Chain balance drifted ${drift >= 0 ? '+' : '-'}$${Math.abs(drift).toFixed(2)} from the ledger (chain: $${chainBalanceUsd.toFixed(2)}, fills booked: $${filledUsd.toFixed(2)})`);
+      }
+    }
+
+    for (const reservation of Array.from(this.reservations.values())) {
+      if (reservation.settlingUsd > 0 && now - reservation.updatedAt > SETTLE_WINDOW_MS) {
+        reservation.settlingUsd = 0;
+      }
+      if (reservation.status === 'SETTLING' && reservation.settlingUsd <= 0) {
+        if (reservation.reservedUsd <= 0) {
+          reservation.releaseReason = reservation.releaseReason || 'settled';
+          this.retire(reservation);
+          continue;
+        }
+      }
+      if (!reservation.orderId && reservation.settlingUsd <= 0 && now - reservation.createdAt > ORPHAN_AFTER_MS) {
+        this.deps.logger.warn(`[Ledger] Releasing orphaned reservation $${reservation.reservedUsd.toFixed(2)} on ${reservation.marketId.slice(0, 10)}...`);
+        reservation.reservedUsd = 0;
+        reservation.releaseReason = 'orphaned';
+        this.retire(reservation);
+      }
+    }
+  }
+
+  snapshot(): LedgerSnapshot {
+    const open = Array.from(this.reservations.values());
+    const reservedUsd = open.reduce((sum, r) => sum + r.reservedUsd, 0);
+    const settlingUsd = open.reduce((sum, r) => sum + r.settlingUsd, 0);
+    return {
+      chainBalanceUsd: this.chainBalanceUsd,
+      lastReconciledAt: this.lastReconciledAt,
+      driftUsd: this.driftUsd,
+      reservedUsd,
+      settlingUsd,
+      availableUsd: this.chainBalanceUsd !== undefined ? Math.max(0, this.chainBalanceUsd - reservedUsd - settlingUsd) : undefined,
+      open,
+      recent: [...this.recent],
+      lastRejection: this.lastRejection
+    };
+  }
+
+  private find(keyOrOrderId: string): Reservation | undefined {
+    const direct = this.reservations.get(keyOrOrderId);
+    if (direct) return direct;
+    for (const r of this.reservations.values()) {
+      if (r.orderId === keyOrOrderId) return r;
+    }
+    return undefined;
+  }
+
+  private retire(reservation: Reservation) {
+    reservation.status = 'RELEASED';
+    reservation.updatedAt = Date.now();
+    this.reservations.delete(reservation.key);
+    this.recent.unshift(reservation);
+    if (this.recent.length > RECENT_LIMIT) this.recent.length = RECENT_LIMIT;
+  }
+}
@@ -0,0 +1,54 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { CopyAttributionService, CopyRecord } from './copy-attribution.service.js';
+import { CopiedTrade, HunterEarning, Registry, WalletAnalytics } from '../database/index.js';
+import { Logger } from '../utils/logger.util.js';
+
+vi.mock('../database/index.js', () => ({
+  CopiedTrade: { updateOne: vi.fn(), aggregate: vi.fn() },
+  HunterEarning: { aggregate: vi.fn() },
+  Registry: { updateOne: vi.fn() },
+  WalletAnalytics: { updateOne: vi.fn() },
+  Trade: {},
+  User: {}
+}));
+
+const logger: Logger = { info: () => {}, warn: () => {}, error: vi.fn(), debug: () => {}, success: () => {} };
+
+function copy(overrides: Partial<CopyRecord> = {}): CopyRecord {
+  return { copierUserId: '0xME', sourceWallet: '0xWHALE', tradeId: 't1', marketId: 'm1', outcome: 'YES', side: 'BUY', sizeUsd: 100, executedSize: 10, price: 0.5, ...overrides };
+}
+
+describe('CopyAttributionService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(CopiedTrade.aggregate).mockResolvedValue([]);
+    vi.mocked(HunterEarning.aggregate).mockResolvedValue([]);
+  });
+
+  it('records fills without waiting for the rollups and refreshes each wallet once per batch', async () => {
+    const attribution = new CopyAttributionService(logger, 60000);
+
+    await attribution.recordCopy(copy());
+    await attribution.recordCopy(copy({ tradeId: 't2' }));
+
+    expect(CopiedTrade.updateOne).toHaveBeenCalledTimes(2);
+    expect(WalletAnalytics.updateOne).not.toHaveBeenCalled();
+
+    await attribution.flushRefreshes();
+
+    expect(WalletAnalytics.updateOne).toHaveBeenCalledOnce();
+    expect(vi.mocked(WalletAnalytics.updateOne).mock.calls[0][0]).toEqual({ walletAddress: '0xwhale' });
+    expect(Registry.updateOne).toHaveBeenCalledOnce();
+  });
+
+  it('logs a failed record through the logger instead of throwing', async () => {
+    vi.mocked(CopiedTrade.updateOne).mockRejectedValueOnce(new Error('mongo down'));
+    const attribution = new CopyAttributionService(logger, 60000);
+
+    await expect(attribution.recordCopy(copy())).resolves.toBeUndefined();
+
+    expect(logger.error).toHaveBeenCalledOnce();
+    await attribution.flushRefreshes();
+    expect(WalletAnalytics.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,211 @@
+import { CopiedTrade, HunterEarning, Registry, Trade, User, WalletAnalytics } from '../database/index.js';
+import { ConsoleLogger, Logger } from '../utils/logger.util.js';
+
+export interface CopyRecord {
+    copierUserId: string;
+    sourceWallet: string;
+    tradeId: string;
+    closesTradeId?: string;
+    marketId: string;
+    assetId?: string;
+    outcome: string;
+    side: 'BUY' | 'SELL';
+    sizeUsd: number;       // Whale's signal size (BUY) or our cost basis (SELL), i.e. the fill's Trade.size
+    executedSize: number;  // USD we actually traded in this fill
+    price: number;
+    txHash?: string;       // CLOB order ID; fills of one order share a record
+    profitUsd?: number;    // SELL only: realized PnL of the shares sold
+    timestamp?: Date;
+}
+
+// Fills of a burst land within seconds; their wallets are refreshed together afterwards
+const ROLLUP_REFRESH_DELAY_MS = 5000;
+
+export interface BackfillSummary {
+    scanned: number;
+    inserted: number;
+    unattributed: number;
+    wallets: number;
+}
+
+/**
+ * Links every copied fill to the whale wallet it came from (CopiedTrade) and keeps the
+ * per-wallet rollups (WalletAnalytics, Registry copy stats) in step.
+ */
+export class CopyAttributionService {
+    private dirtyWallets: Set<string> = new Set();
+    private refreshTimer?: NodeJS.Timeout;
+
+    constructor(
+        private readonly logger: Logger = new ConsoleLogger(),
+        private readonly refreshDelayMs = ROLLUP_REFRESH_DELAY_MS
+    ) {}
+
+    /**
+     * Records a fill. Errors are logged and swallowed so attribution never blocks trading.
+     * The wallet rollups are refreshed in the background, once per batch of fills.
+     */
+    async recordCopy(copy: CopyRecord): Promise<void> {
+        const sourceWallet = copy.sourceWallet.toLowerCase();
+        try {
+            await CopiedTrade.updateOne(
+                { copierUserId: copy.copierUserId.toLowerCase(), tradeId: copy.tradeId, side: copy.side, txHash: copy.txHash },
+                {
+                    $setOnInsert: {
+                        sourceWallet,
+                        closesTradeId: copy.closesTradeId,
+                        marketId: copy.marketId,
+                        assetId: copy.assetId,
+                        outcome: copy.outcome,
+                        sizeUsd: copy.sizeUsd,
+                        price: copy.price,
+                        timestamp: copy.timestamp || new Date(),
+                        isSuccessful: true
+                    },
+                    $inc: { executedSize: copy.executedSize, ...(copy.profitUsd !== undefined ? { profitUsd: copy.profitUsd } : {}) }
+                },
+                { upsert: true }
+            );
+            this.scheduleRefresh(sourceWallet);
+        } catch (e: any) {
+            this.logger.error(`[Attribution] Failed to record ${copy.side} copy of ${sourceWallet}: ${e.message}`, e);
+        }
+    }
+
+    /**
+     * Refreshes every wallet recorded since the last batch. Also runs on its own after refreshDelayMs.
+     */
+    async flushRefreshes(): Promise<void> {
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = undefined;
+        }
+        const wallets = Array.from(this.dirtyWallets);
+        this.dirtyWallets.clear();
+        for (const wallet of wallets) {
+            try {
+                await this.refreshWallet(wallet);
+            } catch (e: any) {
+                this.logger.error(`[Attribution] Failed to refresh rollups of ${wallet}: ${e.message}`, e);
+            }
+        }
+    }
+
+    private scheduleRefresh(wallet: string) {
+        this.dirtyWallets.add(wallet);
+        if (this.refreshTimer) return;
+        this.refreshTimer = setTimeout(() => { this.flushRefreshes(); }, this.refreshDelayMs);
+    }
+
+    /**
+     * Recomputes the rollups for one source wallet from its CopiedTrade records.
+     */
+    async refreshWallet(walletAddress: string): Promise<void> {
+        const wallet = walletAddress.toLowerCase();
+        const [copies] = await CopiedTrade.aggregate([
+            { $match: { sourceWallet: wallet } },
+            {
+                $group: {
+                    _id: null,
+                    total: { $sum: 1 },
+                    successfulBuys: { $sum: { $cond: [{ $and: [{ $eq: ['$side', 'BUY'] }, '$isSuccessful'] }, 1, 0] } },
+                    profit: { $sum: { $cond: [{ $eq: ['$side', 'SELL'] }, { $ifNull: ['$profitUsd', 0] }, 0] } },
+                    copiers: { $addToSet: '$copierUserId' }
+                }
+            }
+        ]);
+        const [fees] = await HunterEarning.aggregate([
+            { $match: { sourceWallet: wallet } },
+            { $group: { _id: null, total: { $sum: '$hunterFeeUsd' } } }
+        ]);
+
+        const stats = {
+            totalCopiedTrades: copies?.total || 0,
+            successfulBuys: copies?.successfulBuys || 0,
+            totalProfitGenerated: copies?.profit || 0,
+            totalFeesEarnedByHunters: fees?.total || 0,
+            uniqueCopiers: copies?.copiers?.length || 0,
+            lastUpdated: new Date()
+        };
+
+        await WalletAnalytics.updateOne({ walletAddress: wallet }, { $set: stats }, { upsert: true });
+        await Registry.updateOne(
+            { address: { $regex: new RegExp(`^${wallet}$`, "i") } },
+            { copyCount: stats.successfulBuys, copyProfitGenerated: stats.totalProfitGenerated }
+        );
+    }
+
+    /**
+     * Rebuilds CopiedTrade from the Trade collection, then every touched wallet's rollups.
+     * Trades saved before the source wallet was stored are attributed through the position
+     * that opened them, the earlier BUY of the same outcome, or the user's only followed wallet.
+     * Existing records are left untouched, so the job can be re-run safely.
+     */
+    async backfill(): Promise<BackfillSummary> {
+        const summary: BackfillSummary = { scanned: 0, inserted: 0, unattributed: 0, wallets: 0 };
+        const touched = new Set<string>();
+
+        const users = await User.find({}, { address: 1, activePositions: 1, activeBotConfig: 1 }).lean();
+        for (const user of users) {
+            const userId = user.address.toLowerCase();
+            const positionSource = new Map<string, string>();
+            for (const p of user.activePositions || []) {
+                if (p.tradeId && p.trader) positionSource.set(p.tradeId, p.trader.toLowerCase());
+            }
+            const followed: string[] = user.activeBotConfig?.userAddresses || [];
+            const onlyFollowed = followed.length === 1 ? followed[0].toLowerCase() : undefined;
+
+            // Latest opening BUY per outcome, so SELLs can inherit its source
+            const openBuys = new Map<string, { tradeId: string; source?: string }>();
+            const trades = await Trade.find({ userId, status: { $nin: ['SKIPPED', 'FAILED'] } }).sort({ timestamp: 1 }).lean();
+
+            for (const trade of trades) {
+                summary.scanned++;
+                const outcomeKey = trade.assetId || `${trade.marketId}:${trade.outcome}`;
+                const opening = trade.side === 'SELL' ? openBuys.get(outcomeKey) : undefined;
+                const source = trade.sourceWallet?.toLowerCase()
+                    || positionSource.get(trade._id)
+                    || opening?.source
+                    || onlyFollowed;
+
+                if (trade.side === 'BUY') openBuys.set(outcomeKey, { tradeId: trade._id, source });
+                if (!source) {
+                    summary.unattributed++;
+                    continue;
+                }
+                if (!trade.executedSize || trade.executedSize <= 0) continue;
+
+                const res = await CopiedTrade.updateOne(
+                    { copierUserId: userId, tradeId: trade._id, side: trade.side, txHash: trade.txHash },
+                    {
+                        $setOnInsert: {
+                            sourceWallet: source,
+                            closesTradeId: opening?.tradeId,
+                            marketId: trade.marketId,
+                            assetId: trade.assetId,
+                            outcome: trade.outcome,
+                            // Same values the live path records: whale signal size for BUYs, cost basis for SELLs
+                            sizeUsd: trade.size || 0,
+                            executedSize: trade.executedSize,
+                            price: trade.price || 0,
+                            timestamp: trade.timestamp,
+                            isSuccessful: true,
+                            profitUsd: trade.side === 'SELL' ? trade.pnl : undefined
+                        }
+                    },
+                    { upsert: true }
+                );
+                if (res.upsertedCount > 0) summary.inserted++;
+                touched.add(source);
+            }
+        }
+
+        for (const wallet of touched) {
+            await this.refreshWallet(wallet);
+        }
+        summary.wallets = touched.size;
+        return summary;
+    }
+}
+
+export const copyAttribution = new CopyAttributionService();
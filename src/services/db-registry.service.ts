@@ -1,6 +1,6 @@
 
 import { Registry } from '../database/index.js';
-import { IRegistryService } from '../domain/alpha.types.js';
+import { IRegistryService, TraderProfile } from '../domain/alpha.types.js';
 
 /**
  * Server-side service to talk to the Registry via Mongoose.
@@ -21,4 +21,15 @@ export class DbRegistryService implements IRegistryService {
             return null;
         }
     }
+
+    async getTraderProfile(walletAddress: string): Promise<TraderProfile | null> {
+        try {
+            return await Registry.findOne({
+                address: { $regex: new RegExp(`^${walletAddress}$`, "i") }
+            }).lean<TraderProfile>();
+        } catch (e) {
+            console.error("DbRegistry profile lookup failed", e);
+            return null;
+        }
+    }
 }
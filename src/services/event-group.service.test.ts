@@ -0,0 +1,59 @@
+import { describe, expect, it, vi } from 'vitest';
+import { EventGroupService, allocateConversion } from './event-group.service.js';
+import { ActivePosition } from '../domain/trade.types.js';
+import { Logger } from '../utils/logger.util.js';
+
+vi.mock('axios');
+vi.mock('../database/index.js', () => ({}));
+
+const logger: Logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {}, success: () => {} };
+
+function no(tradeId: string, marketId: string, shares: number): ActivePosition {
+  return { tradeId, marketId, tokenId: `${marketId}-no`, outcome: 'NO', entryPrice: 0.8, shares, sizeUsd: shares * 0.8, timestamp: 0 };
+}
+
+function service() {
+  const adapter = { getMarketPrice: vi.fn(async () => 0.9) };
+  const groups = new EventGroupService(adapter as any, logger);
+  vi.spyOn(groups, 'getEvent').mockResolvedValue({
+    slug: 'election',
+    negRisk: true,
+    negRiskMarketId: '0xneg',
+    markets: [
+      { conditionId: 'a', questionId: '0x00', yesTokenId: 'a-yes' },
+      { conditionId: 'b', questionId: '0x01', yesTokenId: 'b-yes' },
+      { conditionId: 'c', questionId: '0x02', yesTokenId: 'c-yes' }
+    ]
+  });
+  return { groups, adapter };
+}
+
+describe('NO basket conversion', () => {
+  it('sizes the basket by the NO shares held per market, not per position', async () => {
+    const { groups, adapter } = service();
+    const quote = await groups.quoteNoConversion('election', [no('1', 'a', 6), no('2', 'a', 6), no('3', 'b', 10)]);
+
+    expect(quote!.shares).toBe(10);
+    expect(quote!.indexSet).toBe(3n);
+    expect(quote!.collateralUsd).toBe(10);
+    // One sell quote per basket market plus the YES leg of market c
+    expect(adapter.getMarketPrice).toHaveBeenCalledTimes(3);
+    expect(quote!.sellValueUsd).toBeCloseTo(18);
+  });
+
+  it('books the released USDC and the YES legs, split over the exact positions by their own shares', async () => {
+    const { groups } = service();
+    const positions = [no('1', 'a', 6), no('2', 'a', 6), no('3', 'b', 10)];
+    const quote = (await groups.quoteNoConversion('election', positions))!;
+
+    const legs = allocateConversion(quote, 10);
+
+    // $10 released plus 10 YES on market c at 0.9
+    expect(legs.map(l => [l.position.tradeId, l.shares, l.exitValueUsd])).toEqual([
+      ['1', 5, 4.75],
+      ['2', 5, 4.75],
+      ['3', 10, 9.5]
+    ]);
+    expect(legs.reduce((sum, l) => sum + l.exitValueUsd, 0)).toBeCloseTo(quote.convertValueUsd);
+  });
+});
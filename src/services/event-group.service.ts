@@ -0,0 +1,230 @@
+import { IExchangeAdapter } from '../adapters/interfaces.js';
+import { ActivePosition, TradeSignal } from '../domain/trade.types.js';
+import { Logger } from '../utils/logger.util.js';
+import { isSameOutcomeToken } from '../utils/outcome.util.js';
+import { marketMetadata, GammaEvent } from './market-metadata.service.js';
+
+export type EventInfo = GammaEvent;
+
+export interface EventGroup {
+    eventSlug: string;
+    title?: string;
+    negRisk: boolean;
+    marketCount: number;
+    exposureUsd: number;     // Current value of everything we hold in the event
+    costBasisUsd: number;
+    positions: Array<Pick<ActivePosition, 'tradeId' | 'marketId' | 'tokenId' | 'outcome' | 'shares' | 'question'> & { valueUsd: number }>;
+    contradictions: string[];
+    // Set when we hold NO on two or more markets of a neg-risk event
+    noBasket?: { markets: number; shares: number };
+}
+
+export interface NoConversionQuote {
+    eventSlug: string;
+    negRiskMarketId: string;
+    indexSet: bigint;
+    shares: number;          // Converted on every market of the basket
+    positions: ActivePosition[];
+    sellValueUsd: number;    // Selling the same NO shares at the bid
+    collateralUsd: number;   // (k - 1) x shares paid out by the adapter
+    yesValueUsd: number;     // YES shares received on the other markets, at the bid
+    convertValueUsd: number;
+    cheaperThanSelling: boolean;
+}
+
+export interface ConversionLeg {
+    position: ActivePosition;
+    shares: number;
+    exitValueUsd: number;
+}
+
+/**
+ * Groups positions by Polymarket event. Neg-risk events hold mutually exclusive markets,
+ * which lets us flag contradictory holdings and convert NO baskets through the neg-risk adapter.
+ */
+export class EventGroupService {
+    private marketToEvent: Map<string, string> = new Map();
+
+    constructor(
+        private readonly adapter: IExchangeAdapter,
+        private readonly logger: Logger
+    ) {}
+
+    async getEventForMarket(marketId: string, knownSlug?: string): Promise<EventInfo | undefined> {
+        let slug = knownSlug || this.marketToEvent.get(marketId);
+        if (!slug) {
+            try {
+                slug = (await marketMetadata.getGammaMarket(marketId))?.eventSlug;
+            } catch (e) {
+                return undefined;
+            }
+            if (!slug) return undefined;
+            this.marketToEvent.set(marketId, slug);
+        }
+        return this.getEvent(slug);
+    }
+
+    /**
+     * Event lookups go through the shared metadata cache, which also remembers failures for a while.
+     */
+    async getEvent(slug: string): Promise<EventInfo | undefined> {
+        try {
+            const info = await marketMetadata.getEvent(slug);
+            for (const m of info?.markets || []) this.marketToEvent.set(m.conditionId, slug);
+            return info;
+        } catch (e: any) {
+            this.logger.debug(`[Events] Lookup for ${slug} failed: ${e.message}`);
+            return undefined;
+        }
+    }
+
+    async groupPositions(positions: ActivePosition[]): Promise<EventGroup[]> {
+        const groups: Map<string, EventGroup> = new Map();
+        // Look every market up at once: gamma requests are batched and cached by the metadata service
+        const events = await Promise.all(positions.map(p => this.getEventForMarket(p.marketId, p.eventSlug || undefined)));
+
+        positions.forEach((p, i) => {
+            const event = events[i];
+            const key = event?.slug || p.eventSlug || p.marketId;
+            let group = groups.get(key);
+            if (!group) {
+                group = { eventSlug: key, title: event?.title, negRisk: !!event?.negRisk, marketCount: 0, exposureUsd: 0, costBasisUsd: 0, positions: [], contradictions: [] };
+                groups.set(key, group);
+            }
+            const valueUsd = p.shares * (p.currentPrice ?? p.entryPrice);
+            group.exposureUsd += valueUsd;
+            group.costBasisUsd += p.shares * p.entryPrice;
+            group.positions.push({ tradeId: p.tradeId, marketId: p.marketId, tokenId: p.tokenId, outcome: p.outcome, shares: p.shares, question: p.question, valueUsd });
+        });
+
+        for (const group of groups.values()) {
+            group.marketCount = new Set(group.positions.map(p => p.marketId)).size;
+            group.contradictions = describeContradictions(group.positions, group.negRisk);
+            const noPositions = group.positions.filter(p => p.outcome === 'NO');
+            const noMarkets = new Set(noPositions.map(p => p.marketId)).size;
+            if (group.negRisk && noMarkets >= 2) {
+                group.noBasket = { markets: noMarkets, shares: Math.min(...noPositions.map(p => p.shares)) };
+            }
+        }
+
+        return Array.from(groups.values()).sort((a, b) => b.exposureUsd - a.exposureUsd);
+    }
+
+    /**
+     * Reason a BUY would leave us holding contradictory outcomes, or undefined when it is consistent.
+     */
+    async findContradiction(signal: TradeSignal, positions: ActivePosition[]): Promise<string | undefined> {
+        if (signal.side !== 'BUY') return undefined;
+
+        const opposite = positions.find(p => p.marketId === signal.marketId && p.shares > 0 && !isSameOutcomeToken(p, signal));
+        if (opposite) {
+            return `already holding ${opposite.outcome} on this market`;
+        }
+
+        if (signal.outcome !== 'YES') return undefined;
+        const event = await this.getEventForMarket(signal.marketId);
+        if (!event?.negRisk) return undefined;
+
+        const eventMarkets = new Set(event.markets.map(m => m.conditionId));
+        const otherYes = positions.filter(p => p.outcome === 'YES' && p.marketId !== signal.marketId && eventMarkets.has(p.marketId));
+        if (otherYes.length > 0) {
+            return `already holding YES on ${otherYes.length} other market(s) of neg-risk event ${event.slug}; at most one can pay out`;
+        }
+        return undefined;
+    }
+
+    /**
+     * Prices converting every NO position of a neg-risk event against selling the same shares.
+     */
+    async quoteNoConversion(eventSlug: string, positions: ActivePosition[]): Promise<NoConversionQuote | undefined> {
+        const event = await this.getEvent(eventSlug);
+        if (!event?.negRisk || !event.negRiskMarketId) return undefined;
+
+        const byMarket = new Map(event.markets.map(m => [m.conditionId, m]));
+        const basket = positions.filter(p => p.outcome === 'NO' && p.shares > 0 && byMarket.has(p.marketId));
+        // Several positions (e.g. copied from different whales) can hold NO on the same market
+        const heldByMarket = new Map<string, { tokenId: string; shares: number }>();
+        for (const p of basket) {
+            const held = heldByMarket.get(p.marketId);
+            heldByMarket.set(p.marketId, { tokenId: p.tokenId, shares: (held?.shares || 0) + p.shares });
+        }
+        if (heldByMarket.size < 2) return undefined;
+
+        const shares = Math.floor(Math.min(...Array.from(heldByMarket.values()).map(h => h.shares)) * 100) / 100;
+        if (shares <= 0) return undefined;
+
+        let indexSet = 0n;
+        let sellValueUsd = 0;
+        for (const [marketId, held] of heldByMarket) {
+            const questionId = byMarket.get(marketId)!.questionId;
+            if (!questionId) return undefined;
+            // The neg-risk question index is the last byte of the question ID
+            indexSet |= 1n << BigInt(parseInt(questionId.slice(-2), 16));
+            sellValueUsd += shares * await this.adapter.getMarketPrice(marketId, held.tokenId, 'SELL');
+        }
+
+        const basketMarkets = new Set(heldByMarket.keys());
+        let yesValueUsd = 0;
+        for (const m of event.markets) {
+            if (basketMarkets.has(m.conditionId) || !m.yesTokenId) continue;
+            yesValueUsd += shares * await this.adapter.getMarketPrice(m.conditionId, m.yesTokenId, 'SELL');
+        }
+
+        const collateralUsd = (basketMarkets.size - 1) * shares;
+        const convertValueUsd = collateralUsd + yesValueUsd;
+        return {
+            eventSlug,
+            negRiskMarketId: event.negRiskMarketId,
+            indexSet,
+            shares,
+            positions: basket,
+            sellValueUsd,
+            collateralUsd,
+            yesValueUsd,
+            convertValueUsd,
+            cheaperThanSelling: convertValueUsd > sellValueUsd
+        };
+    }
+}
+
+/**
+ * Splits a finished conversion over the NO positions it consumed. Each market gave up quote.shares,
+ * taken from its positions in proportion to what each one holds. The exit value is the released USDC
+ * plus the YES shares received, valued at the quoted bid, so the NO basis is not booked against
+ * the collateral alone.
+ */
+export function allocateConversion(quote: NoConversionQuote, releasedUsd: number): ConversionLeg[] {
+    const byMarket = new Map<string, ActivePosition[]>();
+    for (const p of quote.positions) {
+        if (!byMarket.has(p.marketId)) byMarket.set(p.marketId, []);
+        byMarket.get(p.marketId)!.push(p);
+    }
+
+    const perMarketUsd = (releasedUsd + quote.yesValueUsd) / byMarket.size;
+    const legs: ConversionLeg[] = [];
+    for (const holders of byMarket.values()) {
+        const held = holders.reduce((sum, p) => sum + p.shares, 0);
+        for (const position of holders) {
+            const weight = position.shares / held;
+            legs.push({ position, shares: quote.shares * weight, exitValueUsd: perMarketUsd * weight });
+        }
+    }
+    return legs;
+}
+
+function describeContradictions(positions: EventGroup['positions'], negRisk: boolean): string[] {
+    const issues: string[] = [];
+    const byMarket = new Map<string, Set<string>>();
+    for (const p of positions) {
+        if (!byMarket.has(p.marketId)) byMarket.set(p.marketId, new Set());
+        byMarket.get(p.marketId)!.add(p.outcome);
+    }
+    for (const [marketId, outcomes] of byMarket) {
+        if (outcomes.size > 1) issues.push(`Holding ${Array.from(outcomes).join(' and ')} on market ${marketId.slice(0, 10)}...`);
+    }
+    if (negRisk) {
+        const yesMarkets = new Set(positions.filter(p => p.outcome === 'YES').map(p => p.marketId));
+        if (yesMarkets.size > 1) issues.push(`Holding YES on ${yesMarkets.size} mutually exclusive markets; at most one can pay out`);
+    }
+    return issues;
+}
@@ -0,0 +1,35 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { MarketMetadataService } from './market-metadata.service.js';
+import { httpGet } from '../utils/http.js';
+
+vi.mock('../utils/http.js', () => ({ httpGet: vi.fn() }));
+
+const get = vi.mocked(httpGet);
+
+describe('MarketMetadataService events', () => {
+  beforeEach(() => get.mockReset());
+
+  it('parses the event and shares concurrent lookups', async () => {
+    get.mockResolvedValue([{ title: 'Election', negRisk: true, negRiskMarketID: '0xneg', markets: [{ conditionId: 'a', questionID: '0x00', clobTokenIds: '["y","n"]' }] }]);
+    const metadata = new MarketMetadataService();
+
+    const [first, second] = await Promise.all([metadata.getEvent('election'), metadata.getEvent('election')]);
+
+    expect(get).toHaveBeenCalledOnce();
+    expect(second).toBe(first);
+    expect(first).toEqual({ slug: 'election', title: 'Election', negRisk: true, negRiskMarketId: '0xneg', markets: [{ conditionId: 'a', question: undefined, questionId: '0x00', yesTokenId: 'y', noTokenId: 'n' }] });
+  });
+
+  it('remembers unknown slugs and failures instead of refetching on every call', async () => {
+    const metadata = new MarketMetadataService();
+    get.mockResolvedValueOnce([]);
+    expect(await metadata.getEvent('gone')).toBeUndefined();
+    expect(await metadata.getEvent('gone')).toBeUndefined();
+
+    get.mockRejectedValueOnce(new Error('gamma down'));
+    await expect(metadata.getEvent('down')).rejects.toThrow('gamma down');
+    await expect(metadata.getEvent('down')).rejects.toThrow('gamma down');
+
+    expect(get).toHaveBeenCalledTimes(2);
+  });
+});
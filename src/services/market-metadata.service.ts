@@ -0,0 +1,285 @@
+import { httpGet } from '../utils/http.js';
+
+export interface GammaMarket {
+  conditionId: string;
+  slug?: string;
+  question?: string;
+  description?: string;
+  image?: string;
+  eventSlug?: string;
+  negRisk: boolean;
+  negRiskMarketId?: string;
+  questionId?: string;
+  clobTokenIds: string[];
+  outcomes: string[];
+  closed?: boolean;
+  endDate?: string;
+  volumeUsd?: number;
+  liquidityUsd?: number;
+  tags: string[];         // Tag slugs and labels, plus the legacy category field
+}
+
+export interface GammaEventMarket {
+  conditionId: string;
+  question?: string;
+  questionId?: string;
+  yesTokenId?: string;
+  noTokenId?: string;
+}
+
+export interface GammaEvent {
+  slug: string;
+  title?: string;
+  negRisk: boolean;
+  negRiskMarketId?: string;
+  markets: GammaEventMarket[];
+}
+
+export interface MarketSummary {
+  marketSlug: string;
+  eventSlug: string;
+  question: string;
+  image: string;
+}
+
+export type MarketMetadataOptions = {
+  activeTtlMs: number;    // Open markets: accepting_orders / closed can flip at any time
+  resolvedTtlMs: number;  // Markets with a declared winner no longer change
+  gammaTtlMs: number;
+  negativeTtlMs: number;  // Failed gamma lookups are not retried before this, so every caller does not hit a down API
+  batchWindowMs: number;  // Gamma lookups arriving within this window share one request
+  maxBatch: number;
+};
+
+const DEFAULT_OPTIONS: MarketMetadataOptions = {
+  activeTtlMs: 30 * 1000,
+  resolvedTtlMs: 6 * 60 * 60 * 1000,
+  gammaTtlMs: 10 * 60 * 1000,
+  negativeTtlMs: 60 * 1000,
+  batchWindowMs: 50,
+  maxBatch: 20
+};
+
+type CacheEntry<T> = { value: T; expiresAt: number; error?: unknown };
+type PendingGamma = { resolve: (m: GammaMarket | undefined) => void; reject: (e: unknown) => void };
+
+/**
+ * Process-wide cache for CLOB and gamma market metadata.
+ * Concurrent reads of the same market share one request, and gamma lookups are batched.
+ */
+export class MarketMetadataService {
+  private readonly options: MarketMetadataOptions;
+  private clobCache: Map<string, CacheEntry<any>> = new Map();
+  private clobInFlight: Map<string, Promise<any>> = new Map();
+  private gammaCache: Map<string, CacheEntry<GammaMarket | undefined>> = new Map();
+  private gammaQueue: Map<string, PendingGamma[]> = new Map();
+  private gammaTimer?: NodeJS.Timeout;
+  private eventCache: Map<string, CacheEntry<GammaEvent | undefined>> = new Map();
+  private eventInFlight: Map<string, Promise<GammaEvent | undefined>> = new Map();
+
+  constructor(options: Partial<MarketMetadataOptions> = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * CLOB market (tokens, tick size, neg_risk, closed / accepting_orders flags).
+   * Errors are not cached, so a 404 for a resolved market reaches every caller.
+   */
+  async getMarket(conditionId: string): Promise<any> {
+    const cached = this.clobCache.get(conditionId);
+    if (cached && Date.now() < cached.expiresAt) return cached.value;
+
+    const inFlight = this.clobInFlight.get(conditionId);
+    if (inFlight) return inFlight;
+
+    const request = httpGet<any>(`https://clob.polymarket.com/markets/${conditionId}`)
+      .then(market => {
+        const resolved = Array.isArray(market?.tokens) && market.tokens.some((t: any) => t.winner === true);
+        // The market just closed: gamma flags are stale as well
+        if (market?.closed && cached && !cached.value?.closed) this.gammaCache.delete(conditionId);
+        this.clobCache.set(conditionId, {
+          value: market,
+          expiresAt: Date.now() + (resolved ? this.options.resolvedTtlMs : this.options.activeTtlMs)
+        });
+        return market;
+      })
+      .finally(() => this.clobInFlight.delete(conditionId));
+
+    this.clobInFlight.set(conditionId, request);
+    return request;
+  }
+
+  async getGammaMarket(conditionId: string): Promise<GammaMarket | undefined> {
+    const cached = this.gammaCache.get(conditionId);
+    if (cached && Date.now() < cached.expiresAt) {
+      if (cached.error) throw cached.error;
+      return cached.value;
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiters = this.gammaQueue.get(conditionId) || [];
+      waiters.push({ resolve, reject });
+      this.gammaQueue.set(conditionId, waiters);
+
+      if (this.gammaQueue.size >= this.options.maxBatch) {
+        this.flushGamma();
+      } else if (!this.gammaTimer) {
+        this.gammaTimer = setTimeout(() => this.flushGamma(), this.options.batchWindowMs);
+      }
+    });
+  }
+
+  /**
+   * Gamma event with its markets. Unknown slugs and failed lookups are cached for negativeTtlMs;
+   * a failed refresh keeps the last good reading.
+   */
+  async getEvent(slug: string): Promise<GammaEvent | undefined> {
+    const cached = this.eventCache.get(slug);
+    if (cached && Date.now() < cached.expiresAt) {
+      if (cached.error) throw cached.error;
+      return cached.value;
+    }
+
+    const inFlight = this.eventInFlight.get(slug);
+    if (inFlight) return inFlight;
+
+    const request = httpGet<any[]>(`https://gamma-api.polymarket.com/events?slug=${encodeURIComponent(slug)}`)
+      .then(rows => {
+        const event = Array.isArray(rows) && rows[0] ? toGammaEvent(slug, rows[0]) : undefined;
+        this.eventCache.set(slug, { value: event, expiresAt: Date.now() + (event ? this.options.gammaTtlMs : this.options.negativeTtlMs) });
+        return event;
+      })
+      .catch(error => {
+        // Keep serving the last good reading; without one, remember the failure
+        if (cached?.value) {
+          this.eventCache.set(slug, { value: cached.value, expiresAt: Date.now() + this.options.negativeTtlMs });
+          return cached.value;
+        }
+        this.eventCache.set(slug, { value: undefined, error, expiresAt: Date.now() + this.options.negativeTtlMs });
+        throw error;
+      })
+      .finally(() => this.eventInFlight.delete(slug));
+
+    this.eventInFlight.set(slug, request);
+    return request;
+  }
+
+  /**
+   * Display fields used for positions and trade history.
+   */
+  async getMarketSummary(conditionId: string): Promise<MarketSummary> {
+    const summary: MarketSummary = { marketSlug: "", eventSlug: "", question: conditionId, image: "" };
+
+    try {
+      const market = await this.getMarket(conditionId);
+      summary.marketSlug = market?.market_slug || "";
+      summary.question = market?.question || summary.question;
+      summary.image = market?.image || "";
+    } catch (e: any) {
+      console.warn(`[Metadata] CLOB lookup for ${conditionId} failed, summary falls back to gamma: ${e.message}`);
+    }
+
+    try {
+      const gamma = await this.getGammaMarket(conditionId);
+      summary.eventSlug = gamma?.eventSlug || "";
+      if (!summary.marketSlug) summary.marketSlug = gamma?.slug || "";
+    } catch (e: any) {
+      console.warn(`[Metadata] Gamma lookup for ${conditionId} failed, summary has no event slug: ${e.message}`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Drops everything cached for a market, e.g. after an order fails because it resolved.
+   */
+  invalidate(conditionId: string) {
+    this.clobCache.delete(conditionId);
+    this.gammaCache.delete(conditionId);
+  }
+
+  private flushGamma() {
+    if (this.gammaTimer) {
+      clearTimeout(this.gammaTimer);
+      this.gammaTimer = undefined;
+    }
+    const batch = new Map(Array.from(this.gammaQueue.entries()).slice(0, this.options.maxBatch));
+    for (const id of batch.keys()) this.gammaQueue.delete(id);
+    if (this.gammaQueue.size > 0) {
+      this.gammaTimer = setTimeout(() => this.flushGamma(), this.options.batchWindowMs);
+    }
+
+    const query = Array.from(batch.keys()).map(id => `condition_ids=${id}`).join('&');
+    httpGet<any[]>(`https://gamma-api.polymarket.com/markets?${query}&limit=${batch.size}&include_tag=true`)
+      .then(rows => {
+        const found = new Map((Array.isArray(rows) ? rows : []).map(row => [row.conditionId, toGammaMarket(row)]));
+        for (const [id, waiters] of batch) {
+          const market = found.get(id);
+          this.gammaCache.set(id, { value: market, expiresAt: Date.now() + this.options.gammaTtlMs });
+          waiters.forEach(w => w.resolve(market));
+        }
+      })
+      .catch(err => {
+        for (const [id, waiters] of batch) {
+          this.gammaCache.set(id, { value: undefined, error: err, expiresAt: Date.now() + this.options.negativeTtlMs });
+          waiters.forEach(w => w.reject(err));
+        }
+      });
+  }
+}
+
+export function parseJsonArray(raw: unknown): string[] {
+  if (Array.isArray(raw)) return raw.map(String);
+  if (typeof raw !== 'string') return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed.map(String) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function toGammaMarket(row: any): GammaMarket {
+  return {
+    conditionId: row.conditionId,
+    slug: row.slug,
+    question: row.question,
+    description: row.description,
+    image: row.image,
+    eventSlug: row.events?.[0]?.slug,
+    negRisk: !!row.negRisk,
+    negRiskMarketId: row.negRiskMarketID,
+    questionId: row.questionID,
+    clobTokenIds: parseJsonArray(row.clobTokenIds),
+    outcomes: parseJsonArray(row.outcomes),
+    closed: row.closed,
+    endDate: row.endDate,
+    volumeUsd: toNumber(row.volumeNum ?? row.volume),
+    liquidityUsd: toNumber(row.liquidityNum ?? row.liquidity),
+    tags: [
+      ...(Array.isArray(row.tags) ? row.tags.flatMap((t: any) => [t?.slug, t?.label]) : []),
+      ...(Array.isArray(row.events?.[0]?.tags) ? row.events[0].tags.flatMap((t: any) => [t?.slug, t?.label]) : []),
+      row.category
+    ].filter((t): t is string => typeof t === 'string' && t.length > 0)
+  };
+}
+
+function toGammaEvent(slug: string, row: any): GammaEvent {
+  return {
+    slug,
+    title: row.title,
+    negRisk: !!(row.negRisk || row.enableNegRisk),
+    negRiskMarketId: row.negRiskMarketID,
+    markets: (Array.isArray(row.markets) ? row.markets : []).map((m: any) => {
+      const tokenIds = parseJsonArray(m.clobTokenIds);
+      return { conditionId: m.conditionId, question: m.question, questionId: m.questionID, yesTokenId: tokenIds[0], noTokenId: tokenIds[1] };
+    })
+  };
+}
+
+function toNumber(raw: unknown): number | undefined {
+  const n = Number(raw);
+  return raw !== undefined && raw !== null && Number.isFinite(n) ? n : undefined;
+}
+
+export const marketMetadata = new MarketMetadataService();
@@ -0,0 +1,54 @@
+import axios from 'axios';
+import type { AiFailurePolicy, RiskAgentConfig } from '../config/risk-agent.js';
+import type { TradeContext } from './trade-context.service.js';
+import { AnalysisResult, IRiskAgent, ModelBackend, RiskProfile, analyzeWithModel } from './ai-agent.service.js';
+
+type OpenAiCompatibleConfig = Extract<RiskAgentConfig, { type: 'OPENAI_COMPATIBLE' }>;
+
+const DEFAULT_TIMEOUT_MS = 20000;
+
+/**
+ * Risk agent for any server exposing the OpenAI /chat/completions API: hosted providers,
+ * or a local model server (llama.cpp, vLLM, Ollama) for air-gapped deployments.
+ */
+export class OpenAiCompatibleRiskAgent implements IRiskAgent, ModelBackend {
+  readonly name: string;
+
+  constructor(
+    private readonly config: OpenAiCompatibleConfig,
+    private readonly failurePolicy: AiFailurePolicy = 'CLOSED'
+  ) {
+    this.name = `openai-compatible:${config.model}`;
+  }
+
+  async analyzeTrade(context: TradeContext, riskProfile: RiskProfile = 'balanced'): Promise<AnalysisResult> {
+    return analyzeWithModel(this, context, riskProfile, this.failurePolicy);
+  }
+
+  async complete(systemInstruction: string, prompt: string) {
+    const apiKey = process.env[this.config.apiKeyEnv || 'OPENAI_API_KEY'];
+
+    const res = await axios.post(`${this.config.baseUrl}/chat/completions`, {
+      model: this.config.model,
+      temperature: 0,
+      response_format: { type: 'json_object' },
+      messages: [
+        { role: 'system', content: systemInstruction },
+        { role: 'user', content: prompt }
+      ]
+    }, {
+      timeout: this.config.timeoutMs || DEFAULT_TIMEOUT_MS,
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : undefined
+    });
+
+    const usage = res.data?.usage;
+    return {
+      text: res.data?.choices?.[0]?.message?.content,
+      usage: usage ? {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || 0
+      } : undefined
+    };
+  }
+}
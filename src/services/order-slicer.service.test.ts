@@ -0,0 +1,14 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_SLICING_POLICY, validateSlicingPolicy } from './order-slicer.service.js';
+
+describe('validateSlicingPolicy', () => {
+  it('fills omitted fields with the defaults and caps maxSlices', () => {
+    expect(validateSlicingPolicy({ maxSlices: 500 })).toEqual({ policy: { ...DEFAULT_SLICING_POLICY, enabled: true, maxSlices: 50 } });
+  });
+
+  it('rejects invalid values instead of replacing them', () => {
+    expect(validateSlicingPolicy({ maxParticipation: 1.5 }).error).toMatch(/maxParticipation/);
+    expect(validateSlicingPolicy({ maxSlippageCents: 'wide' }).error).toMatch(/maxSlippageCents/);
+    expect(validateSlicingPolicy({ enabled: 'yes' }).error).toMatch(/enabled/);
+  });
+});
@@ -0,0 +1,165 @@
+import { IExchangeAdapter, OrderParams } from '../adapters/interfaces.js';
+import { OrderBook } from '../domain/market.types.js';
+import { Logger } from '../utils/logger.util.js';
+
+/**
+ * Per-bot execution algorithm settings. Slicing only kicks in when the order is
+ * larger than the visible size at the best price.
+ */
+export interface SlicingPolicy {
+  enabled: boolean;
+  maxSlippageCents: number;   // Worst price allowed vs the best price when slicing starts
+  maxParticipation: number;   // Max share of visible depth (within the budget) taken per slice, 0-1
+  sliceIntervalMs: number;    // Pause between slices so the book can refill
+  maxSlices: number;
+}
+
+export const DEFAULT_SLICING_POLICY: SlicingPolicy = {
+  enabled: false,
+  maxSlippageCents: 2,
+  maxParticipation: 0.5,
+  sliceIntervalMs: 2000,
+  maxSlices: 10
+};
+
+const MAX_SLICES_CAP = 50;
+
+/**
+ * Validates the slicing policy coming from the API. Omitted fields take the defaults; maxSlices is capped at 50.
+ */
+export function validateSlicingPolicy(raw: any): { policy?: SlicingPolicy; error?: string } {
+  if (!raw) return {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'slicing must be an object' };
+  if (raw.enabled !== undefined && typeof raw.enabled !== 'boolean') return { error: 'enabled must be a boolean' };
+
+  const policy: SlicingPolicy = { ...DEFAULT_SLICING_POLICY, enabled: raw.enabled !== false };
+  for (const key of ['maxSlippageCents', 'sliceIntervalMs'] as const) {
+    if (raw[key] === undefined) continue;
+    const n = Number(raw[key]);
+    if (!Number.isFinite(n) || n < 0) return { error: `${key} must be >= 0` };
+    policy[key] = n;
+  }
+  if (raw.maxParticipation !== undefined) {
+    const n = Number(raw.maxParticipation);
+    if (!Number.isFinite(n) || n <= 0 || n > 1) return { error: 'maxParticipation must be in (0, 1]' };
+    policy.maxParticipation = n;
+  }
+  if (raw.maxSlices !== undefined) {
+    const n = Number(raw.maxSlices);
+    if (!Number.isFinite(n) || n < 1) return { error: 'maxSlices must be >= 1' };
+    policy.maxSlices = Math.min(MAX_SLICES_CAP, Math.floor(n));
+  }
+  return { policy };
+}
+
+export interface SlicedExecution {
+  sharesRequested: number;
+  sharesFilled: number;
+  costUsd: number;
+  vwap: number;
+  slices: number;
+  orderIds: string[];
+  stopReason: string;
+}
+
+/**
+ * Shares available on the side we take from, at prices no worse than `limit`.
+ */
+export function visibleDepth(book: OrderBook, side: 'BUY' | 'SELL', limit: number): number {
+  const levels = side === 'BUY' ? book.asks : book.bids;
+  let depth = 0;
+  for (const level of levels) {
+    if (side === 'BUY' ? level.price > limit : level.price < limit) break;
+    depth += level.size;
+  }
+  return depth;
+}
+
+/**
+ * Splits a large order into FAK child orders sized to the visible book.
+ */
+export class OrderSlicerService {
+  constructor(
+    private readonly adapter: IExchangeAdapter,
+    private readonly logger: Logger
+  ) {}
+
+  /**
+   * True when the order does not fit in the best level, i.e. a single order would cross the book.
+   */
+  needsSlicing(book: OrderBook, side: 'BUY' | 'SELL', shares: number): boolean {
+    const top = side === 'BUY' ? book.asks[0] : book.bids[0];
+    return !!top && shares > top.size;
+  }
+
+  async execute(
+    order: Omit<OrderParams, 'sizeShares' | 'timeInForce'>,
+    totalShares: number,
+    policy: SlicingPolicy,
+    minOrderSize = 5
+  ): Promise<SlicedExecution> {
+    const result: SlicedExecution = { sharesRequested: totalShares, sharesFilled: 0, costUsd: 0, vwap: 0, slices: 0, orderIds: [], stopReason: 'complete' };
+
+    const initialBook = await this.adapter.getOrderBook(order.tokenId);
+    const arrival = order.side === 'BUY' ? initialBook.asks[0]?.price : initialBook.bids[0]?.price;
+    if (arrival === undefined) {
+      result.stopReason = 'no_liquidity';
+      return result;
+    }
+
+    // The slippage budget can only tighten the caller's limit, never widen it
+    const budget = policy.maxSlippageCents / 100;
+    let limit = order.side === 'BUY' ? Math.min(0.99, arrival + budget) : Math.max(0.001, arrival - budget);
+    if (order.priceLimit !== undefined) {
+      limit = order.side === 'BUY' ? Math.min(limit, order.priceLimit) : Math.max(limit, order.priceLimit);
+    }
+
+    this.logger.info(`[Slicer] ${order.side} ${totalShares} shares | Arrival: ${arrival} | Limit: ${limit.toFixed(3)} | Participation: ${(policy.maxParticipation * 100).toFixed(0)}% | Max slices: ${policy.maxSlices}`);
+
+    let book = initialBook;
+    while (result.slices < policy.maxSlices) {
+      const remaining = totalShares - result.sharesFilled;
+      if (remaining < minOrderSize) break;
+
+      if (result.slices > 0) {
+        await new Promise(r => setTimeout(r, policy.sliceIntervalMs));
+        book = await this.adapter.getOrderBook(order.tokenId);
+      }
+
+      const depth = visibleDepth(book, order.side, limit);
+      let sliceShares = Math.floor(Math.min(remaining, depth * policy.maxParticipation));
+      // Small depth: take the exchange minimum if the book can absorb it
+      if (sliceShares < minOrderSize && depth >= minOrderSize) sliceShares = minOrderSize;
+      if (sliceShares < minOrderSize) {
+        result.stopReason = 'depth_exhausted_within_slippage_budget';
+        break;
+      }
+
+      const child = await this.adapter.createOrder({
+        ...order,
+        sizeUsd: sliceShares * limit,
+        sizeShares: sliceShares,
+        priceLimit: limit,
+        timeInForce: 'FAK'
+      });
+      result.slices++;
+
+      if (!child.success) {
+        this.logger.warn(`[Slicer] Slice ${result.slices} failed: ${child.error}`);
+        result.stopReason = `slice_failed: ${child.error}`;
+        break;
+      }
+
+      if (child.orderId) result.orderIds.push(child.orderId);
+      result.sharesFilled += child.sharesFilled;
+      result.costUsd += child.sharesFilled * child.priceFilled;
+      this.logger.info(`[Slicer] Slice ${result.slices}: ${child.sharesFilled.toFixed(2)}/${sliceShares} @ ${child.priceFilled.toFixed(4)} | Total: ${result.sharesFilled.toFixed(2)}/${totalShares}`);
+    }
+
+    if (result.slices >= policy.maxSlices && totalShares - result.sharesFilled >= minOrderSize) {
+      result.stopReason = 'max_slices_reached';
+    }
+    result.vwap = result.sharesFilled > 0 ? result.costUsd / result.sharesFilled : 0;
+    return result;
+  }
+}
@@ -0,0 +1,44 @@
+import { describe, expect, it, vi } from 'vitest';
+
+vi.mock('../database/index.js', () => ({
+  CopyOrder: { find: vi.fn(() => ({ lean: async () => [] })), updateOne: vi.fn(async () => ({})) }
+}));
+
+import { OrderTrackerService, TrackedOrder } from './order-tracker.service.js';
+import { TradeSignal } from '../domain/trade.types.js';
+import { Logger } from '../utils/logger.util.js';
+
+const logger: Logger = { info: () => {}, warn: () => {}, error: vi.fn(), debug: () => {}, success: () => {} };
+const signal: TradeSignal = { trader: '0xwhale', marketId: 'm1', tokenId: 't1', outcome: 'YES', side: 'BUY', sizeUsd: 10, price: 0.5, timestamp: 0 };
+
+const order = (orderId: string): Omit<TrackedOrder, 'createdAt' | 'expiresAt'> => ({
+  orderId, marketId: 'm1', tokenId: 't1', outcome: 'YES', side: 'BUY', price: 0.5, sharesRequested: 20, sharesFilled: 0, status: 'LIVE', signal
+});
+
+describe('OrderTrackerService', () => {
+  it('still cancels expired orders when another order or its status lookup fails', async () => {
+    const adapter = {
+      getOrderStatus: vi.fn(async (id: string) => {
+        if (id === 'broken-status') throw new Error('timeout');
+        return { status: 'LIVE', sharesFilled: 0, price: 0.5 };
+      }),
+      cancelOrder: vi.fn(async (id: string) => {
+        if (id === 'broken-cancel') throw new Error('rejected');
+        return true;
+      })
+    };
+    const onClosed = vi.fn(async () => {});
+    const tracker = new OrderTrackerService({ userId: 'u1', adapter: adapter as any, logger, ttlMs: 0, onFill: async () => {}, onClosed });
+    await tracker.track(order('broken-cancel'));
+    await tracker.track(order('broken-status'));
+    await tracker.track(order('healthy'));
+
+    await tracker.poll();
+
+    expect(adapter.cancelOrder).toHaveBeenCalledWith('broken-status');
+    expect(adapter.cancelOrder).toHaveBeenCalledWith('healthy');
+    expect(onClosed).toHaveBeenCalledTimes(2);
+    expect(tracker.getOpenOrders().map(o => o.orderId)).toEqual(['broken-cancel']);
+    expect(logger.error).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,218 @@
+import { IExchangeAdapter } from '../adapters/interfaces.js';
+import { CopyOrder } from '../database/index.js';
+import { TradeSignal } from '../domain/trade.types.js';
+import { Logger } from '../utils/logger.util.js';
+
+export type TrackedOrderStatus = 'LIVE' | 'PARTIAL' | 'FILLED' | 'CANCELLED' | 'EXPIRED';
+
+export interface TrackedOrder {
+  orderId: string;
+  marketId: string;
+  tokenId: string;
+  outcome: string;
+  side: 'BUY' | 'SELL';
+  price: number;
+  sharesRequested: number;
+  sharesFilled: number;
+  status: TrackedOrderStatus;
+  signal: TradeSignal;       // The whale signal this order copies
+  aiReasoning?: string;
+  aiRawResponses?: string[];
+  riskScore?: number;
+  createdAt: number;
+  expiresAt: number;
+}
+
+export type OrderTrackerDeps = {
+  userId: string;
+  adapter: IExchangeAdapter;
+  logger: Logger;
+  ttlMs: number;
+  pollMs?: number;
+  // Called once per newly matched chunk of shares
+  onFill: (order: TrackedOrder, shares: number, price: number) => Promise<void>;
+  // Called when an order leaves the book without filling completely
+  onClosed: (order: TrackedOrder) => Promise<void>;
+};
+
+const DEFAULT_POLL_MS = 10000;
+
+/**
+ * Follows resting GTC copy orders until they fill, are cancelled, or hit their TTL.
+ * Positions are only updated from the fills reported here, never from the placement.
+ */
+export class OrderTrackerService {
+  private orders: Map<string, TrackedOrder> = new Map();
+  private timer?: NodeJS.Timeout;
+  private polling = false;
+
+  constructor(private readonly deps: OrderTrackerDeps) {}
+
+  async start(): Promise<void> {
+    try {
+      const docs = await CopyOrder.find({ userId: this.deps.userId, status: { $in: ['LIVE', 'PARTIAL'] } }).lean();
+      for (const doc of docs) {
+        this.orders.set(doc.orderId, {
+          orderId: doc.orderId,
+          marketId: doc.marketId,
+          tokenId: doc.tokenId,
+          outcome: doc.outcome,
+          side: doc.side,
+          price: doc.price,
+          sharesRequested: doc.sharesRequested,
+          sharesFilled: doc.sharesFilled,
+          status: doc.status,
+          signal: doc.signal,
+          aiReasoning: doc.aiReasoning,
+          aiRawResponses: doc.aiRawResponses,
+          riskScore: doc.riskScore,
+          createdAt: new Date(doc.createdAt).getTime(),
+          expiresAt: new Date(doc.expiresAt).getTime()
+        });
+      }
+      if (docs.length > 0) this.deps.logger.info(`[Orders] Resumed tracking ${docs.length} resting orders.`);
+    } catch (e: any) {
+      this.deps.logger.warn(`[Orders] Failed to load resting orders: ${e.message}`);
+    }
+
+    this.stop();
+    this.timer = setInterval(() => {
+      this.poll().catch(e => this.deps.logger.error(`[Orders] Poll failed: ${e.message}`, e));
+    }, this.deps.pollMs ?? DEFAULT_POLL_MS);
+  }
+
+  stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = undefined;
+    }
+  }
+
+  async track(order: Omit<TrackedOrder, 'createdAt' | 'expiresAt'>): Promise<TrackedOrder> {
+    const now = Date.now();
+    const tracked: TrackedOrder = { ...order, createdAt: now, expiresAt: now + this.deps.ttlMs };
+    this.orders.set(tracked.orderId, tracked);
+    await this.persist(tracked);
+    this.deps.logger.info(`[Orders] Tracking ${tracked.side} ${tracked.orderId.slice(0, 10)}... ${tracked.sharesFilled.toFixed(2)}/${tracked.sharesRequested} @ ${tracked.price} (TTL ${Math.round(this.deps.ttlMs / 1000)}s)`);
+    return tracked;
+  }
+
+  // Applies to orders tracked from now on
+  setTtl(ttlMs: number) {
+    this.deps.ttlMs = ttlMs;
+  }
+
+  getOpenOrders(): TrackedOrder[] {
+    return Array.from(this.orders.values());
+  }
+
+  get(orderId: string): TrackedOrder | undefined {
+    return this.orders.get(orderId);
+  }
+
+  async poll(): Promise<void> {
+    if (this.polling) return;
+    this.polling = true;
+    try {
+      for (const order of Array.from(this.orders.values())) {
+        // One failing order must not hold up the TTL cancels of the rest
+        try {
+          await this.refresh(order);
+        } catch (e: any) {
+          this.deps.logger.error(`[Orders] Refresh of ${order.orderId.slice(0, 10)}... failed: ${e.message}`, e);
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  private async refresh(order: TrackedOrder): Promise<void> {
+    const { adapter, logger } = this.deps;
+    if (!adapter.getOrderStatus) return;
+
+    // Without a status the order can still expire below
+    const state = await this.status(order);
+    if (state) await this.applyFill(order, state.sharesFilled, state.price || order.price);
+
+    if (state?.status === 'FILLED' || order.sharesFilled >= order.sharesRequested) {
+      await this.finish(order, 'FILLED');
+      return;
+    }
+
+    if (state?.status === 'CANCELLED') {
+      logger.warn(`[Orders] ${order.orderId.slice(0, 10)}... was cancelled on the exchange (${order.sharesFilled.toFixed(2)}/${order.sharesRequested} filled).`);
+      await this.finish(order, 'CANCELLED');
+      return;
+    }
+
+    if (Date.now() >= order.expiresAt) {
+      const cancelled = await adapter.cancelOrder(order.orderId);
+      if (!cancelled) {
+        logger.warn(`[Orders] TTL cancel for ${order.orderId.slice(0, 10)}... failed. Retrying next poll.`);
+        return;
+      }
+      // Anything that matched between the last poll and the cancel still counts
+      const final = await this.status(order);
+      if (final) await this.applyFill(order, final.sharesFilled, final.price || order.price);
+      logger.info(`[Orders] ${order.orderId.slice(0, 10)}... expired after ${Math.round(this.deps.ttlMs / 1000)}s (${order.sharesFilled.toFixed(2)}/${order.sharesRequested} filled). Cancelled.`);
+      await this.finish(order, order.sharesFilled >= order.sharesRequested ? 'FILLED' : 'EXPIRED');
+      return;
+    }
+
+    await this.persist(order);
+  }
+
+  private async status(order: TrackedOrder) {
+    return this.deps.adapter.getOrderStatus?.(order.orderId).catch((e: any) => {
+      this.deps.logger.warn(`[Orders] Status check for ${order.orderId.slice(0, 10)}... failed: ${e.message}`);
+      return undefined;
+    });
+  }
+
+  private async applyFill(order: TrackedOrder, totalFilled: number, price: number) {
+    const delta = totalFilled - order.sharesFilled;
+    if (delta <= 0.0001) return;
+
+    order.sharesFilled = totalFilled;
+    order.status = totalFilled >= order.sharesRequested ? 'FILLED' : 'PARTIAL';
+    try {
+      await this.deps.onFill(order, delta, price);
+    } catch (e: any) {
+      this.deps.logger.error(`[Orders] Fill handler failed for ${order.orderId.slice(0, 10)}...: ${e.message}`, e);
+    }
+  }
+
+  private async finish(order: TrackedOrder, status: TrackedOrderStatus) {
+    order.status = status;
+    this.orders.delete(order.orderId);
+    await this.persist(order);
+    if (status !== 'FILLED') {
+      try {
+        await this.deps.onClosed(order);
+      } catch (e: any) {
+        this.deps.logger.error(`[Orders] Close handler failed for ${order.orderId.slice(0, 10)}...: ${e.message}`, e);
+      }
+    }
+  }
+
+  private async persist(order: TrackedOrder) {
+    try {
+      await CopyOrder.updateOne(
+        { orderId: order.orderId },
+        {
+          $set: {
+            ...order,
+            userId: this.deps.userId,
+            createdAt: new Date(order.createdAt),
+            expiresAt: new Date(order.expiresAt),
+            updatedAt: new Date()
+          }
+        },
+        { upsert: true }
+      );
+    } catch (e: any) {
+      this.deps.logger.warn(`[Orders] Failed to persist ${order.orderId.slice(0, 10)}...: ${e.message}`);
+    }
+  }
+}
@@ -0,0 +1,49 @@
+import { describe, expect, it, vi } from 'vitest';
+import { RedemptionSweeperService } from './redemption-sweeper.service.js';
+import { ActivePosition } from '../domain/trade.types.js';
+import { Logger } from '../utils/logger.util.js';
+
+const logger: Logger = { info: () => {}, warn: () => {}, error: vi.fn(), debug: () => {}, success: () => {} };
+
+function position(tokenId: string): ActivePosition {
+  return { tradeId: tokenId, marketId: `m-${tokenId}`, tokenId, outcome: 'YES', entryPrice: 0.5, shares: 10, sizeUsd: 5, timestamp: 0 };
+}
+
+describe('RedemptionSweeperService', () => {
+  it('keeps sweeping after one position throws', async () => {
+    const settled: string[] = [];
+    const sweeper = new RedemptionSweeperService({
+      adapter: { redeemPosition: async () => ({ success: true, amountUsd: 10 }) } as any,
+      logger,
+      getPositions: () => [position('a'), position('b')],
+      refreshMarketState: async p => {
+        if (p.tokenId === 'a') throw new Error('gamma down');
+        p.marketState = 'RESOLVED';
+      },
+      checkResolution: async () => ({ resolved: true, winningOutcome: 'YES', userWon: true }),
+      onSettled: async p => { settled.push(p.tokenId); }
+    });
+
+    await sweeper.sweep();
+
+    expect(settled).toEqual(['b']);
+    expect(logger.error).toHaveBeenCalledOnce();
+  });
+
+  it('sweeps as soon as it starts', async () => {
+    const getPositions = vi.fn(() => []);
+    const sweeper = new RedemptionSweeperService({
+      adapter: {} as any,
+      logger,
+      getPositions,
+      refreshMarketState: async () => {},
+      checkResolution: async () => ({ resolved: false }),
+      onSettled: async () => {}
+    });
+
+    sweeper.start();
+    sweeper.stop();
+
+    expect(getPositions).toHaveBeenCalledOnce();
+  });
+});
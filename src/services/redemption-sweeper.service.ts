@@ -0,0 +1,115 @@
+import { IExchangeAdapter } from '../adapters/interfaces.js';
+import { ActivePosition } from '../domain/trade.types.js';
+import { Logger } from '../utils/logger.util.js';
+
+export type MarketResolution = {
+  resolved: boolean;
+  winningOutcome?: string;
+  userWon?: boolean;
+};
+
+export type RedemptionOutcome = {
+  won: boolean;
+  amountUsd: number;
+  txHash?: string;
+};
+
+export type RedemptionSweeperDeps = {
+  adapter: IExchangeAdapter;
+  logger: Logger;
+  getPositions: () => ActivePosition[];
+  refreshMarketState: (position: ActivePosition) => Promise<void>;
+  checkResolution: (position: ActivePosition) => Promise<MarketResolution>;
+  onSettled: (position: ActivePosition, outcome: RedemptionOutcome) => Promise<void>;
+  intervalMs?: number;
+};
+
+const DEFAULT_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+const BASE_RETRY_MS = 60 * 1000;
+const MAX_RETRY_MS = 60 * 60 * 1000;
+
+/**
+ * Background job that settles positions in resolved markets.
+ * Winners are redeemed on-chain (with exponential backoff on relayer failures),
+ * losers are closed as worthless.
+ */
+export class RedemptionSweeperService {
+  private timer?: NodeJS.Timeout;
+  private sweeping = false;
+  // tokenId -> retry state for failed redemptions
+  private retries: Map<string, { attempts: number; nextAttemptAt: number }> = new Map();
+
+  constructor(private readonly deps: RedemptionSweeperDeps) {}
+
+  start(): void {
+    this.stop();
+    const run = () => this.sweep().catch(e => this.deps.logger.error(`[Redeem Sweeper] Sweep failed: ${e.message}`, e));
+    // Positions that resolved while the bot was down are settled right away, not one interval later
+    run();
+    this.timer = setInterval(run, this.deps.intervalMs ?? DEFAULT_SWEEP_INTERVAL_MS);
+  }
+
+  stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = undefined;
+    }
+  }
+
+  async sweep(): Promise<void> {
+    if (this.sweeping) return;
+    this.sweeping = true;
+
+    try {
+      const now = Date.now();
+      for (const position of [...this.deps.getPositions()]) {
+        const retry = this.retries.get(position.tokenId);
+        if (retry && now < retry.nextAttemptAt) continue;
+
+        // One bad market must not hold up the rest of the pass
+        try {
+          await this.deps.refreshMarketState(position);
+          if (position.marketState !== 'RESOLVED' && position.marketState !== 'CLOSED') continue;
+
+          await this.settle(position);
+        } catch (e: any) {
+          this.deps.logger.error(`[Redeem Sweeper] Failed to settle ${position.outcome} on "${position.question || position.marketId}": ${e.message}`, e);
+        }
+      }
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  private async settle(position: ActivePosition): Promise<void> {
+    const { adapter, logger } = this.deps;
+    const label = position.question || position.marketId;
+
+    const resolution = await this.deps.checkResolution(position);
+    // Closed but not yet settled by the oracle: try again on the next sweep
+    if (!resolution.resolved || !resolution.winningOutcome) return;
+
+    if (!resolution.userWon) {
+      logger.warn(`[Redeem Sweeper] ${position.outcome} on "${label}" lost (winner: ${resolution.winningOutcome}). Closing as worthless.`);
+      this.retries.delete(position.tokenId);
+      await this.deps.onSettled(position, { won: false, amountUsd: 0 });
+      return;
+    }
+
+    logger.info(`[Redeem Sweeper] ${position.outcome} on "${label}" won. Redeeming ${position.shares.toFixed(2)} shares...`);
+    const result = await adapter.redeemPosition(position.marketId, position.tokenId);
+
+    if (!result.success) {
+      const attempts = (this.retries.get(position.tokenId)?.attempts || 0) + 1;
+      const delay = Math.min(MAX_RETRY_MS, BASE_RETRY_MS * 2 ** (attempts - 1));
+      this.retries.set(position.tokenId, { attempts, nextAttemptAt: Date.now() + delay });
+      logger.warn(`[Redeem Sweeper] Redemption failed (attempt ${attempts}): ${result.error}. Retrying in ${Math.round(delay / 60000)}m.`);
+      return;
+    }
+
+    this.retries.delete(position.tokenId);
+    // The balance delta can read 0 if the relayer is slow to land; winning shares pay $1 each
+    const amountUsd = result.amountUsd && result.amountUsd > 0 ? result.amountUsd : position.shares;
+    await this.deps.onSettled(position, { won: true, amountUsd, txHash: result.txHash });
+  }
+}
@@ -0,0 +1,107 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+const gamma = vi.hoisted(() => ({ getGammaMarket: vi.fn(async (_: string): Promise<any> => undefined) }));
+vi.mock('./market-metadata.service.js', () => ({ marketMetadata: gamma }));
+
+import { RiskLimits, RiskManagerService, RiskOrderContext, validateRiskLimits } from './risk-manager.service.js';
+import { ActivePosition } from '../domain/trade.types.js';
+import { Logger } from '../utils/logger.util.js';
+
+const logger: Logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {}, success: () => {} };
+
+const position = (overrides: Partial<ActivePosition>): ActivePosition => ({
+  tradeId: 't', marketId: 'm1', tokenId: 'yes1', outcome: 'YES', entryPrice: 0.5, shares: 100, sizeUsd: 50, timestamp: 0, ...overrides
+});
+
+const order = (overrides: Partial<RiskOrderContext> = {}): RiskOrderContext => ({
+  marketId: 'm2', tokenId: 'yes2', trader: '0xWhale', sizeUsd: 20, cashUsd: 1000, pendingUsd: 0, ...overrides
+});
+
+function manager(limits: RiskLimits, positions: ActivePosition[] = []) {
+  return new RiskManagerService(limits, () => positions, logger);
+}
+
+describe('RiskManagerService.checkOrder', () => {
+  afterEach(() => { gamma.getGammaMarket.mockReset(); });
+
+  it('allows everything when no limit is set', async () => {
+    expect(await manager({}, [position({})]).checkOrder(order())).toEqual({ allowed: true });
+  });
+
+  it('counts positions at current price against the market and target limits', async () => {
+    const held = [position({ currentPrice: 0.8, trader: '0xwhale' })];
+
+    expect((await manager({ maxMarketExposureUsd: 90 }, held).checkOrder(order({ marketId: 'm1' }))).limit).toBe('MARKET_EXPOSURE');
+    expect((await manager({ maxMarketExposureUsd: 100 }, held).checkOrder(order({ marketId: 'm1' }))).allowed).toBe(true);
+    expect((await manager({ maxTargetExposureUsd: 90 }, held).checkOrder(order())).limit).toBe('TARGET_EXPOSURE');
+  });
+
+  it('caps new positions but not adds to an existing one', async () => {
+    const risk = manager({ maxOpenPositions: 1 }, [position({})]);
+
+    expect((await risk.checkOrder(order())).limit).toBe('OPEN_POSITIONS');
+    expect((await risk.checkOrder(order({ marketId: 'm1', tokenId: 'yes1' }))).allowed).toBe(true);
+  });
+
+  it('includes pending spend in the deployed share of equity', async () => {
+    const risk = manager({ maxDeployedPercent: 10 }, [position({ shares: 100, entryPrice: 0.5 })]);
+
+    expect((await risk.checkOrder(order({ cashUsd: 950, sizeUsd: 40 }))).allowed).toBe(true);
+    expect((await risk.checkOrder(order({ cashUsd: 950, sizeUsd: 40, pendingUsd: 20 }))).limit).toBe('DEPLOYED_PERCENT');
+  });
+
+  it('sums the event across its markets, resolving the slug from gamma', async () => {
+    gamma.getGammaMarket.mockResolvedValue({ eventSlug: 'election' });
+    const risk = manager({ maxEventExposureUsd: 60 }, [position({ eventSlug: 'election' })]);
+
+    expect((await risk.checkOrder(order({ sizeUsd: 5 }))).allowed).toBe(true);
+    expect((await risk.checkOrder(order({ sizeUsd: 20 }))).limit).toBe('EVENT_EXPOSURE');
+  });
+
+  it('fails closed when the event of the market cannot be resolved', async () => {
+    gamma.getGammaMarket.mockRejectedValue(new Error('gamma down'));
+    const result = await manager({ maxEventExposureUsd: 1000 }).checkOrder(order());
+
+    expect(result).toMatchObject({ allowed: false, limit: 'EVENT_EXPOSURE' });
+  });
+});
+
+describe('RiskManagerService daily loss pause', () => {
+  afterEach(() => { vi.useRealTimers(); });
+
+  it('pauses entries once realized losses reach the limit and reports it once', async () => {
+    const risk = manager({ dailyLossLimitUsd: 100 });
+
+    expect(risk.recordRealizedPnl(-60)).toBe(false);
+    expect(risk.recordRealizedPnl(-40)).toBe(true);
+    expect(risk.recordRealizedPnl(-10)).toBe(false);
+    expect(risk.isPaused()).toBe(true);
+    expect((await risk.checkOrder(order())).limit).toBe('DAILY_LOSS');
+  });
+
+  it('resumes from a seeded loss and lifts the pause on the next UTC day', () => {
+    vi.useFakeTimers({ now: new Date('2026-10-19T23:59:00Z') });
+    const risk = manager({ dailyLossLimitUsd: 100 });
+    risk.seedDailyPnl(-150);
+    expect(risk.isPaused()).toBe(true);
+
+    vi.setSystemTime(new Date('2026-10-20T00:01:00Z'));
+    expect(risk.isPaused()).toBe(false);
+    expect(risk.getStatus().realizedPnlToday).toBe(0);
+  });
+
+  it('re-evaluates the pause when the limit changes', () => {
+    const risk = manager({ dailyLossLimitUsd: 100 });
+    risk.recordRealizedPnl(-80);
+    risk.updateLimits({ dailyLossLimitUsd: 50 });
+    expect(risk.isPaused()).toBe(true);
+  });
+});
+
+describe('validateRiskLimits', () => {
+  it('rejects non-positive limits and deployed shares above 100%', () => {
+    expect(validateRiskLimits({ maxOpenPositions: 3.7 })).toEqual({ limits: { maxOpenPositions: 3 } });
+    expect(validateRiskLimits({ dailyLossLimitUsd: -5 }).error).toMatch(/dailyLossLimitUsd/);
+    expect(validateRiskLimits({ maxDeployedPercent: 150 }).error).toMatch(/maxDeployedPercent/);
+  });
+});
@@ -0,0 +1,201 @@
+import { ActivePosition } from '../domain/trade.types.js';
+import { Logger } from '../utils/logger.util.js';
+import { marketMetadata } from './market-metadata.service.js';
+
+/**
+ * Portfolio-level limits. Every field is optional; an unset limit is not enforced.
+ */
+export interface RiskLimits {
+    maxMarketExposureUsd?: number;
+    maxEventExposureUsd?: number;
+    maxTargetExposureUsd?: number;  // Per followed wallet
+    maxOpenPositions?: number;
+    maxDeployedPercent?: number;    // Share of equity (cash + positions) in open positions, 0-100
+    dailyLossLimitUsd?: number;     // Realized loss (UTC day) that pauses new entries
+}
+
+export type RiskLimitKind = 'MARKET_EXPOSURE' | 'EVENT_EXPOSURE' | 'TARGET_EXPOSURE' | 'OPEN_POSITIONS' | 'DEPLOYED_PERCENT' | 'DAILY_LOSS';
+
+export interface RiskCheckResult {
+    allowed: boolean;
+    limit?: RiskLimitKind;
+    reason?: string;
+}
+
+export interface RiskOrderContext {
+    marketId: string;
+    tokenId: string;
+    trader: string;
+    sizeUsd: number;
+    cashUsd: number;     // Chain balance before this order
+    pendingUsd: number;  // Spend already committed to orders not yet reflected in positions
+}
+
+const LIMIT_KEYS: (keyof RiskLimits)[] = ['maxMarketExposureUsd', 'maxEventExposureUsd', 'maxTargetExposureUsd', 'maxOpenPositions', 'maxDeployedPercent', 'dailyLossLimitUsd'];
+
+/**
+ * Validates risk limits coming from the API. Returns an error message instead of throwing
+ * so routes can answer with a 400.
+ */
+export function validateRiskLimits(raw: any): { limits?: RiskLimits; error?: string } {
+    if (!raw) return { limits: {} };
+    if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'riskLimits must be an object' };
+
+    const limits: RiskLimits = {};
+    for (const key of LIMIT_KEYS) {
+        if (raw[key] === undefined || raw[key] === null || raw[key] === '') continue;
+        const value = Number(raw[key]);
+        if (!Number.isFinite(value) || value <= 0) return { error: `${key} must be a positive number` };
+        if (key === 'maxDeployedPercent' && value > 100) return { error: 'maxDeployedPercent must be <= 100' };
+        limits[key] = key === 'maxOpenPositions' ? Math.floor(value) : value;
+    }
+    return { limits };
+}
+
+/**
+ * Consulted before every BUY order. Exposure is measured on the bot's tracked
+ * positions at current price (entry price until the first sync).
+ */
+export class RiskManagerService {
+    private dayKey = RiskManagerService.utcDay();
+    private realizedPnlToday = 0;
+    private paused = false;
+
+    constructor(
+        private limits: RiskLimits,
+        private getPositions: () => ActivePosition[],
+        private logger: Logger
+    ) {}
+
+    updateLimits(limits: RiskLimits) {
+        this.limits = limits;
+        this.refreshPause();
+    }
+
+    getLimits(): RiskLimits {
+        return this.limits;
+    }
+
+    isPaused(): boolean {
+        this.rollDay();
+        return this.paused;
+    }
+
+    getStatus() {
+        this.rollDay();
+        return {
+            limits: this.limits,
+            realizedPnlToday: this.realizedPnlToday,
+            paused: this.paused
+        };
+    }
+
+    /**
+     * Seeds today's realized PnL (e.g. from stored trades after a restart).
+     */
+    seedDailyPnl(pnl: number) {
+        this.rollDay();
+        this.realizedPnlToday = pnl;
+        this.refreshPause();
+    }
+
+    /**
+     * Returns true when this realized result tripped the daily loss limit.
+     */
+    recordRealizedPnl(pnl: number): boolean {
+        this.rollDay();
+        const wasPaused = this.paused;
+        this.realizedPnlToday += pnl;
+        this.refreshPause();
+        return !wasPaused && this.paused;
+    }
+
+    async checkOrder(ctx: RiskOrderContext): Promise<RiskCheckResult> {
+        const { limits } = this;
+
+        if (this.isPaused()) {
+            return this.breach('DAILY_LOSS', `daily loss $${(-this.realizedPnlToday).toFixed(2)} reached limit $${limits.dailyLossLimitUsd}. Entries paused until 00:00 UTC`);
+        }
+
+        const positions = this.getPositions();
+        const valueOf = (p: ActivePosition) => (p.shares || 0) * (p.currentPrice ?? p.entryPrice ?? 0);
+
+        const isNewPosition = !positions.some(p => p.tokenId === ctx.tokenId);
+        if (limits.maxOpenPositions && isNewPosition && positions.length >= limits.maxOpenPositions) {
+            return this.breach('OPEN_POSITIONS', `${positions.length} open positions (max ${limits.maxOpenPositions})`);
+        }
+
+        if (limits.maxMarketExposureUsd) {
+            const exposure = positions.filter(p => p.marketId === ctx.marketId).reduce((sum, p) => sum + valueOf(p), 0);
+            if (exposure + ctx.sizeUsd > limits.maxMarketExposureUsd) {
+                return this.breach('MARKET_EXPOSURE', `market exposure $${exposure.toFixed(2)} + $${ctx.sizeUsd.toFixed(2)} > $${limits.maxMarketExposureUsd}`);
+            }
+        }
+
+        if (limits.maxEventExposureUsd) {
+            // Like the market filters, an unknown event fails closed: the limit cannot be checked
+            const eventSlug = await this.resolveEventSlug(ctx.marketId, positions);
+            if (!eventSlug) {
+                return this.breach('EVENT_EXPOSURE', `event of market ${ctx.marketId} unknown, cannot check the $${limits.maxEventExposureUsd} event limit`);
+            }
+            const exposure = positions.filter(p => p.eventSlug === eventSlug).reduce((sum, p) => sum + valueOf(p), 0);
+            if (exposure + ctx.sizeUsd > limits.maxEventExposureUsd) {
+                return this.breach('EVENT_EXPOSURE', `event "${eventSlug}" exposure $${exposure.toFixed(2)} + $${ctx.sizeUsd.toFixed(2)} > $${limits.maxEventExposureUsd}`);
+            }
+        }
+
+        if (limits.maxTargetExposureUsd) {
+            const trader = ctx.trader.toLowerCase();
+            const exposure = positions.filter(p => p.trader?.toLowerCase() === trader).reduce((sum, p) => sum + valueOf(p), 0);
+            if (exposure + ctx.sizeUsd > limits.maxTargetExposureUsd) {
+                return this.breach('TARGET_EXPOSURE', `exposure to ${trader.slice(0, 6)}... $${exposure.toFixed(2)} + $${ctx.sizeUsd.toFixed(2)} > $${limits.maxTargetExposureUsd}`);
+            }
+        }
+
+        if (limits.maxDeployedPercent) {
+            const deployed = positions.reduce((sum, p) => sum + valueOf(p), 0) + ctx.pendingUsd;
+            const equity = ctx.cashUsd + positions.reduce((sum, p) => sum + valueOf(p), 0);
+            const after = equity > 0 ? ((deployed + ctx.sizeUsd) / equity) * 100 : 100;
+            if (after > limits.maxDeployedPercent) {
+                return this.breach('DEPLOYED_PERCENT', `deployed ${after.toFixed(1)}% of equity after order (max ${limits.maxDeployedPercent}%)`);
+            }
+        }
+
+        return { allowed: true };
+    }
+
+    private breach(limit: RiskLimitKind, reason: string): RiskCheckResult {
+        this.logger.warn(`[Risk] ${limit}: ${reason} -> SKIPPING`);
+        return { allowed: false, limit, reason };
+    }
+
+    private refreshPause() {
+        const limit = this.limits.dailyLossLimitUsd;
+        this.paused = !!limit && this.realizedPnlToday <= -limit;
+    }
+
+    private rollDay() {
+        const today = RiskManagerService.utcDay();
+        if (today === this.dayKey) return;
+        this.dayKey = today;
+        this.realizedPnlToday = 0;
+        if (this.paused) this.logger.info(`[Risk] New trading day. Daily loss pause lifted.`);
+        this.paused = false;
+    }
+
+    private async resolveEventSlug(marketId: string, positions: ActivePosition[]): Promise<string | undefined> {
+        const known = positions.find(p => p.marketId === marketId && p.eventSlug)?.eventSlug;
+        if (known) return known;
+
+        try {
+            return (await marketMetadata.getGammaMarket(marketId))?.eventSlug;
+        } catch (e: any) {
+            this.logger.warn(`[Risk] Event lookup for ${marketId} failed: ${e.message}`);
+            return undefined;
+        }
+    }
+
+    private static utcDay(): string {
+        return new Date().toISOString().slice(0, 10);
+    }
+}
@@ -0,0 +1,68 @@
+import type { RiskRules } from '../config/risk-agent.js';
+import { LiquidityHealth } from '../adapters/interfaces.js';
+import type { TradeContext } from './trade-context.service.js';
+import type { TradeSignal } from '../domain/trade.types.js';
+import type { AnalysisResult, IRiskAgent, RiskProfile } from './ai-agent.service.js';
+
+const PROFILE_RULES: Record<RiskProfile, Required<Omit<RiskRules, 'maxEventExposureUsd' | 'requireListedWhale'>>> = {
+  conservative: { minPrice: 0.20, maxPrice: 0.80, maxSpreadCents: 3, minDepthUsd: 200, minWhaleWinRate: 55 },
+  balanced: { minPrice: 0.05, maxPrice: 0.95, maxSpreadCents: 5, minDepthUsd: 50, minWhaleWinRate: 0 },
+  degen: { minPrice: 0.01, maxPrice: 0.99, maxSpreadCents: 15, minDepthUsd: 0, minWhaleWinRate: 0 }
+};
+
+/**
+ * Deterministic risk agent: fixed thresholds over the trade context, no network calls.
+ * Suitable for air-gapped deployments and for running the engine against a stub gate.
+ * Exits are always approved; selling reduces risk.
+ */
+export class RulesRiskAgent implements IRiskAgent {
+  readonly name = 'rules';
+
+  constructor(private readonly rules: RiskRules = {}) {}
+
+  usesContext(signal: Pick<TradeSignal, 'side'>): boolean {
+    return signal.side === 'BUY';
+  }
+
+  async analyzeTrade(context: TradeContext, riskProfile: RiskProfile = 'balanced'): Promise<AnalysisResult> {
+    const { signal, book, whale, exposure } = context;
+    if (signal.side === 'SELL') {
+      return { shouldCopy: true, reasoning: 'Rules: exits are always copied.', riskScore: 1 };
+    }
+
+    const rules = { ...PROFILE_RULES[riskProfile], ...this.rules };
+    const violations: string[] = [];
+
+    if (signal.price < rules.minPrice || signal.price > rules.maxPrice) {
+      violations.push(`price ${signal.price} outside ${rules.minPrice}-${rules.maxPrice}`);
+    }
+    if (book) {
+      const spreadCents = book.spread * 100;
+      if (spreadCents > rules.maxSpreadCents) violations.push(`spread ${spreadCents.toFixed(1)}¢ > ${rules.maxSpreadCents}¢`);
+      if (book.availableDepthUsd < rules.minDepthUsd) violations.push(`depth $${book.availableDepthUsd.toFixed(0)} < $${rules.minDepthUsd}`);
+      if (book.health === LiquidityHealth.CRITICAL) violations.push('order book is critical');
+    }
+    if (rules.requireListedWhale && !whale.listed) {
+      violations.push('whale is not in the registry');
+    }
+    if (whale.listed && whale.winRate !== undefined && whale.winRate < rules.minWhaleWinRate) {
+      violations.push(`whale win rate ${whale.winRate}% < ${rules.minWhaleWinRate}%`);
+    }
+    if (rules.maxEventExposureUsd !== undefined && exposure && exposure.exposureUsd > rules.maxEventExposureUsd) {
+      violations.push(`event exposure $${exposure.exposureUsd.toFixed(2)} > $${rules.maxEventExposureUsd}`);
+    }
+
+    if (violations.length > 0) {
+      return { shouldCopy: false, reasoning: `Rules: ${violations.join('; ')}.`, riskScore: Math.min(10, 7 + violations.length) };
+    }
+
+    let riskScore = 3;
+    if (book?.health === LiquidityHealth.LOW) riskScore += 2;
+    if (book?.health === LiquidityHealth.MEDIUM) riskScore += 1;
+    if (signal.price < 0.15 || signal.price > 0.85) riskScore += 1;
+    if (whale.listed && (whale.winRate || 0) >= 60) riskScore -= 1;
+    const notes = [book ? `book ${book.health}` : 'book unavailable', whale.listed ? `whale win rate ${whale.winRate ?? 'n/a'}%` : 'unlisted whale'];
+
+    return { shouldCopy: true, reasoning: `Rules: passed (${notes.join(', ')}).`, riskScore: Math.max(1, Math.min(10, riskScore)) };
+  }
+}
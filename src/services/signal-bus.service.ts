@@ -0,0 +1,136 @@
+import { RuntimeEnv } from '../config/env.js';
+import { Logger } from '../utils/logger.util.js';
+import { TradeSignal } from '../domain/trade.types.js';
+import { TradeMonitorService } from './trade-monitor.service.js';
+
+export type SignalHandler = (signal: TradeSignal) => Promise<void>;
+
+interface Subscriber {
+    wallets: Set<string>;
+    handler: SignalHandler;
+}
+
+/**
+ * Server-wide signal bus.
+ * Runs a single TradeMonitorService for the union of every engine's target wallets
+ * and fans each TradeSignal out to the engines following that wallet.
+ */
+export class SignalBusService {
+    private monitor?: TradeMonitorService;
+    private subscribers: Map<string, Subscriber> = new Map();
+    // wallet -> subscriber ids. A wallet is only monitored while this set is non-empty.
+    private walletSubscribers: Map<string, Set<string>> = new Map();
+
+    constructor(
+        private env: RuntimeEnv,
+        private logger: Logger
+    ) {}
+
+    async subscribe(subscriberId: string, wallets: string[], handler: SignalHandler): Promise<void> {
+        this.unsubscribe(subscriberId);
+
+        const normalized = new Set(wallets.map(w => w.toLowerCase()));
+        this.subscribers.set(subscriberId, { wallets: normalized, handler });
+        normalized.forEach(w => this.addWalletSubscriber(w, subscriberId));
+
+        this.logger.info(`[SignalBus] ${subscriberId.slice(0, 8)}... subscribed to ${normalized.size} wallets (${this.walletSubscribers.size} watched server-wide).`);
+        await this.syncMonitor();
+    }
+
+    async updateSubscription(subscriberId: string, wallets: string[]): Promise<void> {
+        const sub = this.subscribers.get(subscriberId);
+        if (!sub) return;
+
+        const next = new Set(wallets.map(w => w.toLowerCase()));
+        sub.wallets.forEach(w => { if (!next.has(w)) this.removeWalletSubscriber(w, subscriberId); });
+        next.forEach(w => { if (!sub.wallets.has(w)) this.addWalletSubscriber(w, subscriberId); });
+        sub.wallets = next;
+
+        await this.syncMonitor();
+    }
+
+    unsubscribe(subscriberId: string): void {
+        const sub = this.subscribers.get(subscriberId);
+        if (!sub) return;
+
+        sub.wallets.forEach(w => this.removeWalletSubscriber(w, subscriberId));
+        this.subscribers.delete(subscriberId);
+
+        this.syncMonitor().catch(err => this.logger.error(`[SignalBus] Monitor sync failed`, err));
+    }
+
+    /**
+     * Delivers the aggregates still buffered for these wallets to every engine following them.
+     */
+    async flushPending(wallets: string[]): Promise<void> {
+        await this.monitor?.flushPending(wallets);
+    }
+
+    getSubscriberCount(wallet: string): number {
+        return this.walletSubscribers.get(wallet.toLowerCase())?.size || 0;
+    }
+
+    getWatchedWallets(): { wallet: string; subscribers: number }[] {
+        return Array.from(this.walletSubscribers.entries())
+            .map(([wallet, ids]) => ({ wallet, subscribers: ids.size }))
+            .sort((a, b) => b.subscribers - a.subscribers);
+    }
+
+    private addWalletSubscriber(wallet: string, subscriberId: string) {
+        const ids = this.walletSubscribers.get(wallet) || new Set<string>();
+        ids.add(subscriberId);
+        this.walletSubscribers.set(wallet, ids);
+    }
+
+    private removeWalletSubscriber(wallet: string, subscriberId: string) {
+        const ids = this.walletSubscribers.get(wallet);
+        if (!ids) return;
+        ids.delete(subscriberId);
+        if (ids.size === 0) this.walletSubscribers.delete(wallet);
+    }
+
+    /**
+     * Pushes the deduplicated wallet list to the shared monitor,
+     * starting it on first use and stopping it once nobody is listening.
+     */
+    private async syncMonitor() {
+        const wallets = Array.from(this.walletSubscribers.keys());
+
+        if (wallets.length === 0) {
+            if (this.monitor) {
+                this.monitor.stop();
+                this.monitor = undefined;
+            }
+            return;
+        }
+
+        if (this.monitor) {
+            this.monitor.updateTargets(wallets);
+            return;
+        }
+
+        this.monitor = new TradeMonitorService({
+            env: this.env,
+            logger: this.logger,
+            userAddresses: wallets,
+            onDetectedTrade: (signal) => this.dispatch(signal)
+        });
+        await this.monitor.start();
+    }
+
+    private async dispatch(signal: TradeSignal): Promise<void> {
+        const ids = this.walletSubscribers.get(signal.trader.toLowerCase());
+        if (!ids || ids.size === 0) return;
+
+        // Each engine gets its own copy so one subscriber cannot mutate another's signal
+        await Promise.all(Array.from(ids).map(async (id) => {
+            const sub = this.subscribers.get(id);
+            if (!sub) return;
+            try {
+                await sub.handler({ ...signal });
+            } catch (err: any) {
+                this.logger.error(`[SignalBus] Delivery to ${id.slice(0, 8)}... failed: ${err.message}`);
+            }
+        }));
+    }
+}
@@ -0,0 +1,82 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('axios', () => ({ default: { get: vi.fn() } }));
+vi.mock('../database/index.js', () => ({
+  SignalCursor: { find: vi.fn(() => ({ lean: async () => [] })), updateOne: vi.fn(async () => ({})) }
+}));
+
+import axios from 'axios';
+import { SignalCursorService } from './signal-cursor.service.js';
+import { TradeAggregatorService } from './trade-aggregator.service.js';
+import { TradeSignal } from '../domain/trade.types.js';
+import { Logger } from '../utils/logger.util.js';
+
+const logger: Logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {}, success: () => {} };
+const WHALE = '0xwhale';
+
+const row = (seconds: number, hash: string, asset = 't1') => ({
+  id: hash, type: 'TRADE', timestamp: seconds, conditionId: 'm1', asset, side: 'BUY',
+  size: 10, price: 0.5, usdcSize: 5, outcome: 'Yes', outcomeIndex: 0, transactionHash: hash
+});
+
+const signal = (seconds: number, hash: string, asset = 't1'): TradeSignal => ({
+  trader: WHALE, marketId: 'm1', tokenId: asset, outcome: 'Yes', side: 'BUY',
+  sizeUsd: 5, price: 0.5, timestamp: seconds * 1000, txHash: hash
+});
+
+describe('SignalCursorService', () => {
+  const now = Math.floor(Date.now() / 1000);
+
+  beforeEach(() => { vi.mocked(axios.get).mockReset(); });
+
+  it('does not replay any fill already processed in the cursor second', async () => {
+    const cursors = new SignalCursorService('user', logger);
+    await cursors.record(signal(now - 60, '0xa'));
+    await cursors.record(signal(now - 60, '0xb'));
+    await cursors.record(signal(now - 60, '0xb', 't2'));
+
+    vi.mocked(axios.get).mockResolvedValueOnce({
+      data: [row(now - 30, '0xnew'), row(now - 60, '0xc'), row(now - 60, '0xb', 't2'), row(now - 60, '0xb'), row(now - 60, '0xa')]
+    });
+    const missed = await cursors.backfill(WHALE, cursors.get(WHALE)!);
+
+    expect(missed.map(s => s.txHash)).toEqual(['0xc', '0xnew']);
+    expect(missed.every(s => s.backfilled)).toBe(true);
+  });
+
+  it('does not replay the last fill of an aggregated burst', async () => {
+    vi.useFakeTimers({ now: (now - 60) * 1000 });
+    let merged: TradeSignal | undefined;
+    const aggregator = new TradeAggregatorService({ windowMs: 60_000, flushThresholdUsd: 0, logger, onFlush: async s => { merged = s; } });
+    aggregator.add(signal(now - 62, '0xfirst'));
+    aggregator.add(signal(now - 61, '0xsecond'));
+    aggregator.add(signal(now - 60, '0xlast'));
+    await vi.runAllTimersAsync();
+    vi.useRealTimers();
+
+    const cursors = new SignalCursorService('user', logger);
+    await cursors.record(merged!);
+    vi.mocked(axios.get).mockResolvedValueOnce({
+      data: [row(now - 30, '0xnew'), row(now - 60, '0xlast'), row(now - 61, '0xsecond'), row(now - 62, '0xfirst')]
+    });
+    const missed = await cursors.backfill(WHALE, cursors.get(WHALE)!);
+
+    expect(merged!.txHash).toBe('0xfirst');
+    expect(cursors.get(WHALE)).toMatchObject({ lastTimestamp: (now - 60) * 1000, lastHash: '0xlast' });
+    expect(missed.map(s => s.txHash)).toEqual(['0xnew']);
+  });
+
+  it('never moves the cursor backwards', async () => {
+    const cursors = new SignalCursorService('user', logger);
+    await cursors.record(signal(now - 10, '0xlate'));
+    await cursors.record(signal(now - 60, '0xold'));
+    expect(cursors.get(WHALE)).toMatchObject({ lastTimestamp: (now - 10) * 1000, seenKeys: ['0xlate|t1|BUY'] });
+  });
+
+  it('falls back to lastHash for cursors saved without seen keys', async () => {
+    const cursors = new SignalCursorService('user', logger);
+    vi.mocked(axios.get).mockResolvedValueOnce({ data: [row(now - 60, '0xb'), row(now - 60, '0xa')] });
+    const missed = await cursors.backfill(WHALE, { lastTimestamp: (now - 60) * 1000, lastHash: '0xa' });
+    expect(missed.map(s => s.txHash)).toEqual(['0xb']);
+  });
+});
@@ -0,0 +1,136 @@
+import axios from 'axios';
+import { SignalCursor } from '../database/index.js';
+import { TradeSignal } from '../domain/trade.types.js';
+import { Logger } from '../utils/logger.util.js';
+import { PolyActivity, toTradeSignal } from './trade-monitor.service.js';
+
+export interface CursorPosition {
+    lastTimestamp: number; // ms
+    lastHash?: string;
+    seenKeys?: string[];   // Every fill processed at lastTimestamp (txHash|tokenId|side)
+}
+
+const BACKFILL_PAGE_SIZE = 100;
+const BACKFILL_MAX_PAGES = 10;
+// Never replay more than a day of history, however long the bot was down
+const BACKFILL_MAX_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+// Fills sharing one timestamp; more than this in a single second is not realistic
+const MAX_SEEN_KEYS = 200;
+
+/**
+ * Persists the last processed whale activity per user/target and
+ * replays the gap from the Data API after a restart.
+ */
+export class SignalCursorService {
+    private cursors: Map<string, CursorPosition> = new Map();
+
+    constructor(
+        private userId: string,
+        private logger: Logger
+    ) {}
+
+    async load(): Promise<Map<string, CursorPosition>> {
+        try {
+            const docs = await SignalCursor.find({ userId: this.userId }).lean();
+            for (const doc of docs) {
+                this.cursors.set(doc.targetWallet, { lastTimestamp: doc.lastTimestamp, lastHash: doc.lastHash, seenKeys: doc.seenKeys });
+            }
+        } catch (e: any) {
+            this.logger.warn(`[Cursor] Failed to load signal cursors: ${e.message}`);
+        }
+        return this.cursors;
+    }
+
+    get(targetWallet: string): CursorPosition | undefined {
+        return this.cursors.get(targetWallet.toLowerCase());
+    }
+
+    /**
+     * Advances the cursor for the signal's trader. Older signals never move it backwards, and
+     * fills in the same millisecond as the cursor are added to its seen set. An aggregated signal
+     * adds every fill it merged, so the fill that set its timestamp is among them.
+     */
+    async record(signal: TradeSignal): Promise<void> {
+        const target = signal.trader.toLowerCase();
+        const current = this.cursors.get(target);
+        if (current && current.lastTimestamp > signal.timestamp) return;
+
+        const sameTimestamp = current?.lastTimestamp === signal.timestamp;
+        const hashes = signal.fillHashes?.length ? signal.fillHashes : signal.txHash ? [signal.txHash] : [];
+        const seenKeys = sameTimestamp ? [...(current!.seenKeys || [])] : [];
+        for (const hash of hashes) {
+            const key = cursorKey({ ...signal, txHash: hash });
+            if (key && !seenKeys.includes(key)) seenKeys.push(key);
+        }
+
+        const next: CursorPosition = {
+            lastTimestamp: signal.timestamp,
+            lastHash: hashes[hashes.length - 1] || (sameTimestamp ? current!.lastHash : undefined),
+            seenKeys: seenKeys.slice(-MAX_SEEN_KEYS)
+        };
+        this.cursors.set(target, next);
+
+        try {
+            await SignalCursor.updateOne(
+                { userId: this.userId, targetWallet: target },
+                { $set: { ...next, updatedAt: new Date() } },
+                { upsert: true }
+            );
+        } catch (e: any) {
+            this.logger.warn(`[Cursor] Failed to persist cursor for ${target.slice(0, 6)}...: ${e.message}`);
+        }
+    }
+
+    /**
+     * Fetches every trade by `target` after `since` (ms), oldest first, using paginated activity requests.
+     */
+    async backfill(target: string, since: CursorPosition): Promise<TradeSignal[]> {
+        const user = target.toLowerCase();
+        const floor = Math.max(since.lastTimestamp, Date.now() - BACKFILL_MAX_LOOKBACK_MS);
+        const collected: TradeSignal[] = [];
+
+        for (let page = 0; page < BACKFILL_MAX_PAGES; page++) {
+            const url = `https://data-api.polymarket.com/activity?user=${user}&limit=${BACKFILL_PAGE_SIZE}&offset=${page * BACKFILL_PAGE_SIZE}&start=${Math.floor(floor / 1000)}`;
+            let rows: PolyActivity[] = [];
+            try {
+                const res = await axios.get<PolyActivity[]>(url, { timeout: 5000 });
+                rows = Array.isArray(res.data) ? res.data : [];
+            } catch (e: any) {
+                this.logger.warn(`[Backfill] Activity page ${page} for ${user.slice(0, 6)}... failed: ${e.message}`);
+                break;
+            }
+
+            let reachedCursor = false;
+            for (const row of rows) {
+                if (row.type !== 'TRADE' && row.type !== 'ORDER_FILLED') continue;
+                const signal = toTradeSignal(user, row);
+                if (signal.timestamp < floor || (signal.timestamp === since.lastTimestamp && isSeen(since, signal))) {
+                    reachedCursor = true;
+                    continue;
+                }
+                collected.push({ ...signal, backfilled: true });
+            }
+
+            if (reachedCursor || rows.length < BACKFILL_PAGE_SIZE) break;
+        }
+
+        collected.sort((a, b) => a.timestamp - b.timestamp);
+        if (collected.length > 0) {
+            this.logger.info(`[Backfill] Recovered ${collected.length} missed trades for ${user.slice(0, 6)}... since ${new Date(floor).toISOString()}`);
+        }
+        return collected;
+    }
+}
+
+function cursorKey(signal: TradeSignal): string | undefined {
+    return signal.txHash ? `${signal.txHash}|${signal.tokenId}|${signal.side}` : undefined;
+}
+
+// Cursors saved before seenKeys existed only know the last transaction hash
+function isSeen(cursor: CursorPosition, signal: TradeSignal): boolean {
+    if (cursor.seenKeys?.length) {
+        const key = cursorKey(signal);
+        return !!key && cursor.seenKeys.includes(key);
+    }
+    return !!signal.txHash && signal.txHash === cursor.lastHash;
+}
@@ -0,0 +1,82 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { DEFAULT_AGGREGATION_QUIET_MS, MAX_AGGREGATION_QUIET_MS, TradeAggregatorService } from './trade-aggregator.service.js';
+import { TradeSignal } from '../domain/trade.types.js';
+import { Logger } from '../utils/logger.util.js';
+
+const logger: Logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {}, success: () => {} };
+
+const fill = (sizeUsd: number, price: number): TradeSignal => ({
+  trader: '0xWhale', marketId: 'm1', tokenId: 't1', outcome: 'Yes', side: 'BUY', sizeUsd, price, timestamp: Date.now()
+});
+
+describe('TradeAggregatorService', () => {
+  beforeEach(() => { vi.useFakeTimers(); });
+  afterEach(() => { vi.useRealTimers(); });
+
+  it('merges fills in the window into one VWAP signal', async () => {
+    const onFlush = vi.fn(async (_: TradeSignal) => {});
+    const aggregator = new TradeAggregatorService({ windowMs: 1000, flushThresholdUsd: 0, logger, onFlush });
+    aggregator.add(fill(10, 0.5));
+    aggregator.add(fill(30, 0.6));
+    vi.advanceTimersByTime(1000);
+
+    expect(onFlush).toHaveBeenCalledTimes(1);
+    const merged = onFlush.mock.calls[0][0];
+    expect(merged.sizeUsd).toBe(40);
+    expect(merged.fillCount).toBe(2);
+    expect(merged.price).toBeCloseTo(40 / (20 + 50));
+  });
+
+  it('delivers a lone fill after the quiet period, well inside the default latency limits', () => {
+    const onFlush = vi.fn(async (_: TradeSignal) => {});
+    const aggregator = new TradeAggregatorService({ windowMs: 300_000, flushThresholdUsd: 0, logger, onFlush });
+    aggregator.add(fill(10, 0.5));
+    vi.advanceTimersByTime(DEFAULT_AGGREGATION_QUIET_MS);
+
+    expect(onFlush).toHaveBeenCalledTimes(1);
+    const ageMs = Date.now() - onFlush.mock.calls[0][0].timestamp;
+    // Execution guard default maxSignalLatencySeconds (30s) and late-signal default maxSignalAgeSeconds (300s)
+    expect(ageMs).toBeLessThan(30_000);
+    expect(ageMs).toBeLessThan(300_000);
+  });
+
+  it('holds a burst while fills keep coming, but no longer than the window', () => {
+    const onFlush = vi.fn(async (_: TradeSignal) => {});
+    const aggregator = new TradeAggregatorService({ windowMs: 10_000, quietMs: 3000, flushThresholdUsd: 0, logger, onFlush });
+    for (let i = 0; i < 5; i++) {
+      aggregator.add(fill(10, 0.5));
+      vi.advanceTimersByTime(2000);
+    }
+    expect(onFlush).toHaveBeenCalledTimes(1);
+    expect(onFlush.mock.calls[0][0].fillCount).toBe(5);
+  });
+
+  it('caps the quiet period', () => {
+    const aggregator = new TradeAggregatorService({ windowMs: 300_000, quietMs: 120_000, flushThresholdUsd: 0, logger, onFlush: async () => {} });
+    expect(aggregator.getQuietMs()).toBe(MAX_AGGREGATION_QUIET_MS);
+  });
+
+  it('flushes only the requested wallets and waits for their handlers', async () => {
+    const delivered: string[] = [];
+    const onFlush = vi.fn(async (signal: TradeSignal) => { delivered.push(signal.trader); });
+    const aggregator = new TradeAggregatorService({ windowMs: 300_000, flushThresholdUsd: 0, logger, onFlush });
+    aggregator.add(fill(10, 0.5));
+    aggregator.add({ ...fill(10, 0.5), trader: '0xOther' });
+
+    await aggregator.flushWallets(['0xwhale']);
+
+    expect(delivered).toEqual(['0xWhale']);
+    expect(aggregator.getPendingCount()).toBe(1);
+  });
+
+  it('drops pending buckets on discardAll without delivering them', () => {
+    const onFlush = vi.fn(async (_: TradeSignal) => {});
+    const aggregator = new TradeAggregatorService({ windowMs: 1000, flushThresholdUsd: 0, logger, onFlush });
+    aggregator.add(fill(10, 0.5));
+
+    expect(aggregator.discardAll()).toBe(1);
+    vi.advanceTimersByTime(5000);
+    expect(onFlush).not.toHaveBeenCalled();
+    expect(aggregator.getPendingCount()).toBe(0);
+  });
+});
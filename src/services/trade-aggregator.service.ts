@@ -0,0 +1,140 @@
+import { Logger } from '../utils/logger.util.js';
+import { TradeSignal } from '../domain/trade.types.js';
+
+// A bucket is delivered once its whale has been quiet this long. The latency checks measure from the
+// last fill, so this plus detection lag has to stay under the 30s default execution guard.
+export const DEFAULT_AGGREGATION_QUIET_MS = 5000;
+export const MAX_AGGREGATION_QUIET_MS = 15000;
+
+export type TradeAggregatorConfig = {
+  // Longest a bucket is held from its first fill, however long the burst keeps going
+  windowMs: number;
+  // Delivers a bucket this long after its last fill (capped at MAX_AGGREGATION_QUIET_MS)
+  quietMs?: number;
+  // Flush a bucket early once its merged notional reaches this size (0 disables)
+  flushThresholdUsd: number;
+  logger: Logger;
+  onFlush: (signal: TradeSignal) => Promise<void>;
+};
+
+interface AggregationBucket {
+  base: TradeSignal;
+  totalUsd: number;
+  totalShares: number;
+  fills: number;
+  fillHashes: string[];
+  lastTimestamp: number;
+  firstSeenAt: number;
+  timer: NodeJS.Timeout;
+}
+
+/**
+ * Merges bursts of same-wallet, same-token, same-side fills into one signal.
+ * Whales often split a position into dozens of small fills; copying each one
+ * individually produces a stream of dust orders boosted to the exchange minimum.
+ */
+export class TradeAggregatorService {
+  private buckets: Map<string, AggregationBucket> = new Map();
+  private readonly quietMs: number;
+
+  constructor(private readonly config: TradeAggregatorConfig) {
+    this.quietMs = Math.min(config.quietMs ?? DEFAULT_AGGREGATION_QUIET_MS, MAX_AGGREGATION_QUIET_MS);
+  }
+
+  add(signal: TradeSignal): void {
+    const key = `${signal.trader.toLowerCase()}|${signal.tokenId}|${signal.side}`;
+    const shares = signal.price > 0 ? signal.sizeUsd / signal.price : 0;
+    const existing = this.buckets.get(key);
+
+    if (existing) {
+      existing.totalUsd += signal.sizeUsd;
+      existing.totalShares += shares;
+      existing.fills++;
+      if (signal.txHash) existing.fillHashes.push(signal.txHash);
+      existing.lastTimestamp = Math.max(existing.lastTimestamp, signal.timestamp);
+      clearTimeout(existing.timer);
+      existing.timer = this.schedule(key, existing.firstSeenAt);
+    } else {
+      const now = Date.now();
+      this.buckets.set(key, {
+        base: signal,
+        totalUsd: signal.sizeUsd,
+        totalShares: shares,
+        fills: 1,
+        fillHashes: signal.txHash ? [signal.txHash] : [],
+        lastTimestamp: signal.timestamp,
+        firstSeenAt: now,
+        timer: this.schedule(key, now)
+      });
+    }
+
+    const bucket = this.buckets.get(key)!;
+    if (this.config.flushThresholdUsd > 0 && bucket.totalUsd >= this.config.flushThresholdUsd) {
+      this.flush(key);
+    }
+  }
+
+  /**
+   * Delivers the open buckets of the given wallets (all of them when omitted) right away and
+   * resolves once their handlers have finished. Used before a bot stops taking signals.
+   */
+  async flushWallets(wallets?: string[]): Promise<void> {
+    const filter = wallets && new Set(wallets.map(w => w.toLowerCase()));
+    const deliveries = Array.from(this.buckets.keys())
+      .filter(key => !filter || filter.has(key.split('|')[0]))
+      .map(key => this.flush(key));
+    await Promise.all(deliveries);
+  }
+
+  /**
+   * Drops every open bucket without delivering it (used when the monitor itself stops and no bot is left
+   * to receive them). Returns how many merged signals were discarded.
+   */
+  discardAll(): number {
+    const discarded = this.buckets.size;
+    for (const bucket of this.buckets.values()) clearTimeout(bucket.timer);
+    this.buckets.clear();
+    return discarded;
+  }
+
+  getQuietMs(): number {
+    return this.quietMs;
+  }
+
+  getPendingCount(): number {
+    return this.buckets.size;
+  }
+
+  // Quiet period after the latest fill, but never past windowMs from the first one
+  private schedule(key: string, firstSeenAt: number): NodeJS.Timeout {
+    const delay = Math.max(0, Math.min(this.quietMs, firstSeenAt + this.config.windowMs - Date.now()));
+    return setTimeout(() => this.flush(key), delay);
+  }
+
+  private async flush(key: string): Promise<void> {
+    const bucket = this.buckets.get(key);
+    if (!bucket) return;
+    clearTimeout(bucket.timer);
+    this.buckets.delete(key);
+
+    const vwap = bucket.totalShares > 0 ? bucket.totalUsd / bucket.totalShares : bucket.base.price;
+    const signal: TradeSignal = {
+      ...bucket.base,
+      sizeUsd: bucket.totalUsd,
+      price: vwap,
+      // Latest fill time so downstream latency checks measure from the last print
+      timestamp: bucket.lastTimestamp,
+      fillCount: bucket.fills,
+      // The cursor has to know every fill it covers, not only the first one's hash
+      fillHashes: bucket.fillHashes
+    };
+
+    if (bucket.fills > 1) {
+      this.config.logger.info(`📦 [AGGREGATED] ${signal.trader.slice(0,6)}... ${signal.side} ${signal.outcome} x${bucket.fills} fills -> $${signal.sizeUsd.toFixed(2)} @ VWAP ${vwap.toFixed(4)}`);
+    }
+
+    await this.config.onFlush(signal).catch(err => {
+      this.config.logger.error(`Aggregated Execution Trigger Failed`, err);
+    });
+  }
+}
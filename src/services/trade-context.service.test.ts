@@ -0,0 +1,50 @@
+import { describe, expect, it, vi } from 'vitest';
+import { TradeContextService } from './trade-context.service.js';
+import { RulesRiskAgent } from './rules-risk-agent.service.js';
+import { GeminiRiskAgent } from './ai-agent.service.js';
+import { TradeSignal } from '../domain/trade.types.js';
+import { Logger } from '../utils/logger.util.js';
+
+vi.mock('../database/index.js', () => ({}));
+vi.mock('../utils/http.js', () => ({ httpGet: vi.fn(() => new Promise(() => {})) }));
+vi.mock('./market-metadata.service.js', () => ({
+  marketMetadata: {
+    getMarket: async () => ({ question: 'Will it rain?' }),
+    getGammaMarket: () => new Promise(() => {})
+  }
+}));
+
+const logger: Logger = { info: () => {}, warn: () => {}, error: () => {}, debug: vi.fn(), success: () => {} };
+const signal: TradeSignal = { trader: '0xwhale', marketId: 'm1', tokenId: 't1', outcome: 'YES', side: 'BUY', sizeUsd: 100, price: 0.5, timestamp: 0 };
+
+describe('TradeContextService', () => {
+  it('returns what loaded once the deadline passes', async () => {
+    const registry = { getTraderProfile: () => new Promise(() => {}) };
+    const service = new TradeContextService({} as any, registry as any, undefined, logger);
+
+    const started = Date.now();
+    const context = await service.build(signal, [], 50);
+
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(context.market.question).toBe('Will it rain?');
+    expect(context.priceHistory).toBeUndefined();
+    expect(context.whale).toEqual({ listed: false });
+    expect(logger.debug).toHaveBeenCalledOnce();
+  });
+});
+
+describe('risk agents that ignore the context', () => {
+  it('rules agent only reads it for entries', () => {
+    const rules = new RulesRiskAgent();
+    expect(rules.usesContext({ side: 'BUY' })).toBe(true);
+    expect(rules.usesContext({ side: 'SELL' })).toBe(false);
+  });
+
+  it('gemini without a key bypasses every signal', () => {
+    const key = process.env.API_KEY;
+    delete process.env.API_KEY;
+    expect(new GeminiRiskAgent(undefined, undefined).usesContext()).toBe(false);
+    expect(new GeminiRiskAgent(undefined, 'key').usesContext()).toBe(true);
+    if (key !== undefined) process.env.API_KEY = key;
+  });
+});
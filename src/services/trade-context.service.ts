@@ -0,0 +1,192 @@
+import { IExchangeAdapter, LiquidityMetrics } from '../adapters/interfaces.js';
+import { IRegistryService } from '../domain/alpha.types.js';
+import { ActivePosition, TradeSignal } from '../domain/trade.types.js';
+import { httpGet } from '../utils/http.js';
+import { Logger } from '../utils/logger.util.js';
+import { EventGroupService } from './event-group.service.js';
+import { marketMetadata } from './market-metadata.service.js';
+
+export interface PriceHistorySummary {
+  windowHours: number;
+  first: number;
+  last: number;
+  high: number;
+  low: number;
+  changeCents: number;
+  points: number[];       // Evenly spaced samples, oldest first
+}
+
+export interface WhaleTrackRecord {
+  listed: boolean;        // Present in our registry
+  winRate?: number;
+  totalPnl?: number;
+  tradesLast30d?: number;
+  copyCount?: number;
+  copyProfitGenerated?: number;
+}
+
+export interface EventExposure {
+  eventSlug?: string;
+  eventTitle?: string;
+  negRisk: boolean;
+  exposureUsd: number;    // Current value of what we hold across the event
+  positions: Array<{ question?: string; outcome: string; shares: number; valueUsd: number }>;
+}
+
+/**
+ * Everything the AI gate sees about a signal. Sections that failed to load are left undefined
+ * so the prompt can say so instead of guessing.
+ */
+export interface TradeContext {
+  signal: Pick<TradeSignal, 'side' | 'outcome' | 'price' | 'sizeUsd'>;
+  market: {
+    conditionId: string;
+    question?: string;
+    description?: string;
+    endDate?: string;
+    outcomes?: string[];
+    volumeUsd?: number;
+    liquidityUsd?: number;
+  };
+  book?: LiquidityMetrics;
+  priceHistory?: PriceHistorySummary;
+  whale: WhaleTrackRecord;
+  exposure?: EventExposure;
+}
+
+const PRICE_HISTORY_HOURS = 24;
+const PRICE_HISTORY_SAMPLES = 8;
+// httpGet retries for several seconds; past this the gate goes ahead with what has loaded
+export const DEFAULT_CONTEXT_TIMEOUT_MS = 3000;
+
+/**
+ * The context for an agent that ignores it: only what the signal itself carries.
+ */
+export function signalOnlyContext(signal: TradeSignal): TradeContext {
+  return {
+    signal: { side: signal.side, outcome: signal.outcome, price: signal.price, sizeUsd: signal.sizeUsd },
+    market: { conditionId: signal.marketId },
+    whale: { listed: false }
+  };
+}
+
+/**
+ * Gathers the AI context for a signal. Each lookup is independent and best effort,
+ * and they run in parallel so the gate adds a single round trip, bounded by timeoutMs.
+ */
+export class TradeContextService {
+  constructor(
+    private readonly adapter: IExchangeAdapter,
+    private readonly registry: IRegistryService,
+    private readonly eventGroups: EventGroupService | undefined,
+    private readonly logger: Logger
+  ) {}
+
+  async build(signal: TradeSignal, positions: ActivePosition[], timeoutMs = DEFAULT_CONTEXT_TIMEOUT_MS): Promise<TradeContext> {
+    let timer: NodeJS.Timeout | undefined;
+    const deadline = new Promise<'timeout'>(resolve => { timer = setTimeout(() => resolve('timeout'), timeoutMs); });
+    const timedOut: string[] = [];
+    // A lookup still running at the deadline is left out of the context, like one that failed
+    const bounded = <T>(section: string, lookup: Promise<T>): Promise<T | undefined> =>
+      Promise.race([lookup, deadline]).then(r => {
+        if (r !== 'timeout') return r as T;
+        timedOut.push(section);
+        return undefined;
+      });
+
+    const [market, gamma, book, priceHistory, whale, exposure] = await Promise.allSettled([
+      bounded('market', marketMetadata.getMarket(signal.marketId)),
+      bounded('gamma', marketMetadata.getGammaMarket(signal.marketId)),
+      bounded('book', this.adapter.getLiquidityMetrics
+        ? this.adapter.getLiquidityMetrics(signal.tokenId, signal.side)
+        : Promise.resolve(undefined)),
+      bounded('price history', this.getPriceHistory(signal.tokenId)),
+      bounded('whale', this.getTrackRecord(signal.trader)),
+      bounded('exposure', this.getExposure(signal.marketId, positions))
+    ]);
+    clearTimeout(timer);
+    if (timedOut.length > 0) {
+      this.logger.debug(`[AI Context] ${timedOut.join(', ')} not loaded within ${timeoutMs}ms for ${signal.marketId}`);
+    }
+
+    const value = <T>(r: PromiseSettledResult<T>): T | undefined => r.status === 'fulfilled' ? r.value : undefined;
+    const clob = value(market);
+    const meta = value(gamma);
+
+    if (!clob?.question && !meta?.question) {
+      this.logger.debug(`[AI Context] No market metadata for ${signal.marketId}`);
+    }
+
+    return {
+      signal: { side: signal.side, outcome: signal.outcome, price: signal.price, sizeUsd: signal.sizeUsd },
+      market: {
+        conditionId: signal.marketId,
+        question: meta?.question || clob?.question,
+        description: meta?.description || clob?.description,
+        endDate: meta?.endDate || clob?.end_date_iso,
+        outcomes: meta?.outcomes?.length ? meta.outcomes : undefined,
+        volumeUsd: meta?.volumeUsd,
+        liquidityUsd: meta?.liquidityUsd
+      },
+      book: value(book),
+      priceHistory: value(priceHistory),
+      whale: value(whale) || { listed: false },
+      exposure: value(exposure)
+    };
+  }
+
+  private async getPriceHistory(tokenId: string): Promise<PriceHistorySummary | undefined> {
+    const res = await httpGet<{ history?: Array<{ t: number; p: number }> }>(
+      `https://clob.polymarket.com/prices-history?market=${tokenId}&interval=1d&fidelity=60`
+    );
+    const prices = (res?.history || []).map(h => Number(h.p)).filter(p => Number.isFinite(p));
+    if (prices.length === 0) return undefined;
+
+    const step = Math.max(1, Math.floor(prices.length / PRICE_HISTORY_SAMPLES));
+    const points = prices.filter((_, i) => i % step === 0).slice(-PRICE_HISTORY_SAMPLES);
+    const first = prices[0];
+    const last = prices[prices.length - 1];
+    return {
+      windowHours: PRICE_HISTORY_HOURS,
+      first,
+      last,
+      high: Math.max(...prices),
+      low: Math.min(...prices),
+      changeCents: Math.round((last - first) * 10000) / 100,
+      points
+    };
+  }
+
+  private async getTrackRecord(trader: string): Promise<WhaleTrackRecord> {
+    const profile = this.registry.getTraderProfile ? await this.registry.getTraderProfile(trader) : null;
+    if (!profile) return { listed: false };
+    return {
+      listed: true,
+      winRate: profile.winRate,
+      totalPnl: profile.totalPnl,
+      tradesLast30d: profile.tradesLast30d,
+      copyCount: profile.copyCount,
+      copyProfitGenerated: profile.copyProfitGenerated
+    };
+  }
+
+  private async getExposure(marketId: string, positions: ActivePosition[]): Promise<EventExposure | undefined> {
+    const event = await this.eventGroups?.getEventForMarket(marketId);
+    const eventMarkets = new Set(event ? event.markets.map(m => m.conditionId) : [marketId]);
+    const held = positions.filter(p => p.shares > 0 && eventMarkets.has(p.marketId));
+
+    const rows = held.map(p => ({
+      question: p.question,
+      outcome: p.outcome,
+      shares: p.shares,
+      valueUsd: p.shares * (p.currentPrice ?? p.entryPrice)
+    }));
+    return {
+      eventSlug: event?.slug,
+      eventTitle: event?.title,
+      negRisk: !!event?.negRisk,
+      exposureUsd: rows.reduce((sum, r) => sum + r.valueUsd, 0),
+      positions: rows
+    };
+  }
+}
@@ -0,0 +1,171 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { DEFAULT_EXECUTION_GUARD, TradeExecutorService, validateExecutionGuard } from './trade-executor.service.js';
+import type { TraderEquity } from './trader-equity.service.js';
+import type { RuntimeEnv } from '../config/env.js';
+import type { TradeSignal } from '../domain/trade.types.js';
+import type { OrderResult } from '../adapters/interfaces.js';
+import { Logger } from '../utils/logger.util.js';
+
+const whale = vi.hoisted(() => ({
+  equity: { equityUsd: 10000, source: 'live' } as TraderEquity,
+  sharesAfter: undefined as number | undefined
+}));
+
+vi.mock('./market-metadata.service.js', () => ({
+  marketMetadata: {
+    getMarket: async () => ({ active: true, accepting_orders: true, closed: false, archived: false }),
+    getGammaMarket: async () => undefined,
+    invalidate: () => {}
+  }
+}));
+vi.mock('./trader-equity.service.js', () => ({
+  DEFAULT_TRADER_EQUITY_TTL_MS: 300000,
+  TraderEquityService: class {
+    async getEquity() { return whale.equity; }
+    async getPositionShares() { return whale.sharesAfter; }
+  }
+}));
+
+const logger: Logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {}, success: () => {} };
+
+function signal(overrides: Partial<TradeSignal> = {}): TradeSignal {
+  return { trader: '0xwhale', marketId: 'm1', tokenId: 't1', outcome: 'YES', side: 'BUY', sizeUsd: 100, price: 0.5, timestamp: Date.now(), ...overrides };
+}
+
+function executor(order: OrderResult, env: Partial<RuntimeEnv> = {}) {
+  const adapter = {
+    getPositions: async () => [{ marketId: 'm1', tokenId: 't1', outcome: 'YES', balance: 100, valueUsd: 50, entryPrice: 0.5, currentPrice: 0.5 }],
+    fetchBalance: async () => 1000,
+    getOrderBook: async () => ({ bids: [{ price: 0.5, size: 1000 }], asks: [{ price: 0.5, size: 1000 }] }),
+    createOrder: vi.fn(async () => order)
+  };
+  const service = new TradeExecutorService({
+    adapter: adapter as any,
+    env: { tradeMultiplier: 1, maxTradeAmount: 100, ...env } as RuntimeEnv,
+    logger,
+    proxyWallet: '0xme'
+  });
+  return { service, adapter };
+}
+
+describe('TradeExecutorService fill status', () => {
+  beforeEach(() => {
+    whale.equity = { equityUsd: 10000, source: 'live' };
+    whale.sharesAfter = undefined;
+  });
+
+  it('reports a killed FAK that matched nothing as a failed no-fill', async () => {
+    const { service } = executor({ success: true, orderId: 'o1', sharesFilled: 0, priceFilled: 0.5, status: 'FILLED', sharesRequested: 20 });
+    const result = await service.copyTrade(signal());
+    expect(result.status).toBe('FAILED');
+    expect(result.reason).toBe('no_fill');
+    expect(result.executedShares).toBe(0);
+  });
+
+  it('reports a partially filled FAK as filled for what matched', async () => {
+    const { service } = executor({ success: true, orderId: 'o1', sharesFilled: 8, priceFilled: 0.5, status: 'FILLED', sharesRequested: 20 });
+    const result = await service.copyTrade(signal());
+    expect(result.status).toBe('FILLED');
+    expect(result.executedShares).toBe(8);
+  });
+
+  it('keeps an unmatched GTC order resting', async () => {
+    const { service } = executor({ success: true, orderId: 'o1', sharesFilled: 0, priceFilled: 0, status: 'LIVE', sharesRequested: 20 });
+    const result = await service.copyTrade(signal());
+    expect(result.status).toBe('RESTING');
+    expect(result.restingShares).toBe(20);
+  });
+});
+
+describe('TradeExecutorService whale equity', () => {
+  beforeEach(() => {
+    whale.sharesAfter = undefined;
+  });
+
+  it('skips a BUY when only part of the whale equity loaded', async () => {
+    whale.equity = { equityUsd: 50, cashUsd: 50, source: 'partial' };
+    const { service, adapter } = executor({ success: true, sharesFilled: 10, priceFilled: 0.5 });
+    const result = await service.copyTrade(signal());
+    expect(result.status).toBe('SKIPPED');
+    expect(result.reason).toBe('trader_equity_partial');
+    expect(adapter.createOrder).not.toHaveBeenCalled();
+  });
+
+  it('still sells on a partial reading', async () => {
+    whale.equity = { equityUsd: 50, cashUsd: 50, source: 'partial' };
+    whale.sharesAfter = 0;
+    const { service } = executor({ success: true, sharesFilled: 100, priceFilled: 0.5, status: 'FILLED', sharesRequested: 100 });
+    const result = await service.copyTrade(signal({ side: 'SELL' }));
+    expect(result.status).toBe('FILLED');
+  });
+});
+
+describe('TradeExecutorService market filters', () => {
+  it('fails closed when the filters need metadata that did not load', async () => {
+    const { service } = executor({ success: true, sharesFilled: 0, priceFilled: 0 }, { marketFilters: { denyTags: ['sports'] } });
+    expect(await service.checkMarketFilters(signal())).toEqual({ passed: false, filter: 'METADATA_UNAVAILABLE', reason: 'market metadata unavailable' });
+  });
+
+  it('lets the signal through without metadata when configured to', async () => {
+    const { service } = executor({ success: true, sharesFilled: 0, priceFilled: 0 }, { marketFilters: { denyTags: ['sports'], onMissingMetadata: 'ALLOW' } });
+    expect(await service.checkMarketFilters(signal())).toEqual({ passed: true });
+  });
+
+  it('applies the price band without metadata and never filters exits', async () => {
+    const { service } = executor({ success: true, sharesFilled: 0, priceFilled: 0 }, { marketFilters: { maxPrice: 0.4 } });
+    expect((await service.checkMarketFilters(signal())).passed).toBe(false);
+    expect((await service.checkMarketFilters(signal({ side: 'SELL' }))).passed).toBe(true);
+  });
+
+  it('applies the filters inside copyTrade for callers that skip the early check', async () => {
+    const { service, adapter } = executor({ success: true, sharesFilled: 0, priceFilled: 0 }, { marketFilters: { maxPrice: 0.4 } });
+    const result = await service.copyTrade(signal());
+
+    expect(result).toMatchObject({ status: 'SKIPPED', marketFilter: 'PRICE_BAND' });
+    expect(adapter.createOrder).not.toHaveBeenCalled();
+  });
+});
+
+describe('validateExecutionGuard', () => {
+  it('fills omitted fields with the defaults', () => {
+    expect(validateExecutionGuard({ onBreach: 'SHRINK' })).toEqual({ guard: { ...DEFAULT_EXECUTION_GUARD, onBreach: 'SHRINK' } });
+  });
+
+  it('rejects invalid values instead of replacing them', () => {
+    expect(validateExecutionGuard({ onBreach: 'SHRNK' }).error).toMatch(/onBreach/);
+    expect(validateExecutionGuard({ maxSignalLatencySeconds: 0 }).error).toMatch(/maxSignalLatencySeconds/);
+    expect(validateExecutionGuard({ shrinkFactor: 2 }).error).toMatch(/shrinkFactor/);
+  });
+});
+
+describe('TradeExecutorService whale exit', () => {
+  beforeEach(() => {
+    whale.equity = { equityUsd: 10000, source: 'live' };
+  });
+
+  it('sizes the exit from the tracked entry, not the live API size', async () => {
+    // A backfilled signal: the API already shows the whale fully out after later sells
+    whale.sharesAfter = 0;
+    const { service, adapter } = executor({ success: true, sharesFilled: 25, priceFilled: 0.5, status: 'FILLED', sharesRequested: 25 });
+    const result = await service.copyTrade(signal({ side: 'SELL', sizeUsd: 50 }), { whaleEntryShares: 400 });
+
+    expect(result.whaleSharesAfter).toBe(300);
+    expect(adapter.createOrder).toHaveBeenCalledWith(expect.objectContaining({ sizeShares: 25 }));
+  });
+
+  it('asks the API when the whale sells more than we tracked', async () => {
+    whale.sharesAfter = 300;
+    const { service, adapter } = executor({ success: true, sharesFilled: 25, priceFilled: 0.5, status: 'FILLED', sharesRequested: 25 });
+    const result = await service.copyTrade(signal({ side: 'SELL', sizeUsd: 50 }), { whaleEntryShares: 40 });
+
+    expect(result.whaleSharesAfter).toBe(300);
+    expect(adapter.createOrder).toHaveBeenCalledWith(expect.objectContaining({ sizeShares: 25 }));
+  });
+
+  it('closes the whole position on a full whale exit when configured', async () => {
+    const { service, adapter } = executor({ success: true, sharesFilled: 100, priceFilled: 0.5, status: 'FILLED', sharesRequested: 100 }, { fullExitOnWhaleExit: true });
+    await service.copyTrade(signal({ side: 'SELL', sizeUsd: 199.8 }), { whaleEntryShares: 400 });
+
+    expect(adapter.createOrder).toHaveBeenCalledWith(expect.objectContaining({ sizeShares: 100 }));
+  });
+});
@@ -1,61 +1,132 @@
 import type { RuntimeEnv } from '../config/env.js';
 import type { Logger } from '../utils/logger.util.js';
 import type { TradeSignal, ActivePosition } from '../domain/trade.types.js';
-import { computeProportionalSizing } from '../config/copy-strategy.js';
-import { httpGet } from '../utils/http.js';
+import { computeSizing } from '../config/copy-strategy.js';
+import { resolveTargetSettings, EffectiveTargetSettings } from '../config/target-overrides.js';
+import { evaluateMarketFilters, needsMarketMetadata, MarketFilterKind, MarketFilterResult } from '../config/market-filters.js';
 import { IExchangeAdapter, LiquidityHealth } from '../adapters/interfaces.js';
+import { RiskManagerService, RiskLimitKind } from './risk-manager.service.js';
+import { OrderSlicerService } from './order-slicer.service.js';
+import { BalanceLedgerService } from './balance-ledger.service.js';
+import { TraderEquityService, DEFAULT_TRADER_EQUITY_TTL_MS } from './trader-equity.service.js';
+import { sameOutcome, isSameOutcomeToken } from '../utils/outcome.util.js';
+import { marketMetadata } from './market-metadata.service.js';
+import { OrderBook } from '../domain/market.types.js';
 
 export type TradeExecutorDeps = {
   adapter: IExchangeAdapter;
   env: RuntimeEnv;
   logger: Logger;
   proxyWallet: string; // Funder address
+  riskManager?: RiskManagerService;
+  ledger?: BalanceLedgerService; // Shared with the order tracker; created locally when omitted
 };
 
-interface Position {
-  conditionId: string;
-  initialValue: number;
-  currentValue: number;
-  balance: string; // share balance
-}
-
 export interface ExecutionResult {
-    status: 'FILLED' | 'FAILED' | 'SKIPPED' | 'ILLIQUID';
+    status: 'FILLED' | 'RESTING' | 'FAILED' | 'SKIPPED' | 'ILLIQUID';
     txHash?: string;
     executedAmount: number; // USD Value
     executedShares: number; // Share Count
     priceFilled: number;    
     reason?: string;
+    // Signal guard measurements (recorded for every decision)
+    latencyMs?: number;     // Whale fill -> our decision
+    driftCents?: number;    // Adverse move between whale price and current best price (positive = worse for us)
+    guardAction?: ExecutionGuardAction;
+    riskLimit?: RiskLimitKind; // Set when a portfolio risk limit blocked the order
+    marketFilter?: MarketFilterKind; // Set when a pre-trade market filter rejected the signal
+    whaleSharesAfter?: number; // SELL: whale's remaining shares of the outcome after their trade, when known
+    // Resting (GTC) orders: executed* fields only cover what has matched so far
+    orderId?: string;
+    sharesRequested?: number;
+    restingShares?: number;
+    // Achieved execution quality vs the whale's fill (positive = worse for us)
+    vwap?: number;
+    vwapVsWhaleCents?: number;
+    slices?: number;
+}
+
+export type WhaleExit = {
+    fraction: number;       // Share of their position the whale sold, 0-1
+    sharesAfter?: number;
+    source: 'positions' | 'entry';
+};
+
+// Whale holdings below this are treated as a full exit
+const WHALE_DUST_SHARES = 1;
+// Rounding between the whale's fills and the signal size: a sale this close to the tracked entry is still a full exit
+const WHALE_TRACKING_TOLERANCE = 0.01;
+
+export type ExecutionGuardAction = 'SKIP' | 'SHRINK' | 'LIMIT_AT_WHALE';
+
+/**
+ * Per-bot limits on how stale or how far the book may have moved before we copy.
+ * Without a policy, latency/drift are still measured but the legacy +5% / -10% price band applies.
+ */
+export interface ExecutionGuardPolicy {
+    maxSignalLatencySeconds: number;
+    maxAdverseDriftCents: number;
+    onBreach: ExecutionGuardAction;
+    shrinkFactor?: number; // Used by SHRINK (default 0.5)
+}
+
+export const DEFAULT_EXECUTION_GUARD: ExecutionGuardPolicy = { maxSignalLatencySeconds: 30, maxAdverseDriftCents: 2, onBreach: 'SKIP' };
+
+const GUARD_ACTIONS: ExecutionGuardAction[] = ['SKIP', 'SHRINK', 'LIMIT_AT_WHALE'];
+
+/**
+ * Validates the execution guard coming from the API. Omitted fields take the defaults.
+ */
+export function validateExecutionGuard(raw: any): { guard?: ExecutionGuardPolicy; error?: string } {
+    if (!raw) return {};
+    if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'executionGuard must be an object' };
+
+    const guard: ExecutionGuardPolicy = { ...DEFAULT_EXECUTION_GUARD };
+    if (raw.maxSignalLatencySeconds !== undefined) {
+        const n = Number(raw.maxSignalLatencySeconds);
+        if (!Number.isFinite(n) || n <= 0) return { error: 'maxSignalLatencySeconds must be > 0' };
+        guard.maxSignalLatencySeconds = n;
+    }
+    if (raw.maxAdverseDriftCents !== undefined) {
+        const n = Number(raw.maxAdverseDriftCents);
+        if (!Number.isFinite(n) || n < 0) return { error: 'maxAdverseDriftCents must be >= 0' };
+        guard.maxAdverseDriftCents = n;
+    }
+    if (raw.onBreach !== undefined) {
+        if (!GUARD_ACTIONS.includes(raw.onBreach)) return { error: `onBreach must be one of ${GUARD_ACTIONS.join(', ')}` };
+        guard.onBreach = raw.onBreach;
+    }
+    if (raw.shrinkFactor !== undefined) {
+        const n = Number(raw.shrinkFactor);
+        if (!Number.isFinite(n) || n <= 0 || n > 1) return { error: 'shrinkFactor must be in (0, 1]' };
+        guard.shrinkFactor = n;
+    }
+    return { guard };
 }
 
 export class TradeExecutorService {
   private readonly deps: TradeExecutorDeps;
   
-  private balanceCache: Map<string, { value: number; timestamp: number }> = new Map();
-  private readonly CACHE_TTL = 5 * 60 * 1000; 
-  
-  private pendingSpend = 0;
+  private readonly traderEquity: TraderEquityService;
+  private readonly ledger: BalanceLedgerService;
+  private readonly slicer: OrderSlicerService;
 
   constructor(deps: TradeExecutorDeps) {
     this.deps = deps;
+    this.ledger = deps.ledger ?? new BalanceLedgerService({ adapter: deps.adapter, proxyWallet: deps.proxyWallet, logger: deps.logger });
+    this.slicer = new OrderSlicerService(deps.adapter, deps.logger);
+    this.traderEquity = new TraderEquityService(deps.adapter, deps.logger);
   }
 
   // Check if market resolved and which outcome won
-  private async checkMarketResolution(position: ActivePosition): Promise<{
+  async checkMarketResolution(position: ActivePosition): Promise<{
     resolved: boolean;
     winningOutcome?: string;
     userWon?: boolean;
     market?: any;
   }> {
-    const { adapter } = this.deps;
-    
     try {
-      const client = (adapter as any).getRawClient?.();
-      if (!client) {
-        return { resolved: false };
-      }
-
-      const market = await client.getMarket(position.marketId);
+      const market = await marketMetadata.getMarket(position.marketId);
       if (!market) {
         return { resolved: false };
       }
@@ -77,11 +148,10 @@ export class TradeExecutorService {
         
         if (winningToken) {
           winningOutcome = winningToken.outcome;
-          // Check if user's position matches the winning outcome
-          userWon = winningOutcome ? 
-            (winningOutcome.toLowerCase() === position.outcome.toLowerCase() ||
-             (position.outcome === 'YES' && winningOutcome.includes('YES')) ||
-             (position.outcome === 'NO' && winningOutcome.includes('NO'))) : false;
+          // The token ID is exact; labels are only compared for positions stored without one
+          userWon = position.tokenId && winningToken.token_id
+            ? String(winningToken.token_id) === position.tokenId
+            : sameOutcome(winningOutcome, position.outcome);
         }
       }
 
@@ -180,21 +250,73 @@ export class TradeExecutorService {
       }
   }
 
-  async copyTrade(signal: TradeSignal): Promise<ExecutionResult> {
+  /**
+   * How much of their position the whale just sold. The entry size we tracked while copying their
+   * buys comes first: it is known at signal time, whereas the Data API reports their size now, which
+   * is wrong for a lagging API or a backfilled signal. The API is only used when we tracked nothing,
+   * or when the sale is larger than what we tracked (they held before we started following).
+   * Undefined when neither is known.
+   */
+  private async getWhaleExit(signal: TradeSignal, whaleEntryShares?: number): Promise<WhaleExit | undefined> {
+    const soldShares = signal.price > 0 ? signal.sizeUsd / signal.price : 0;
+    if (soldShares <= 0) return undefined;
+    const fullExitOnWhaleExit = !!this.deps.env.fullExitOnWhaleExit;
+
+    if (whaleEntryShares && whaleEntryShares > 0 && soldShares <= whaleEntryShares * (1 + WHALE_TRACKING_TOLERANCE)) {
+        const remaining = Math.max(0, whaleEntryShares - soldShares);
+        if (fullExitOnWhaleExit && remaining < WHALE_DUST_SHARES) return { fraction: 1, sharesAfter: 0, source: 'entry' };
+        return { fraction: Math.min(1, soldShares / whaleEntryShares), sharesAfter: remaining, source: 'entry' };
+    }
+
+    const sharesAfter = await this.traderEquity.getPositionShares(signal.trader, signal.marketId, signal.tokenId);
+    if (sharesAfter !== undefined) {
+        if (fullExitOnWhaleExit && sharesAfter < WHALE_DUST_SHARES) return { fraction: 1, sharesAfter, source: 'positions' };
+        return { fraction: Math.min(1, soldShares / (sharesAfter + soldShares)), sharesAfter, source: 'positions' };
+    }
+
+    // Tracking is short but the API is down: selling everything we copied is the closest guess
+    if (whaleEntryShares && whaleEntryShares > 0) return { fraction: 1, sharesAfter: 0, source: 'entry' };
+    return undefined;
+  }
+
+  async copyTrade(signal: TradeSignal, context: { riskScore?: number; whaleEntryShares?: number } = {}): Promise<ExecutionResult> {
     const { logger, env, adapter, proxyWallet } = this.deps;
+    const guard = env.executionGuard;
+    const settings = this.getTargetSettings(signal.trader);
+    const strategy = settings.sizingStrategy;
+    const measured: Pick<ExecutionResult, 'latencyMs' | 'driftCents' | 'guardAction' | 'whaleSharesAfter'> = {
+        latencyMs: Math.max(0, Date.now() - signal.timestamp)
+    };
     
     const failResult = (reason: string, status: 'SKIPPED' | 'FAILED' | 'ILLIQUID' = 'SKIPPED'): ExecutionResult => ({
         status,
         executedAmount: 0,
         executedShares: 0,
         priceFilled: 0,
-        reason
+        reason,
+        ...measured
     });
 
+    if ((settings.mode === 'BUYS_ONLY' && signal.side === 'SELL') || (settings.mode === 'SELLS_ONLY' && signal.side === 'BUY')) {
+        return failResult(`target_mode_${settings.mode.toLowerCase()}`);
+    }
+
+    const riskManager = this.deps.riskManager;
+    if (signal.side === 'BUY' && riskManager?.isPaused()) {
+        return { ...failResult(`risk_limit_daily_loss: entries paused until 00:00 UTC`), riskLimit: 'DAILY_LOSS' };
+    }
+
+    // MARKET FILTERS: before sizing, whoever the caller is. Gamma lookups are cached, so a repeat of the engine's early check is cheap.
+    const verdict = await this.checkMarketFilters(signal);
+    if (!verdict.passed) {
+        logger.info(`[Market Filter] ${verdict.filter}: ${verdict.reason} (${signal.marketId})`);
+        return { ...failResult(`market_filter_${verdict.filter.toLowerCase()}: ${verdict.reason}`), marketFilter: verdict.filter };
+    }
+
     try {
       // MARKET VALIDATION - Check if market is still tradeable
       try {
-        const market = await (adapter as any).getRawClient().getMarket(signal.marketId);
+        const market = await marketMetadata.getMarket(signal.marketId);
         
         if (!market) {
           logger.warn(`[Market Not Found] ${signal.marketId} - Skipping`);
@@ -215,11 +337,12 @@ export class TradeExecutorService {
       } catch (e: any) {
         if (e.message?.includes("404") || e.message?.includes("No orderbook") || String(e).includes("404")) {
           logger.warn(`[Market Resolved] ${signal.marketId} - Attempting to redeem existing position`);
+          marketMetadata.invalidate(signal.marketId);
           
           // Try to redeem existing position if market is resolved
           try {
             const positions = await adapter.getPositions(proxyWallet);
-            const existingPosition = positions.find(p => p.marketId === signal.marketId && p.outcome === signal.outcome);
+            const existingPosition = positions.find(p => isSameOutcomeToken(p, signal));
             
             if (existingPosition) {
               logger.info(`[Auto-Redeem] Found position: ${existingPosition.balance} shares of ${signal.outcome}`);
@@ -232,7 +355,8 @@ export class TradeExecutorService {
                   executedAmount: redeemResult.amountUsd || 0,
                   executedShares: existingPosition.balance,
                   priceFilled: 1.0,
-                  reason: 'Auto-redeemed resolved market position'
+                  reason: 'Auto-redeemed resolved market position',
+                  ...measured
                 };
               } else {
                 logger.error(`[Auto-Redeem] Failed: ${redeemResult.error}`);
@@ -252,7 +376,7 @@ export class TradeExecutorService {
       if (this.deps.adapter.getLiquidityMetrics) {
           try {
               const metrics = await this.deps.adapter.getLiquidityMetrics(signal.tokenId, signal.side);
-              const minRequired = (this.deps.env as any).minLiquidityFilter || 'LOW';
+              const minRequired = settings.minLiquidityFilter;
               
               const ranks: Record<string, number> = { 
                   [LiquidityHealth.HIGH]: 3, 
@@ -271,11 +395,12 @@ export class TradeExecutorService {
               // Check if this is a resolved market (404/No orderbook)
               if (e.message?.includes("404") || e.message?.includes("No orderbook") || String(e).includes("404")) {
                   logger.warn(`[Market Resolved] ${signal.marketId} - Attempting to redeem existing position (liquidity check)`);
+                  marketMetadata.invalidate(signal.marketId);
                   
                   // Try to redeem existing position if market is resolved
                   try {
                       const positions = await adapter.getPositions(proxyWallet);
-                      const existingPosition = positions.find(p => p.marketId === signal.marketId && p.outcome === signal.outcome);
+                      const existingPosition = positions.find(p => isSameOutcomeToken(p, signal));
                       
                       if (existingPosition) {
                           logger.info(`[Auto-Redeem] Found position: ${existingPosition.balance} shares of ${signal.outcome}`);
@@ -288,7 +413,8 @@ export class TradeExecutorService {
                                   executedAmount: redeemResult.amountUsd || 0,
                                   executedShares: existingPosition.balance,
                                   priceFilled: 1.0,
-                                  reason: 'Auto-redeemed resolved market position'
+                                  reason: 'Auto-redeemed resolved market position',
+                                  ...measured
                               };
                           } else {
                               logger.error(`[Auto-Redeem] Failed: ${redeemResult.error}`);
@@ -309,6 +435,8 @@ export class TradeExecutorService {
 
       let usableBalanceForTrade = 0;
       let currentShareBalance = 0;
+      let chainBalance = 0;
+      const committedUsd = this.ledger.getCommittedUsd();
 
       const positions = await adapter.getPositions(proxyWallet);
       const myPosition = positions.find(p => p.tokenId === signal.tokenId);
@@ -317,112 +445,296 @@ export class TradeExecutorService {
       }
 
       if (signal.side === 'BUY') {
-          const chainBalance = await adapter.fetchBalance(proxyWallet);
-          usableBalanceForTrade = Math.max(0, chainBalance - this.pendingSpend);
+          chainBalance = await adapter.fetchBalance(proxyWallet);
+          usableBalanceForTrade = Math.max(0, chainBalance - committedUsd);
       } else {
           if (!myPosition || myPosition.balance <= 0) return failResult("no_position_to_sell");
           usableBalanceForTrade = myPosition.valueUsd;
       }
 
-      const traderBalance = await this.getTraderBalance(signal.trader);
+      const traderEquity = await this.traderEquity.getEquity(
+          signal.trader,
+          env.traderEquityTtlSeconds ? env.traderEquityTtlSeconds * 1000 : DEFAULT_TRADER_EQUITY_TTL_MS
+      );
+      // Sells still go through: over-selling reduces risk, over-buying does not.
+      // A partial reading understates the whale's equity, which would oversize a BUY.
+      if (signal.side === 'BUY' && (traderEquity.source === 'unavailable' || traderEquity.source === 'partial')) {
+          return failResult(`trader_equity_${traderEquity.source}`);
+      }
+      const traderBalance = traderEquity.equityUsd;
 
       // Check for insufficient funds BEFORE sizing computation
       if (signal.side === 'BUY' && usableBalanceForTrade < 1) {
-          const chainBalance = await adapter.fetchBalance(proxyWallet);
-          return failResult(`insufficient_funds (balance: $${chainBalance.toFixed(2)}, pending: $${this.pendingSpend.toFixed(2)}, available: $${usableBalanceForTrade.toFixed(2)})`, "FAILED");
+          this.ledger.noteRejection({ marketId: signal.marketId, chainBalanceUsd: chainBalance, committedUsd, availableUsd: usableBalanceForTrade });
+          return failResult(`insufficient_funds (balance: $${chainBalance.toFixed(2)}, committed: $${committedUsd.toFixed(2)}, available: $${usableBalanceForTrade.toFixed(2)})`, "FAILED");
       }
 
       let minOrderSize = 5; 
+      let bestPrice: number | undefined;
+      let book: OrderBook | undefined;
       try {
-          const book = await adapter.getOrderBook(signal.tokenId);
+          book = await adapter.getOrderBook(signal.tokenId);
           if (book.min_order_size) minOrderSize = Number(book.min_order_size);
-      } catch (e) {}
+          const top = signal.side === 'BUY' ? book.asks[0] : book.bids[0];
+          if (top) bestPrice = top.price;
+      } catch (e: any) {
+          logger.warn(`[Orderbook] Lookup for ${signal.tokenId} failed, sizing without book data: ${e.message}`);
+      }
+
+      // SIGNAL GUARD: latency and adverse drift vs the whale's fill
+      if (bestPrice !== undefined) {
+          const drift = signal.side === 'BUY' ? bestPrice - signal.price : signal.price - bestPrice;
+          measured.driftCents = Math.round(drift * 10000) / 100;
+      }
+
+      let multiplier = settings.multiplier;
+      let restAtWhalePrice = false;
+      if (guard) {
+          const latencyBreached = measured.latencyMs! > guard.maxSignalLatencySeconds * 1000;
+          const driftBreached = measured.driftCents !== undefined && measured.driftCents > guard.maxAdverseDriftCents;
+          const summary = `Latency: ${(measured.latencyMs! / 1000).toFixed(1)}s (max ${guard.maxSignalLatencySeconds}s) | Drift: ${measured.driftCents !== undefined ? `${measured.driftCents >= 0 ? '+' : ''}${measured.driftCents.toFixed(1)}¢` : 'n/a'} (max ${guard.maxAdverseDriftCents}¢)`;
+
+          if (latencyBreached || driftBreached) {
+              measured.guardAction = guard.onBreach;
+              logger.warn(`[Signal Guard] ${summary} -> ${guard.onBreach}`);
+
+              if (guard.onBreach === 'SKIP') {
+                  return failResult(`signal_guard_${latencyBreached ? 'latency' : 'drift'}_exceeded`);
+              }
+              if (guard.onBreach === 'SHRINK') {
+                  multiplier = multiplier * (guard.shrinkFactor ?? 0.5);
+              }
+              if (guard.onBreach === 'LIMIT_AT_WHALE') {
+                  restAtWhalePrice = true;
+              }
+          } else {
+              logger.info(`[Signal Guard] ${summary} -> OK`);
+          }
+      }
 
-      const sizing = computeProportionalSizing({
+      const positionsValue = positions.reduce((sum, p) => sum + (p.valueUsd || 0), 0);
+
+      // WHALE EXIT: sell the same share of our position as the whale sold of theirs
+      let whaleExit: WhaleExit | undefined;
+      if (signal.side === 'SELL') {
+          whaleExit = await this.getWhaleExit(signal, context.whaleEntryShares);
+          if (whaleExit) {
+              measured.whaleSharesAfter = whaleExit.sharesAfter;
+              logger.info(`[Whale Exit] Sold ${(whaleExit.fraction * 100).toFixed(1)}% of their position (${whaleExit.source}${whaleExit.sharesAfter !== undefined ? `, ${whaleExit.sharesAfter.toFixed(2)} shares left` : ''})`);
+          } else {
+              logger.warn(`[Whale Exit] Whale position unknown, falling back to balance-ratio sizing`);
+          }
+      }
+
+      const sizing = computeSizing({
         yourUsdBalance: usableBalanceForTrade,
+        yourEquityUsd: usableBalanceForTrade + positionsValue,
+        riskScore: context.riskScore,
         yourShareBalance: currentShareBalance,
         traderUsdBalance: traderBalance,
         traderTradeUsd: signal.sizeUsd,
-        multiplier: env.tradeMultiplier,
+        multiplier: multiplier,
         currentPrice: signal.price,
-        maxTradeAmount: env.maxTradeAmount,
+        maxTradeAmount: settings.maxTradeAmount,
         minOrderSize: minOrderSize,
-        side: signal.side
-      });
+        side: signal.side,
+        sellFraction: whaleExit?.fraction
+      }, strategy);
 
       if (sizing.targetShares <= 0) {
           return failResult(sizing.reason || "skipped_by_sizing_engine");
       }
 
       let priceLimit: number | undefined = undefined;
-      if (signal.side === 'BUY') {
+      if (restAtWhalePrice) {
+          priceLimit = signal.price;
+      } else if (guard) {
+          // Never pay more than the drift budget away from the whale's fill
+          const budget = guard.maxAdverseDriftCents / 100;
+          priceLimit = signal.side === 'BUY'
+              ? Math.min(0.99, signal.price + budget)
+              : Math.max(0.001, signal.price - budget);
+      } else if (signal.side === 'BUY') {
           priceLimit = Math.min(0.99, signal.price * 1.05);
       } else {
           priceLimit = Math.max(0.001, signal.price * 0.90);
       }
 
-      logger.info(`[Sizing] Whale: $${traderBalance.toFixed(0)} | Signal: $${signal.sizeUsd.toFixed(0)} (${signal.side}) | Target: $${sizing.targetUsdSize.toFixed(2)} (${sizing.targetShares} shares) | Reason: ${sizing.reason}`);
+      if (signal.side === 'BUY' && riskManager) {
+          const risk = await riskManager.checkOrder({
+              marketId: signal.marketId,
+              tokenId: signal.tokenId,
+              trader: signal.trader,
+              sizeUsd: sizing.targetUsdSize,
+              cashUsd: chainBalance,
+              pendingUsd: committedUsd
+          });
+          if (!risk.allowed) {
+              return { ...failResult(`risk_limit_${risk.limit!.toLowerCase()}: ${risk.reason}`), riskLimit: risk.limit };
+          }
+      }
 
-      const result = await adapter.createOrder({
-        marketId: signal.marketId,
-        tokenId: signal.tokenId,
-        outcome: signal.outcome,
-        side: signal.side,
-        sizeUsd: sizing.targetUsdSize,
-        sizeShares: signal.side === 'SELL' ? sizing.targetShares : undefined,
-        priceLimit: priceLimit
-      });
+      logger.info(`[Sizing] Whale: $${traderBalance.toFixed(0)} (${traderEquity.source}) | Signal: $${signal.sizeUsd.toFixed(0)} (${signal.side}) | Target: $${sizing.targetUsdSize.toFixed(2)} (${sizing.targetShares} shares) | Strategy: ${strategy.type} | x${multiplier} | Reason: ${sizing.reason}`);
+
+      // Hold the notional until the order fills (then it settles) or leaves the book
+      const reservation = signal.side === 'BUY'
+          ? this.ledger.reserve(sizing.targetUsdSize, { marketId: signal.marketId, tokenId: signal.tokenId, trader: signal.trader })
+          : undefined;
+      const vsWhaleCents = (vwap: number) => Math.round((signal.side === 'BUY' ? vwap - signal.price : signal.price - vwap) * 10000) / 100;
+
+      // SMART SLICING: orders larger than the best level are worked through the book in FAK slices
+      const slicing = env.slicing;
+      if (slicing?.enabled && !restAtWhalePrice && book && this.slicer.needsSlicing(book, signal.side, sizing.targetShares)) {
+          let sliced;
+          try {
+              sliced = await this.slicer.execute({
+                  marketId: signal.marketId,
+                  tokenId: signal.tokenId,
+                  outcome: signal.outcome,
+                  side: signal.side,
+                  sizeUsd: sizing.targetUsdSize,
+                  priceLimit
+              }, sizing.targetShares, slicing, minOrderSize);
+          } catch (e) {
+              if (reservation) this.ledger.release(reservation, 'slicing_error');
+              throw e;
+          }
+
+          if (reservation) {
+              this.ledger.attachOrder(reservation, sliced.orderIds[0]);
+              this.ledger.fill(reservation, sliced.costUsd);
+              this.ledger.release(reservation, sliced.stopReason);
+          }
+
+          if (sliced.sharesFilled <= 0) {
+              return failResult(`slicing_no_fill: ${sliced.stopReason}`, 'FAILED');
+          }
+
+          const slippage = vsWhaleCents(sliced.vwap);
+          logger.info(`[Slicer] Done: ${sliced.sharesFilled.toFixed(2)}/${sliced.sharesRequested} shares in ${sliced.slices} slices | VWAP: ${sliced.vwap.toFixed(4)} vs whale ${signal.price} (${slippage >= 0 ? '+' : ''}${slippage.toFixed(2)}¢) | ${sliced.stopReason}`);
 
-      if (!result.success) {
           return {
-              status: 'FAILED',
-              executedAmount: 0,
-              executedShares: 0,
-              priceFilled: 0,
-              reason: result.error || 'Unknown error'
+              status: 'FILLED',
+              orderId: sliced.orderIds[0],
+              sharesRequested: sliced.sharesRequested,
+              txHash: sliced.orderIds[0],
+              executedAmount: sliced.costUsd,
+              executedShares: sliced.sharesFilled,
+              priceFilled: sliced.vwap,
+              reason: `${sizing.reason}|sliced_${sliced.slices}`,
+              vwap: sliced.vwap,
+              vwapVsWhaleCents: slippage,
+              slices: sliced.slices,
+              ...measured
           };
       }
 
-      if (signal.side === 'BUY') this.pendingSpend += sizing.targetUsdSize;
+      let result;
+      try {
+          result = await adapter.createOrder({
+            marketId: signal.marketId,
+            tokenId: signal.tokenId,
+            outcome: signal.outcome,
+            side: signal.side,
+            sizeUsd: sizing.targetUsdSize,
+            sizeShares: signal.side === 'SELL' ? sizing.targetShares : undefined,
+            priceLimit: priceLimit,
+            timeInForce: restAtWhalePrice ? 'GTC' : undefined
+          });
+      } catch (e) {
+          if (reservation) this.ledger.release(reservation, 'submit_error');
+          throw e;
+      }
+
+      if (!result.success) {
+          if (reservation) this.ledger.release(reservation, 'rejected');
+          return failResult(result.error || 'Unknown error', 'FAILED');
+      }
+
+      const restingShares = result.status === 'LIVE' || result.status === 'PARTIAL'
+          ? Math.max(0, (result.sharesRequested || 0) - result.sharesFilled)
+          : 0;
+
+      // Accepted but nothing matched and nothing rests (a killed FAK): there is no position to book
+      if (result.sharesFilled <= 0 && restingShares === 0) {
+          if (reservation) this.ledger.release(reservation, 'no_fill');
+          logger.warn(`[No Fill] Order ${result.orderId || ''} was accepted but matched 0 shares`);
+          return failResult('no_fill', 'FAILED');
+      }
+
+      if (reservation) {
+          this.ledger.attachOrder(reservation, result.orderId);
+          this.ledger.fill(reservation, result.sharesFilled * result.priceFilled);
+          // Resting orders keep the rest reserved until the tracker reports a fill, cancel or expiry
+          if (restingShares === 0) this.ledger.release(reservation, 'filled');
+      }
       
       return {
-          status: 'FILLED',
+          status: result.sharesFilled > 0 ? 'FILLED' : 'RESTING',
+          orderId: result.orderId,
+          sharesRequested: result.sharesRequested,
+          restingShares,
           txHash: result.orderId || result.txHash,
           executedAmount: result.sharesFilled * result.priceFilled,
           executedShares: result.sharesFilled,
           priceFilled: result.priceFilled,
-          reason: sizing.reason
+          reason: sizing.reason,
+          vwap: result.sharesFilled > 0 ? result.priceFilled : undefined,
+          vwapVsWhaleCents: result.sharesFilled > 0 ? vsWhaleCents(result.priceFilled) : undefined,
+          slices: 1,
+          ...measured
       };
 
     } catch (err) {
       const errorMessage = err instanceof Error ? err.message : String(err);
       logger.error(`Failed to copy trade: ${errorMessage}`, err as Error);
-      return {
-            status: 'FAILED',
-            executedAmount: 0,
-            executedShares: 0,
-            priceFilled: 0,
-            reason: errorMessage
-      };
+      return failResult(errorMessage, 'FAILED');
     }
   }
 
-  private async getTraderBalance(trader: string): Promise<number> {
-    const cached = this.balanceCache.get(trader);
-    if (cached && (Date.now() - cached.timestamp < this.CACHE_TTL)) {
-        return cached.value;
+  /**
+   * Pre-trade market filters, applied by copyTrade. BotEngine also runs them before the AI gate, so a
+   * filtered market costs no model call. Entries only: exits from markets we already hold always go through. When the filters
+   * need gamma metadata and it cannot be loaded, the signal is skipped unless onMissingMetadata is ALLOW.
+   */
+  async checkMarketFilters(signal: TradeSignal): Promise<MarketFilterResult> {
+    const filters = this.deps.env.marketFilters;
+    if (signal.side !== 'BUY' || !filters) return { passed: true };
+
+    let gamma;
+    if (needsMarketMetadata(filters)) {
+      gamma = await marketMetadata.getGammaMarket(signal.marketId).catch((e: any) => {
+        this.deps.logger.warn(`[Market Filter] Metadata lookup for ${signal.marketId} failed: ${e.message}`);
+        return undefined;
+      });
+      if (!gamma && filters.onMissingMetadata !== 'ALLOW') {
+        return { passed: false, filter: 'METADATA_UNAVAILABLE', reason: 'market metadata unavailable' };
+      }
     }
 
-    try {
-      const positions: Position[] = await httpGet<Position[]>(
-        `https://data-api.polymarket.com/positions?user=${trader}`,
-      );
-      const totalValue = positions.reduce((sum, pos) => sum + (pos.currentValue || pos.initialValue || 0), 0);
-      const val = Math.max(1000, totalValue);
-      this.balanceCache.set(trader, { value: val, timestamp: Date.now() });
-      return val;
-    } catch {
-      return 10000; 
-    }
+    return evaluateMarketFilters(filters, {
+      question: gamma?.question,
+      tags: gamma?.tags || [],
+      endDate: gamma?.endDate,
+      volumeUsd: gamma?.volumeUsd,
+      liquidityUsd: gamma?.liquidityUsd,
+      price: signal.price
+    });
   }
-}
\ No newline at end of file
+
+  /**
+   * Bot-wide settings merged with the override configured for this target wallet.
+   */
+  getTargetSettings(trader: string): EffectiveTargetSettings {
+    const { env } = this.deps;
+    const defaults: EffectiveTargetSettings = {
+      multiplier: env.tradeMultiplier,
+      riskProfile: env.riskProfile || 'balanced',
+      maxTradeAmount: env.maxTradeAmount,
+      minLiquidityFilter: env.minLiquidityFilter || 'LOW',
+      sizingStrategy: env.sizingStrategy || { type: 'PROPORTIONAL' },
+      mode: 'ALL'
+    };
+    return resolveTargetSettings(defaults, env.targetOverrides, trader);
+  }
+}
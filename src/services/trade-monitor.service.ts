@@ -1,19 +1,22 @@
 
-import { RuntimeEnv } from '../config/env.js';
+import { RuntimeEnv, WS_URLS } from '../config/env.js';
 import { Logger } from '../utils/logger.util.js';
+import { normalizeOutcome } from '../utils/outcome.util.js';
 import { TradeSignal } from '../domain/trade.types.js';
 import { IExchangeAdapter } from '../adapters/interfaces.js';
+import { WsFeedClient } from '../infrastructure/ws-feed.client.js';
+import { TradeAggregatorService } from './trade-aggregator.service.js';
 import axios from 'axios';
 
 export type TradeMonitorDeps = {
-  adapter: IExchangeAdapter;
+  adapter?: IExchangeAdapter;
   env: RuntimeEnv;
   logger: Logger;
   userAddresses: string[];
   onDetectedTrade: (signal: TradeSignal) => Promise<void>;
 };
 
-interface PolyActivity {
+export interface PolyActivity {
     id: string;
     type: string; // "TRADE" | "ORDER_FILLED"
     timestamp: number;
@@ -23,10 +26,50 @@ interface PolyActivity {
     size: number;
     price: number;
     usdcSize: number;
+    outcome?: string;
     outcomeIndex: number;
     transactionHash: string;
 }
 
+// Shape of a trade pushed on the DATA activity feed
+interface StreamActivity {
+    proxyWallet?: string;
+    timestamp: number;
+    conditionId: string;
+    asset: string;
+    side: string;
+    size: number;
+    price: number;
+    outcome?: string;
+    outcomeIndex: number;
+    transactionHash: string;
+}
+
+/**
+ * Maps a Data API activity row to the TradeSignal contract shared by polling, streaming and backfill.
+ */
+export function toTradeSignal(user: string, activity: PolyActivity): TradeSignal {
+    const tradeTime = activity.timestamp > 10000000000 ? activity.timestamp : activity.timestamp * 1000;
+
+    return {
+        trader: user,
+        marketId: activity.conditionId,
+        tokenId: activity.asset,
+        outcome: normalizeOutcome(activity.outcome, activity.outcomeIndex),
+        outcomeIndex: activity.outcomeIndex,
+        side: activity.side.toUpperCase() as 'BUY' | 'SELL',
+        sizeUsd: activity.usdcSize || (activity.size * activity.price),
+        price: activity.price,
+        timestamp: tradeTime,
+        txHash: activity.transactionHash
+    };
+}
+
+const POLL_INTERVAL_MS = 10000;
+// While the stream is healthy we still poll occasionally to catch anything the socket dropped
+const STREAM_RECONCILE_MS = 60000;
+const MAX_WATCHED_ASSETS = 200;
+
 const HTTP_HEADERS = {
     'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
     'Accept': 'application/json'
@@ -40,9 +83,31 @@ export class TradeMonitorService {
   private targetWallets: Set<string> = new Set();
   private processedHashes: Map<string, number> = new Map();
 
+  // Streaming mode
+  private activityStream?: WsFeedClient;
+  private marketStream?: WsFeedClient;
+  private lastFullPoll = 0;
+  // asset -> target wallets that recently traded it (drives the CLOB market feed)
+  private watchedAssets: Map<string, Set<string>> = new Map();
+  private pendingAssetChecks: Set<string> = new Set();
+  private assetCheckTimer?: NodeJS.Timeout;
+
+  private aggregator?: TradeAggregatorService;
+
   constructor(deps: TradeMonitorDeps) {
     this.deps = deps;
     this.updateTargets(deps.userAddresses);
+
+    if (deps.env.aggregationEnabled) {
+        this.aggregator = new TradeAggregatorService({
+            windowMs: (deps.env.aggregationWindowSeconds || 300) * 1000,
+            quietMs: deps.env.aggregationQuietSeconds !== undefined ? deps.env.aggregationQuietSeconds * 1000 : undefined,
+            flushThresholdUsd: deps.env.aggregationFlushUsd || 0,
+            logger: deps.logger,
+            onFlush: (signal) => deps.onDetectedTrade(signal)
+        });
+        deps.logger.info(`📦 Trade aggregation ON (quiet: ${(this.aggregator.getQuietMs() / 1000).toFixed(0)}s, max hold: ${deps.env.aggregationWindowSeconds || 300}s, early flush: $${deps.env.aggregationFlushUsd || 0})`);
+    }
   }
 
   updateTargets(newTargets: string[]) {
@@ -51,15 +116,20 @@ export class TradeMonitorService {
       this.deps.logger.info(`🎯 Monitor target list updated to ${this.targetWallets.size} wallets.`);
   }
 
-  async start(startCursor?: number): Promise<void> {
+  async start(): Promise<void> {
     if (this.isPolling) return;
     this.isPolling = true;
     
-    this.deps.logger.info(`🔌 Starting High-Frequency Polling (Data API)...`);
+    if (this.deps.env.monitorMode === 'stream') {
+        this.deps.logger.info(`🔌 Starting Streaming Monitor (WebSocket + Polling Fallback)...`);
+        this.startStreams();
+    } else {
+        this.deps.logger.info(`🔌 Starting High-Frequency Polling (Data API)...`);
+    }
     
     await this.poll();
 
-    this.pollInterval = setInterval(() => this.poll(), 10000) as unknown as NodeJS.Timeout; // 10 seconds 
+    this.pollInterval = setInterval(() => this.tick(), POLL_INTERVAL_MS);
   }
 
   stop(): void {
@@ -68,13 +138,150 @@ export class TradeMonitorService {
         clearInterval(this.pollInterval);
         this.pollInterval = undefined;
     }
+    if (this.assetCheckTimer) {
+        clearTimeout(this.assetCheckTimer);
+        this.assetCheckTimer = undefined;
+    }
+    // Bots flush their wallets through flushPending before they stop; whatever is left here has no
+    // running bot to go to and is lost
+    const discarded = this.aggregator?.discardAll() || 0;
+    if (discarded > 0) this.deps.logger.info(`📦 Dropped ${discarded} pending aggregated signals on stop.`);
+    this.activityStream?.close();
+    this.marketStream?.close();
+    this.activityStream = undefined;
+    this.marketStream = undefined;
     this.deps.logger.info('Cb Monitor Stopped.');
   }
 
+  /**
+   * Delivers the buffered aggregates of the given wallets (all when omitted) now and waits for their handlers,
+   * so a stopping bot still runs them through its late-signal and execution guard checks.
+   */
+  async flushPending(wallets?: string[]): Promise<void> {
+      await this.aggregator?.flushWallets(wallets);
+  }
+
+  isStreamHealthy(): boolean {
+      return !!this.activityStream && this.activityStream.isHealthy();
+  }
+
+  /**
+   * Polling runs every cycle while the stream is down and only as a slow
+   * reconciliation pass while it is healthy.
+   */
+  private async tick() {
+      if (this.isStreamHealthy() && Date.now() - this.lastFullPoll < STREAM_RECONCILE_MS) return;
+      await this.poll();
+  }
+
+  private startStreams() {
+      this.activityStream = new WsFeedClient({
+          name: 'Activity',
+          url: WS_URLS.DATA,
+          logger: this.deps.logger,
+          buildSubscription: () => ({
+              action: 'subscribe',
+              subscriptions: [{ topic: 'activity', type: 'trades' }]
+          }),
+          onMessage: (msg) => this.handleActivityMessage(msg),
+          // Acks and pings keep the socket open but say nothing about the subscription
+          isDataMessage: (msg) => msg?.topic === 'activity' && !!msg.payload,
+          onHealthChange: (healthy) => {
+              if (healthy) {
+                  this.deps.logger.info(`⚡ Activity stream healthy. Polling reduced to reconciliation.`);
+              } else if (this.isPolling) {
+                  this.deps.logger.warn(`Activity stream unhealthy. Falling back to polling.`);
+              }
+          }
+      });
+
+      this.marketStream = new WsFeedClient({
+          name: 'Market',
+          url: WS_URLS.CLOB,
+          logger: this.deps.logger,
+          buildSubscription: () => this.watchedAssets.size > 0
+              ? { assets_ids: Array.from(this.watchedAssets.keys()), type: 'market' }
+              : null,
+          onMessage: (msg) => this.handleMarketMessage(msg),
+          // Watched assets can go minutes without a print
+          dataStaleAfterMs: 5 * 60000
+      });
+
+      this.activityStream.connect();
+      this.marketStream.connect();
+  }
+
+  private handleActivityMessage(msg: any) {
+      if (!msg || msg.topic !== 'activity') return;
+      const payload: StreamActivity | undefined = msg.payload;
+      if (!payload || !payload.proxyWallet || !payload.transactionHash) return;
+
+      const user = payload.proxyWallet.toLowerCase();
+      if (!this.targetWallets.has(user)) return;
+
+      this.processTrade(user, {
+          id: payload.transactionHash,
+          type: 'TRADE',
+          timestamp: payload.timestamp,
+          conditionId: payload.conditionId,
+          asset: payload.asset,
+          side: payload.side,
+          size: Number(payload.size),
+          price: Number(payload.price),
+          usdcSize: Number(payload.size) * Number(payload.price),
+          outcome: payload.outcome,
+          outcomeIndex: payload.outcomeIndex,
+          transactionHash: payload.transactionHash
+      }).catch(err => this.deps.logger.error(`Stream signal processing failed`, err));
+  }
+
+  /**
+   * A print on an asset a target recently traded is a strong hint that the target is active
+   * again, so we check those wallets immediately instead of waiting for the next poll.
+   */
+  private handleMarketMessage(msg: any) {
+      if (!msg || msg.event_type !== 'last_trade_price' || !msg.asset_id) return;
+      if (!this.watchedAssets.has(msg.asset_id)) return;
+
+      this.pendingAssetChecks.add(msg.asset_id);
+      if (this.assetCheckTimer) return;
+
+      this.assetCheckTimer = setTimeout(async () => {
+          this.assetCheckTimer = undefined;
+          const users = new Set<string>();
+          for (const asset of this.pendingAssetChecks) {
+              this.watchedAssets.get(asset)?.forEach(u => users.add(u));
+          }
+          this.pendingAssetChecks.clear();
+
+          for (const user of users) {
+              if (this.targetWallets.has(user)) await this.checkUserActivity(user);
+          }
+      }, 1000);
+  }
+
+  private watchAsset(user: string, asset: string) {
+      if (!this.marketStream || !asset) return;
+
+      const holders = this.watchedAssets.get(asset);
+      if (holders) {
+          holders.add(user);
+          return;
+      }
+
+      if (this.watchedAssets.size >= MAX_WATCHED_ASSETS) {
+          const oldest = this.watchedAssets.keys().next().value;
+          if (oldest !== undefined) this.watchedAssets.delete(oldest);
+      }
+      this.watchedAssets.set(asset, new Set([user]));
+      this.marketStream.resubscribe();
+  }
+
   private async poll() {
       if (this.targetWallets.size === 0) return;
 
       const targets = Array.from(this.targetWallets);
+      this.lastFullPoll = Date.now();
       
       for (const user of targets) {
           await this.checkUserActivity(user);
@@ -102,8 +309,8 @@ export class TradeMonitorService {
           for (const trade of trades) {
               await this.processTrade(user, trade);
           }
-      } catch (e) {
-          // Silent fail
+      } catch (e: any) {
+          this.deps.logger.warn(`Activity check for ${user.slice(0,6)}... failed: ${e.message}`);
       }
   }
 
@@ -121,25 +328,23 @@ export class TradeMonitorService {
       }
 
       this.processedHashes.set(txHash, now);
+      this.watchAsset(user, activity.asset);
 
-      const outcomeLabel = activity.outcomeIndex === 0 ? "YES" : "NO";
+      const signal = toTradeSignal(user, activity);
       
-      const side = activity.side.toUpperCase() as 'BUY' | 'SELL';
-      
-      const sizeUsd = activity.usdcSize || (activity.size * activity.price);
-      
-      this.deps.logger.info(`🚨 [SIGNAL] ${user.slice(0,6)}... ${side} ${outcomeLabel} @ ${activity.price} ($${sizeUsd.toFixed(2)})`);
-
-      const signal: TradeSignal = {
-          trader: user,
-          marketId: activity.conditionId,
-          tokenId: activity.asset,
-          outcome: outcomeLabel as 'YES' | 'NO',
-          side: side,
-          sizeUsd: sizeUsd,
-          price: activity.price,
-          timestamp: tradeTime
-      };
+      this.deps.logger.info(`🚨 [SIGNAL] ${user.slice(0,6)}... ${signal.side} ${signal.outcome} @ ${signal.price} ($${signal.sizeUsd.toFixed(2)})`);
+
+      this.emit(signal);
+  }
+
+  /**
+   * Hands a signal downstream, through the aggregation stage when it is enabled.
+   */
+  private emit(signal: TradeSignal) {
+      if (this.aggregator) {
+          this.aggregator.add(signal);
+          return;
+      }
 
       this.deps.onDetectedTrade(signal).catch(err => {
           this.deps.logger.error(`Execution Trigger Failed`, err);
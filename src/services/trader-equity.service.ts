@@ -0,0 +1,93 @@
+import { IExchangeAdapter } from '../adapters/interfaces.js';
+import { httpGet } from '../utils/http.js';
+import { Logger } from '../utils/logger.util.js';
+
+export type TraderEquitySource = 'live' | 'cache' | 'last_known' | 'partial' | 'unavailable';
+
+export interface TraderEquity {
+  equityUsd: number;
+  cashUsd?: number;       // On-chain USDC.e held by the trader's wallet
+  positionsUsd?: number;  // Mark-to-market value of open positions
+  source: TraderEquitySource;
+  fetchedAt?: number;
+}
+
+interface DataApiPosition {
+  asset?: string;
+  size?: number;
+  currentValue?: number;
+  initialValue?: number;
+}
+
+export const DEFAULT_TRADER_EQUITY_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Whale equity used as the denominator for proportional sizing:
+ * on-chain USDC.e (through the adapter's RPC provider) plus position value from the Data API.
+ * When a lookup fails we fall back to the last complete reading, never to a constant.
+ */
+export class TraderEquityService {
+  private cache: Map<string, TraderEquity> = new Map();
+
+  constructor(
+    private readonly adapter: IExchangeAdapter,
+    private readonly logger: Logger
+  ) {}
+
+  async getEquity(trader: string, maxAgeMs = DEFAULT_TRADER_EQUITY_TTL_MS): Promise<TraderEquity> {
+    const key = trader.toLowerCase();
+    const known = this.cache.get(key);
+    if (known && Date.now() - known.fetchedAt! < maxAgeMs) {
+      return { ...known, source: 'cache' };
+    }
+
+    const [cash, positions] = await Promise.allSettled([
+      this.adapter.fetchBalance(trader, true),
+      httpGet<DataApiPosition[]>(`https://data-api.polymarket.com/positions?user=${trader}`)
+    ]);
+
+    const cashUsd = cash.status === 'fulfilled' ? cash.value : undefined;
+    const positionsUsd = positions.status === 'fulfilled'
+      ? positions.value.reduce((sum, p) => sum + (p.currentValue || p.initialValue || 0), 0)
+      : undefined;
+
+    if (cashUsd !== undefined && positionsUsd !== undefined) {
+      const fresh: TraderEquity = { equityUsd: cashUsd + positionsUsd, cashUsd, positionsUsd, source: 'live', fetchedAt: Date.now() };
+      this.cache.set(key, fresh);
+      return fresh;
+    }
+
+    const failed = [
+      cash.status === 'rejected' ? `balance: ${cash.reason?.message || cash.reason}` : undefined,
+      positions.status === 'rejected' ? `positions: ${positions.reason?.message || positions.reason}` : undefined
+    ].filter(Boolean).join(', ');
+
+    if (known) {
+      this.logger.warn(`[Trader Equity] Lookup for ${trader.slice(0, 8)}... failed (${failed}). Using last known $${known.equityUsd.toFixed(0)} from ${Math.round((Date.now() - known.fetchedAt!) / 60000)}m ago.`);
+      return { ...known, source: 'last_known' };
+    }
+
+    if (cashUsd !== undefined || positionsUsd !== undefined) {
+      this.logger.warn(`[Trader Equity] Lookup for ${trader.slice(0, 8)}... incomplete (${failed}). Using the part that loaded.`);
+      return { equityUsd: (cashUsd || 0) + (positionsUsd || 0), cashUsd, positionsUsd, source: 'partial' };
+    }
+
+    this.logger.warn(`[Trader Equity] Lookup for ${trader.slice(0, 8)}... failed (${failed}) and no previous reading exists.`);
+    return { equityUsd: 0, source: 'unavailable' };
+  }
+
+  /**
+   * Shares the trader currently holds of one outcome token, always read live.
+   * Returns 0 when the token is no longer among their positions, undefined when the lookup fails.
+   */
+  async getPositionShares(trader: string, marketId: string, tokenId: string): Promise<number | undefined> {
+    try {
+      const positions = await httpGet<DataApiPosition[]>(`https://data-api.polymarket.com/positions?user=${trader}&market=${marketId}`);
+      const position = (Array.isArray(positions) ? positions : []).find(p => p.asset === tokenId);
+      return Number(position?.size) || 0;
+    } catch (e: any) {
+      this.logger.debug(`[Trader Equity] Position lookup for ${trader.slice(0, 8)}... failed: ${e.message}`);
+      return undefined;
+    }
+  }
+}
@@ -0,0 +1,21 @@
+import { describe, expect, it } from 'vitest';
+import { isSameOutcomeToken, normalizeOutcome } from './outcome.util.js';
+
+describe('normalizeOutcome', () => {
+  it('keeps market labels and upper-cases binary ones', () => {
+    expect(normalizeOutcome(' yes ')).toBe('YES');
+    expect(normalizeOutcome('Lakers', 2)).toBe('Lakers');
+  });
+
+  it('does not guess a binary side for unlabelled multi-outcome indexes', () => {
+    expect(normalizeOutcome('', 0)).toBe('YES');
+    expect(normalizeOutcome(undefined, 1)).toBe('NO');
+    expect(normalizeOutcome(null, 2)).toBe('2');
+  });
+});
+
+describe('isSameOutcomeToken', () => {
+  it('matches on the token ID when both sides have one, whatever the label', () => {
+    expect(isSameOutcomeToken({ marketId: 'm', tokenId: 't', outcome: 'YES' }, { marketId: 'm', tokenId: 't', outcome: '' })).toBe(true);
+  });
+});
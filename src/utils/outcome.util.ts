@@ -0,0 +1,30 @@
+/**
+ * Outcome labels are taken verbatim from the market ("Yes", "Lakers", "Over").
+ * Binary labels are upper-cased so they keep matching positions stored as YES/NO.
+ * Without a label, indexes 0/1 read as YES/NO; higher indexes only exist on multi-outcome
+ * markets, so they come back as the bare index rather than a guessed binary side.
+ */
+export function normalizeOutcome(label?: string | null, outcomeIndex?: number): string {
+  const trimmed = (label || '').trim();
+  if (!trimmed) {
+    if (outcomeIndex !== undefined && outcomeIndex >= 2) return String(outcomeIndex);
+    return outcomeIndex === 1 ? 'NO' : 'YES';
+  }
+  return /^(yes|no)$/i.test(trimmed) ? trimmed.toUpperCase() : trimmed;
+}
+
+export function sameOutcome(a?: string | null, b?: string | null): boolean {
+  if (!a || !b) return false;
+  return normalizeOutcome(a).toLowerCase() === normalizeOutcome(b).toLowerCase();
+}
+
+/**
+ * Token IDs identify an outcome exactly; the label is only used when one side has no token ID.
+ */
+export function isSameOutcomeToken(
+  a: { marketId: string; tokenId?: string; outcome: string },
+  b: { marketId: string; tokenId?: string; outcome: string }
+): boolean {
+  if (a.tokenId && b.tokenId) return a.tokenId === b.tokenId;
+  return a.marketId === b.marketId && sameOutcome(a.outcome, b.outcome);
+}
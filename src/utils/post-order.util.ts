@@ -3,7 +3,7 @@ import type { ClobClient } from '@polymarket/clob-client';
 import { OrderType, Side } from '@polymarket/clob-client';
 
 export type OrderSide = 'BUY' | 'SELL';
-export type OrderOutcome = 'YES' | 'NO';
+export type OrderOutcome = string;
 
 export type PostOrderInput = {
   client: ClobClient;
@@ -0,0 +1,10 @@
+import { defineConfig } from 'vitest/config';
+
+// Backend unit tests. Kept apart from vite.config.ts, whose browser polyfills and
+// process.env define do not apply to Node services.
+export default defineConfig({
+  test: {
+    include: ['src/**/*.test.ts'],
+    environment: 'node'
+  }
+});